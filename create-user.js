@@ -0,0 +1,57 @@
+// Manage local dashboard accounts (data/users.json).
+//
+//   node create-user.js --email a@b.edu --name "Jane Doe" --password secret [--role professor] [--university "Colgate University"]
+//   node create-user.js --demo   create the demo student/professor accounts from the README
+//   node create-user.js --list   list existing accounts
+const path = require('path');
+const { createUserStore } = require('./js/userStore');
+
+const DATA_DIR = path.join(__dirname, 'data');
+
+const DEMO_USERS = [
+    { email: 'student.demo@uiowa.edu', name: 'Demo Student', role: 'student', university: 'University of Iowa', password: 'demo123' },
+    { email: 'professor.demo@colgate.edu', name: 'Demo Professor', role: 'professor', university: 'Colgate University', password: 'demo123' }
+];
+
+function readOption(args, name) {
+    const index = args.indexOf(`--${name}`);
+    return index === -1 ? undefined : args[index + 1];
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const users = createUserStore({ dataDir: DATA_DIR });
+
+    if (args.includes('--list')) {
+        (await users.listUsers()).forEach(user => console.log(`${user.email}\t${user.role}\t${user.name}`));
+        return 0;
+    }
+
+    const accounts = args.includes('--demo') ? DEMO_USERS : [{
+        email: readOption(args, 'email'),
+        name: readOption(args, 'name'),
+        password: readOption(args, 'password'),
+        role: readOption(args, 'role') || 'student',
+        university: readOption(args, 'university') || ''
+    }];
+
+    for (const account of accounts) {
+        try {
+            const user = await users.createUser(account);
+            console.log(`Created ${user.role} account ${user.email}`);
+        } catch (error) {
+            if (error.code !== 'EEXISTS') throw error;
+            console.log(`Account ${account.email} already exists; skipped`);
+        }
+    }
+    return 0;
+}
+
+if (require.main === module) {
+    main()
+        .then(code => process.exit(code))
+        .catch(error => {
+            console.error('create-user failed:', error.message);
+            process.exit(1);
+        });
+}
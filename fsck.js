@@ -0,0 +1,67 @@
+// Consistency check of data/ against the metadata store.
+//
+//   node fsck.js            report problems (exit code 1 if any were found)
+//   node fsck.js --json     print the full report as JSON
+//   node fsck.js --rebuild  rebuild the store from the files on disk
+const path = require('path');
+const { createMetadataStore } = require('./js/metadataStore');
+const { checkConsistency, rebuildFromDisk } = require('./js/reconcile');
+
+const DATA_DIR = path.join(__dirname, 'data');
+
+function printSection(title, items, describe) {
+    if (!items.length) return;
+    console.log(`\n${title} (${items.length}):`);
+    items.forEach(item => console.log(`  - ${describe(item)}`));
+}
+
+function printReport(report) {
+    console.log(`Checked ${report.policies} policies, ${report.uploads} uploads, ${report.filesOnDisk} files on disk`);
+
+    printSection('Missing files', report.missingFiles,
+        f => `${f.policyName} / ${f.contributor}: ${f.relativePath || f.storedAs}`);
+    printSection('Orphaned files', report.orphanedFiles,
+        f => `${f.relativePath} (${f.annotationCount ?? '?'} annotations)`);
+    printSection('Unreadable files', report.unreadableFiles,
+        f => `${f.relativePath}: ${f.error}`);
+    printSection('Wrong annotation counts', report.wrongCounts,
+        f => `${f.relativePath}: recorded ${f.recorded}, actual ${f.actual}`);
+    printSection('Wrong totals', report.wrongTotals,
+        t => `${t.policyName}${t.contributor ? ` / ${t.contributor}` : ''}: recorded ${t.recorded}, actual ${t.actual}`);
+    printSection('Legacy absolute paths', report.legacyPaths,
+        f => `${f.policyName} / ${f.contributor}: ${f.filePath}`);
+
+    console.log(report.ok ? '\n✅ Metadata and disk are consistent' : '\n⚠️  Inconsistencies found');
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const store = createMetadataStore({ dataDir: DATA_DIR });
+
+    if (args.includes('--rebuild')) {
+        const summary = await rebuildFromDisk(store);
+        console.log(`Rebuilt ${store.file} from disk`);
+        console.log(`- kept ${summary.keptUploads} uploads`);
+        summary.adoptedFiles.forEach(f => console.log(`- adopted ${f.relativePath} into "${f.policyName}"`));
+        summary.droppedUploads.forEach(f => console.log(`- dropped record ${f.policyName} / ${f.contributor}: ${f.relativePath || f.storedAs}`));
+        summary.skippedFiles.forEach(f => console.log(`- left unattributed file ${f}`));
+        console.log('');
+    }
+
+    const report = await checkConsistency(store);
+    if (args.includes('--json')) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printReport(report);
+    }
+    return report.ok ? 0 : 1;
+}
+
+if (require.main === module) {
+    main()
+        .then(code => process.exit(code))
+        .catch(error => {
+            console.error('fsck failed:', error);
+            process.exit(2);
+        });
+}
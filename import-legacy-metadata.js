@@ -0,0 +1,167 @@
+// One-time importer from the legacy policies.json / projects.json files into
+// the transactional metadata store (data/store.json).
+const fs = require('fs').promises;
+const path = require('path');
+const {
+    createMetadataStore,
+    countAnnotations,
+    sanitizeFolderName,
+    relativeToDataDir
+} = require('./js/metadataStore');
+
+const DATA_DIR = path.join(__dirname, 'data');
+
+async function readJsonIfExists(filePath) {
+    try {
+        return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+async function fileExists(filePath) {
+    try {
+        await fs.access(filePath);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+async function locateUpload(dataDir, policyName, upload) {
+    const candidates = [];
+    const fromFilePath = relativeToDataDir(upload.filePath);
+    if (fromFilePath) candidates.push(fromFilePath);
+    if (upload.storedAs) {
+        candidates.push(
+            path.posix.join('projects', policyName, upload.storedAs),
+            path.posix.join('projects', sanitizeFolderName(policyName), upload.storedAs),
+            path.posix.join('uploads', upload.storedAs)
+        );
+    }
+    for (const candidate of candidates) {
+        if (await fileExists(path.join(dataDir, candidate))) return { relativePath: candidate, found: true };
+    }
+    return { relativePath: candidates[0] || null, found: false };
+}
+
+async function importLegacyPolicies(dataDir, legacyPolicies, state, report) {
+    for (const [policyName, legacyPolicy] of Object.entries(legacyPolicies)) {
+        if (state.policies[policyName]) {
+            report.skipped.push(`${policyName} (already in store)`);
+            continue;
+        }
+
+        const policy = {
+            createdAt: legacyPolicy.createdAt || new Date().toISOString(),
+            contributors: {},
+            totalAnnotations: 0,
+            lastUpdated: legacyPolicy.lastUpdated || legacyPolicy.createdAt
+        };
+
+        for (const [studentName, contributor] of Object.entries(legacyPolicy.contributors || {})) {
+            const uploads = [];
+            for (const upload of contributor.uploads || []) {
+                const { filePath, ...record } = upload;
+                const { relativePath, found } = await locateUpload(dataDir, policyName, upload);
+                if (!found) report.missingFiles.push(`${policyName}/${studentName}/${upload.storedAs || upload.filename}`);
+                uploads.push({ ...record, relativePath });
+            }
+            policy.contributors[studentName] = {
+                uploads,
+                email: contributor.email || '',
+                university: contributor.university || '',
+                totalAnnotations: 0
+            };
+        }
+
+        state.policies[policyName] = policy;
+        report.importedPolicies.push(policyName);
+    }
+}
+
+// projects.json predates per-student uploads: each entry points at a split
+// export directory. Every task file in it becomes one upload.
+async function importLegacyProjects(dataDir, legacyProjects, state, report) {
+    for (const [projectName, project] of Object.entries(legacyProjects)) {
+        if (state.policies[projectName]) {
+            report.skipped.push(`${projectName} (already in store)`);
+            continue;
+        }
+
+        const relativeDir = relativeToDataDir(project.directory) || projectName;
+        let files;
+        try {
+            files = (await fs.readdir(path.join(dataDir, relativeDir))).filter(f => f.endsWith('.json'));
+        } catch (error) {
+            report.skipped.push(`${projectName} (directory not found: ${relativeDir})`);
+            continue;
+        }
+
+        const studentName = Object.keys(project.contributors || {})[0] || 'System Upload';
+        const uploads = [];
+        for (const file of files) {
+            const relativePath = path.posix.join(relativeDir, file);
+            let annotationCount = 0;
+            try {
+                annotationCount = countAnnotations(JSON.parse(await fs.readFile(path.join(dataDir, relativePath), 'utf8')));
+            } catch (error) {
+                report.missingFiles.push(`${projectName}/${file} (${error.message})`);
+            }
+            uploads.push({
+                filename: file,
+                storedAs: file,
+                relativePath,
+                annotationCount,
+                uploadedAt: project.lastUpdated || project.createdAt,
+                source: 'import'
+            });
+        }
+
+        state.policies[projectName] = {
+            createdAt: project.createdAt || new Date().toISOString(),
+            contributors: {
+                [studentName]: { uploads, email: '', university: '', totalAnnotations: 0 }
+            },
+            totalAnnotations: 0,
+            lastUpdated: project.lastUpdated || project.createdAt
+        };
+        report.importedPolicies.push(projectName);
+    }
+}
+
+async function importLegacyMetadata({ dataDir = DATA_DIR, force = false } = {}) {
+    const store = createMetadataStore({ dataDir });
+    if (!force && await store.exists()) {
+        console.log(`Metadata store already exists at ${store.file}; skipping legacy import.`);
+        return { skipped: true };
+    }
+
+    const legacyPolicies = await readJsonIfExists(path.join(dataDir, 'policies.json')) || {};
+    const legacyProjects = await readJsonIfExists(path.join(dataDir, 'projects.json')) || {};
+    const report = { importedPolicies: [], skipped: [], missingFiles: [] };
+
+    await store.transaction(async state => {
+        await importLegacyPolicies(dataDir, legacyPolicies, state, report);
+        await importLegacyProjects(dataDir, legacyProjects, state, report);
+        state.importedAt = new Date().toISOString();
+    });
+
+    console.log(`Imported ${report.importedPolicies.length} policies into ${store.file}`);
+    report.importedPolicies.forEach(name => console.log(`  + ${name}`));
+    report.skipped.forEach(name => console.log(`  - skipped ${name}`));
+    report.missingFiles.forEach(name => console.warn(`  ! file not found: ${name}`));
+    return report;
+}
+
+if (require.main === module) {
+    importLegacyMetadata({ force: process.argv.includes('--force') })
+        .then(() => process.exit(0))
+        .catch(error => {
+            console.error('Legacy import failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { importLegacyMetadata };
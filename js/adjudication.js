@@ -0,0 +1,367 @@
+/* GKCCI Dashboard – gold-standard adjudication on the policy page
+ *
+ * Walks a reviewer through the disagreement segments of a task (the yellow
+ * and red ones from computeColorAndDetails). Segments whose spans overlap
+ * are reviewed together as one item listing every annotator's version of
+ * the span there; the reviewer keeps, relabels or trims them, then picks
+ * the relations between the spans that were kept. Saving sends the result
+ * to POST /api/policies/:policyName/gold, which stores it as a
+ * ground_truth annotation in its own upload.
+ */
+(function () {
+  'use strict';
+
+  const GOLD_LABELS = ['Sender', 'Subject', 'Information Type', 'Recipient', 'Aim', 'Condition', 'Modalities', 'NotModalities', 'Consequence'];
+
+  // The adjudication in progress: { task, items, index, relationChoices, ... }
+  let session = null;
+
+  function majority(users, allUsers) {
+    return users.size > allUsers.size / 2;
+  }
+
+  // Text node an XPath from Label Studio points at ('' when it is gone)
+  function nodeText(container, path) {
+    const range = lsRangeFromXPathOffsets(container, path, 0, path, 0);
+    return range?.startContainer?.nodeValue || '';
+  }
+
+  // ---------- items ----------
+  // Spans that share a segment, directly or through other spans, form one
+  // item. Items with a yellow or red segment need review; the rest start
+  // out with the spans most annotators drew.
+  function buildItems(segments, allUsers) {
+    const parent = new Map();
+    const find = span => {
+      while (parent.get(span) !== span) span = parent.get(span);
+      return span;
+    };
+    segments.forEach(seg => seg.covering.forEach(span => { if (!parent.has(span)) parent.set(span, span); }));
+    segments.forEach(seg => seg.covering.slice(1).forEach(span => parent.set(find(span), find(seg.covering[0]))));
+
+    const groups = new Map();
+    segments.forEach(seg => {
+      const root = find(seg.covering[0]);
+      if (!groups.has(root)) groups.set(root, { spans: new Set(), classes: new Set() });
+      const group = groups.get(root);
+      seg.covering.forEach(span => group.spans.add(span));
+      group.classes.add(seg.className);
+    });
+
+    const items = [...groups.values()].map(({ spans, classes }) => {
+      const candidates = new Map();
+      spans.forEach(span => {
+        const key = `${span.startPath}|${span.startOffset}|${span.endPath}|${span.endOffset}|${span.label}`;
+        if (!candidates.has(key)) {
+          candidates.set(key, {
+            label: span.label,
+            text: span.text,
+            startPath: span.startPath,
+            endPath: span.endPath,
+            startOffset: span.startOffset,
+            endOffset: span.endOffset,
+            result: span.result,
+            range: span.range,
+            users: new Set(),
+            spans: []
+          });
+        }
+        const candidate = candidates.get(key);
+        candidate.users.add(span.user);
+        candidate.spans.push(span);
+      });
+      const list = [...candidates.values()].sort((a, b) => a.range.compareBoundaryPoints(Range.START_TO_START, b.range));
+      list.forEach(c => {
+        c.decision = { keep: majority(c.users, allUsers), label: c.label, text: c.text, startOffset: c.startOffset, endOffset: c.endOffset };
+      });
+      const status = classes.has('red') ? 'conflict' : classes.has('yellow') ? 'partial' : 'agreed';
+      return { status, candidates: list, reviewed: false };
+    });
+
+    items.forEach(item => {
+      if (item.status === 'agreed' && !item.candidates.some(c => c.decision.keep)) item.status = 'partial';
+    });
+    items.sort((a, b) => a.candidates[0].range.compareBoundaryPoints(Range.START_TO_START, b.candidates[0].range));
+    // Stable names for the relation choices, whichever spans end up kept
+    items.forEach((item, i) => item.candidates.forEach((c, j) => { c.uid = `${i}.${j}`; }));
+    return items;
+  }
+
+  // Moves a span to `text` inside its own text node, as near its old start
+  // as possible. Returns { startOffset, endOffset } or null.
+  function relocate(container, candidate, text) {
+    if (!text || candidate.startPath !== candidate.endPath) return null;
+    const source = nodeText(container, candidate.startPath);
+    let best = -1;
+    for (let i = source.indexOf(text); i !== -1; i = source.indexOf(text, i + 1)) {
+      if (best === -1 || Math.abs(i - candidate.startOffset) < Math.abs(best - candidate.startOffset)) best = i;
+    }
+    return best === -1 ? null : { startOffset: best, endOffset: best + text.length };
+  }
+
+  // ---------- gold spans and relations ----------
+  function goldSpans(items) {
+    const spans = [];
+    items.forEach(item => item.candidates.forEach(c => {
+      if (!c.decision.keep) return;
+      spans.push({ id: `gold_${spans.length + 1}`, candidate: c, item });
+    }));
+    return spans;
+  }
+
+  // Gold span an annotator's span ended up in: its own version when kept,
+  // otherwise a kept span of the same item with the label it had
+  function goldSpanOf(span, spans) {
+    const own = spans.find(g => g.candidate.spans.includes(span));
+    if (own) return own;
+    const item = spans.find(g => g.item.candidates.some(c => c.spans.includes(span)))?.item;
+    return spans.find(g => g.item === item && g.candidate.decision.label === span.label) || null;
+  }
+
+  // Every annotator's relations moved onto the gold spans, merged when they
+  // join the same spans the same way; each keeps the choice made before
+  function candidateRelations(task, spans, allUsers, choices) {
+    const spansByResult = new Map();
+    spans.forEach(g => g.item.candidates.forEach(c => c.spans.forEach(span => {
+      spansByResult.set(`${span.user}|${span.resultId}`, span);
+    })));
+
+    const relations = new Map();
+    (task.annotations || []).forEach(annObj => {
+      const user = annObj.completed_by?.email || annObj.completed_by || 'Unknown';
+      (annObj.result || []).forEach(r => {
+        if (r.type !== 'relation') return;
+        const arrow = directedRelation(r);
+        const fromSpan = spansByResult.get(`${user}|${arrow.from}`);
+        const toSpan = spansByResult.get(`${user}|${arrow.to}`);
+        const from = fromSpan && goldSpanOf(fromSpan, spans);
+        const to = toSpan && goldSpanOf(toSpan, spans);
+        if (!from || !to || from === to) return;
+        const [a, b] = [from.candidate.uid, to.candidate.uid];
+        const ends = arrow.bidirectional ? [a, b].sort().join('<->') : `${a}->${b}`;
+        const key = `${ends}|${[...arrow.labels].sort().join('|')}`;
+        if (!relations.has(key)) relations.set(key, { key, from, to, bidirectional: arrow.bidirectional, labels: arrow.labels, users: new Set() });
+        relations.get(key).users.add(user);
+      });
+    });
+    const list = [...relations.values()];
+    list.forEach(rel => { rel.keep = choices.has(rel.key) ? choices.get(rel.key) : majority(rel.users, allUsers); });
+    return list;
+  }
+
+  function goldResult(spans, relations) {
+    const labels = spans.map(g => {
+      const c = g.candidate;
+      return {
+        id: g.id,
+        type: 'labels',
+        from_name: c.result?.from_name || 'label',
+        to_name: c.result?.to_name || 'text',
+        origin: 'manual',
+        value: {
+          start: c.startPath,
+          end: c.endPath,
+          startOffset: c.decision.startOffset,
+          endOffset: c.decision.endOffset,
+          text: c.decision.text,
+          labels: [c.decision.label]
+        }
+      };
+    });
+    const arrows = relations.filter(rel => rel.keep).map(rel => ({
+      type: 'relation',
+      from_id: rel.from.id,
+      to_id: rel.to.id,
+      direction: rel.bidirectional ? 'bi' : 'right',
+      labels: rel.labels
+    }));
+    return [...labels, ...arrows];
+  }
+
+  // ---------- rendering ----------
+  function spanName(g) {
+    const text = g.candidate.decision.text;
+    return `<b>${escapeHtml(g.candidate.decision.label)}</b> “${escapeHtml(text.length > 40 ? `${text.slice(0, 40)}…` : text)}”`;
+  }
+
+  // The item's text node with its spans underlined, trimmed to some context
+  function itemContext(item) {
+    const { container } = session;
+    const first = item.candidates[0];
+    const source = nodeText(container, first.startPath);
+    if (!source) return escapeHtml(first.text);
+    const sameNode = item.candidates.filter(c => c.startPath === first.startPath && c.endPath === first.startPath);
+    const start = Math.min(...sameNode.map(c => c.startOffset));
+    const end = Math.max(...sameNode.map(c => c.endOffset));
+    const from = Math.max(0, start - 120);
+    const to = Math.min(source.length, end + 120);
+    return `${from > 0 ? '…' : ''}${escapeHtml(source.slice(from, start))}<u>${escapeHtml(source.slice(start, end))}</u>${escapeHtml(source.slice(end, to))}${to < source.length ? '…' : ''}`;
+  }
+
+  function renderItem(item) {
+    const statusText = { conflict: '❌ Conflicting labels', partial: '⚠️ Partial agreement', agreed: '✅ Agreed' }[item.status];
+    return `
+      <div class="adjudication-context">${itemContext(item)}</div>
+      <div style="margin:8px 0;">${statusText} • ${item.candidates.length} version${item.candidates.length === 1 ? '' : 's'} of this span</div>
+      <table class="adjudication-table">
+        <thead><tr><th>Keep</th><th>Label</th><th>Span text</th><th>Annotators</th></tr></thead>
+        <tbody>
+          ${item.candidates.map((c, i) => `
+            <tr data-index="${i}">
+              <td><input type="checkbox" class="adj-keep" ${c.decision.keep ? 'checked' : ''}></td>
+              <td><select class="adj-label">
+                ${[...new Set([...GOLD_LABELS, c.decision.label])].map(l =>
+                  `<option ${l === c.decision.label ? 'selected' : ''}>${escapeHtml(l)}</option>`).join('')}
+              </select></td>
+              <td>
+                <input type="text" class="adj-text" value="${escapeHtml(c.decision.text)}" style="width:100%;">
+                <div class="adj-error" style="color:#c0392b;font-size:12px;"></div>
+              </td>
+              <td style="font-size:12px;">${[...c.users].map(escapeHtml).join('<br>')}</td>
+            </tr>`).join('')}
+        </tbody>
+      </table>
+      <div class="note">Uncheck every version to leave this span out of the gold annotation.
+        Edit the text to move a span's boundaries within its paragraph.</div>`;
+  }
+
+  function renderRelations() {
+    const spans = goldSpans(session.items);
+    session.relations = candidateRelations(session.task, spans, session.allUsers, session.relationChoices);
+    if (!session.relations.length) {
+      return '<div class="note">None of the annotators\' relations join two of the kept spans.</div>';
+    }
+    return `
+      <div style="margin-bottom:8px;">Relations drawn between the kept spans (${session.relations.length}):</div>
+      ${session.relations.map((rel, i) => `
+        <label class="adjudication-relation">
+          <input type="checkbox" class="adj-relation" data-index="${i}" ${rel.keep ? 'checked' : ''}>
+          ${spanName(rel.from)} ${rel.bidirectional ? '↔' : '→'} ${spanName(rel.to)}
+          ${rel.labels.length ? `<i>(${escapeHtml(rel.labels.join(', '))})</i>` : ''}
+          <span style="color:#888;">• ${rel.users.size} of ${session.allUsers.size} annotators</span>
+        </label>`).join('')}`;
+  }
+
+  function render() {
+    const body = document.getElementById('adjudicationBody');
+    if (!body) return;
+    const { items, review } = session;
+    const onRelations = session.index >= review.length;
+    const reviewed = review.filter(item => item.reviewed).length;
+    const gold = session.task.goldAnnotations || [];
+
+    body.innerHTML = `
+      <div class="adjudication-nav">
+        <button type="button" id="adjPrev" ${session.index === 0 ? 'disabled' : ''}>← Prev</button>
+        <strong>${onRelations ? 'Relations' : `Disagreement ${session.index + 1} of ${review.length}`}</strong>
+        <button type="button" id="adjNext" ${onRelations ? 'disabled' : ''}>${session.index === review.length - 1 ? 'Relations →' : 'Next →'}</button>
+        <span style="flex:1;"></span>
+        <button type="button" id="adjSave" class="action-btn btn-primary">💾 Save gold annotation</button>
+      </div>
+      <div class="note">
+        ${reviewed} of ${review.length} disagreements reviewed; the rest keep the spans most annotators drew.
+        ${items.length - review.length} agreed spans are kept as they are.
+        ${gold.length ? 'This task already has a gold annotation; saving replaces it.' : ''}
+      </div>
+      <div class="adjudication-item">${onRelations ? renderRelations() : renderItem(review[session.index])}</div>`;
+
+    body.querySelector('#adjPrev').addEventListener('click', () => go(session.index - 1));
+    body.querySelector('#adjNext').addEventListener('click', () => go(session.index + 1));
+    body.querySelector('#adjSave').addEventListener('click', save);
+
+    if (onRelations) {
+      body.querySelectorAll('.adj-relation').forEach(box => box.addEventListener('change', () => {
+        const rel = session.relations[Number(box.dataset.index)];
+        rel.keep = box.checked;
+        session.relationChoices.set(rel.key, box.checked);
+      }));
+      return;
+    }
+    const item = review[session.index];
+    body.querySelectorAll('.adjudication-table tbody tr').forEach(row => {
+      const c = item.candidates[Number(row.dataset.index)];
+      row.querySelector('.adj-keep').addEventListener('change', e => { c.decision.keep = e.target.checked; item.reviewed = true; });
+      row.querySelector('.adj-label').addEventListener('change', e => { c.decision.label = e.target.value; item.reviewed = true; });
+      row.querySelector('.adj-text').addEventListener('change', e => {
+        const text = e.target.value.trim();
+        const error = row.querySelector('.adj-error');
+        const moved = relocate(session.container, c, text);
+        if (!moved) {
+          error.textContent = 'This text is not in the span\'s paragraph; the span is unchanged.';
+          e.target.value = c.decision.text;
+          return;
+        }
+        error.textContent = '';
+        Object.assign(c.decision, moved, { text });
+        item.reviewed = true;
+      });
+    });
+  }
+
+  function go(index) {
+    const item = session.review[session.index];
+    if (item) item.reviewed = true;
+    session.index = Math.max(0, Math.min(index, session.review.length));
+    render();
+  }
+
+  async function save() {
+    const spans = goldSpans(session.items);
+    session.relations = candidateRelations(session.task, spans, session.allUsers, session.relationChoices);
+    const result = goldResult(spans, session.relations);
+    const open = session.review.filter(item => !item.reviewed).length;
+    const message = `Save a gold annotation with ${spans.length} spans and ${result.length - spans.length} relations?`
+      + (open ? `\n${open} disagreements were not reviewed and keep the majority choice.` : '');
+    if (!confirm(message)) return;
+
+    const button = document.getElementById('adjSave');
+    if (button) button.disabled = true;
+    try {
+      await apiJson(`/policies/${encodeURIComponent(session.policyName)}/gold`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'same-origin',
+        body: JSON.stringify({ taskId: session.task.id, result, adjudicatedFrom: [...session.allUsers] })
+      });
+      showNotification('Gold annotation saved', 'success');
+      const onSaved = session.onSaved;
+      closeAdjudication();
+      if (onSaved) onSaved();
+    } catch (err) {
+      showNotification(`Could not save the gold annotation: ${err.message}`, 'error');
+      if (button) button.disabled = false;
+    }
+  }
+
+  // Opens the adjudication modal for a task processed by processTask
+  function openAdjudication({ task, segments, allUsers, container, policyName, onSaved }) {
+    const modal = document.getElementById('adjudicationModal');
+    if (!modal) return;
+    const items = buildItems(segments, allUsers);
+    session = {
+      task,
+      container,
+      policyName,
+      onSaved,
+      allUsers,
+      items,
+      review: items.filter(item => item.status !== 'agreed'),
+      index: 0,
+      relationChoices: new Map(),
+      relations: null
+    };
+    const title = document.getElementById('adjudicationTitle');
+    if (title) title.textContent = `⚖️ Adjudicate Task #${task.id ?? 1}`;
+    modal.style.display = 'flex';
+    render();
+  }
+
+  function closeAdjudication() {
+    const modal = document.getElementById('adjudicationModal');
+    if (modal) modal.style.display = 'none';
+    session = null;
+  }
+
+  window.openAdjudication = openAdjudication;
+  window.closeAdjudication = closeAdjudication;
+})();
@@ -0,0 +1,271 @@
+/* GKCCI Dashboard – probabilistic label aggregation
+ *
+ * Estimates the "true" label of every XPath segment of a task (the pieces
+ * processTask cuts the annotated text into) from all annotators at once,
+ * weighting each annotator by how reliable they turn out to be instead of
+ * counting votes. Two models are available:
+ *
+ * - Dawid–Skene (1979): every annotator has a confusion matrix, the chance
+ *   of answering each label given the true one.
+ * - MACE (Hovy et al. 2013): every annotator either knows the true label or
+ *   spams, with a competence (the chance of knowing) and a spamming
+ *   distribution over labels.
+ *
+ * Both are fitted with EM. An annotator who did not cover a segment answered
+ * NO_LABEL there; one who gave it several labels splits their answer between
+ * them. Loaded as a plain script by policyPage.html; no DOM access, so it can
+ * also be required from Node.
+ */
+
+const NO_LABEL = '(none)';
+
+// ---------- responses ----------
+// Segments → { classes, items } where items[i][j] lists annotator j's answer
+// on segment i as [[class index, weight]], the weights summing to 1.
+function segmentResponses(segments, users) {
+  const labels = new Set();
+  segments.forEach(seg => (seg.covering || []).forEach(span => { if (span.label) labels.add(span.label); }));
+  const classes = [...labels].sort().concat(NO_LABEL);
+  const none = classes.length - 1;
+
+  const items = segments.map(seg => users.map(user => {
+    const given = [...new Set((seg.covering || []).filter(span => span.user === user && span.label).map(span => span.label))];
+    return given.length ? given.map(label => [classes.indexOf(label), 1 / given.length]) : [[none, 1]];
+  }));
+  return { classes, items };
+}
+
+// Posteriors from unnormalized log scores
+function normalizeLog(scores) {
+  const max = Math.max(...scores);
+  const exp = scores.map(s => Math.exp(s - max));
+  const total = exp.reduce((a, b) => a + b, 0);
+  return exp.map(e => e / total);
+}
+
+// Vote shares per segment, the starting point of both models
+function softVotes(items, classCount) {
+  return items.map(answers => {
+    const votes = new Array(classCount).fill(0);
+    answers.forEach(answer => answer.forEach(([k, w]) => { votes[k] += w; }));
+    return votes.map(v => v / answers.length);
+  });
+}
+
+function largestChange(before, after) {
+  let change = 0;
+  before.forEach((row, i) => row.forEach((p, k) => { change = Math.max(change, Math.abs(p - after[i][k])); }));
+  return change;
+}
+
+// ---------- Dawid–Skene ----------
+// Returns { posteriors, priors, confusion, iterations, converged } where
+// confusion[j][k][l] is the chance that annotator j answers l when the true
+// class is k. `smoothing` is added to every count so unseen answers keep a
+// small probability.
+function dawidSkene(items, classCount, { maxIterations = 100, tolerance = 1e-4, smoothing = 0.01 } = {}) {
+  const annotatorCount = items.length ? items[0].length : 0;
+  let posteriors = softVotes(items, classCount);
+  let priors = [];
+  let confusion = [];
+  let iterations = 0;
+  let converged = false;
+
+  while (iterations < maxIterations && !converged) {
+    iterations++;
+
+    // M-step: class priors and confusion matrices from the current posteriors
+    priors = new Array(classCount).fill(smoothing);
+    posteriors.forEach(row => row.forEach((p, k) => { priors[k] += p; }));
+    const priorTotal = priors.reduce((a, b) => a + b, 0);
+    priors = priors.map(p => p / priorTotal);
+
+    confusion = Array.from({ length: annotatorCount }, () =>
+      Array.from({ length: classCount }, () => new Array(classCount).fill(smoothing)));
+    items.forEach((answers, i) => answers.forEach((answer, j) => answer.forEach(([l, w]) => {
+      posteriors[i].forEach((p, k) => { confusion[j][k][l] += p * w; });
+    })));
+    confusion.forEach(matrix => matrix.forEach((row, k) => {
+      const total = row.reduce((a, b) => a + b, 0);
+      matrix[k] = row.map(c => c / total);
+    }));
+
+    // E-step: posterior of every class given all answers
+    const next = items.map(answers => normalizeLog(priors.map((prior, k) => {
+      let score = Math.log(prior);
+      answers.forEach((answer, j) => answer.forEach(([l, w]) => { score += w * Math.log(confusion[j][k][l]); }));
+      return score;
+    })));
+    converged = largestChange(posteriors, next) < tolerance;
+    posteriors = next;
+  }
+  return { posteriors, priors, confusion, iterations, converged };
+}
+
+// ---------- MACE ----------
+// Returns { posteriors, competence, spamming, iterations, converged }, with
+// competence[j] the chance that annotator j knows the label and spamming[j]
+// the labels they give when they don't. True classes have a uniform prior,
+// as in the paper; the smoothing terms stand in for its Beta and Dirichlet
+// priors.
+function mace(items, classCount, { maxIterations = 100, tolerance = 1e-4, smoothing = 0.01, initialCompetence = 0.5 } = {}) {
+  const annotatorCount = items.length ? items[0].length : 0;
+  let competence = new Array(annotatorCount).fill(initialCompetence);
+  let spamming = Array.from({ length: annotatorCount }, () => new Array(classCount).fill(1 / classCount));
+  let posteriors = softVotes(items, classCount);
+  let iterations = 0;
+  let converged = false;
+
+  // Chance of answer l from annotator j when the true class is k
+  const answerChance = (j, k, l) => (k === l ? competence[j] : 0) + (1 - competence[j]) * spamming[j][l];
+
+  while (iterations < maxIterations && !converged) {
+    iterations++;
+
+    // M-step: expected counts of knowing and spamming, given the posteriors
+    const knew = new Array(annotatorCount).fill(smoothing);
+    const spammed = new Array(annotatorCount).fill(smoothing);
+    const spamCounts = Array.from({ length: annotatorCount }, () => new Array(classCount).fill(smoothing));
+    items.forEach((answers, i) => answers.forEach((answer, j) => answer.forEach(([l, w]) => {
+      posteriors[i].forEach((p, k) => {
+        if (!p) return;
+        const knowing = k === l ? competence[j] / answerChance(j, k, l) : 0;
+        knew[j] += p * w * knowing;
+        spammed[j] += p * w * (1 - knowing);
+        spamCounts[j][l] += p * w * (1 - knowing);
+      });
+    })));
+    competence = knew.map((k, j) => k / (k + spammed[j]));
+    spamming = spamCounts.map(row => {
+      const total = row.reduce((a, b) => a + b, 0);
+      return row.map(c => c / total);
+    });
+
+    // E-step
+    const next = items.map(answers => normalizeLog(Array.from({ length: classCount }, (_, k) => {
+      let score = 0;
+      answers.forEach((answer, j) => answer.forEach(([l, w]) => { score += w * Math.log(answerChance(j, k, l)); }));
+      return score;
+    })));
+    converged = largestChange(posteriors, next) < tolerance;
+    posteriors = next;
+  }
+  return { posteriors, competence, spamming, iterations, converged };
+}
+
+// ---------- segments → consensus ----------
+// Fits `method` ('dawid-skene' or 'mace') to the segments of one task.
+// Segments are processTask's { startPath, endPath, startOffset, endOffset,
+// covering, text }, in text order. Returns
+//   { method, iterations, converged, classes,
+//     segments: [{ label, confidence, posterior: { class: p } }],
+//     annotators: [{ user, reliability, agreement, byLabel }],
+//     consensus: [{ label, startPath, endPath, startOffset, endOffset, text, confidence, segments }] }
+// label is null where the model's best guess is that nobody should have
+// labeled the segment. reliability is the annotator's expected accuracy
+// (Dawid–Skene) or competence (MACE); agreement is the share of segments
+// where their answer is the consensus label; byLabel (Dawid–Skene only) is the
+// chance they give each label when it is the true one. Confidence is the
+// posterior of the chosen label, and a consensus span's confidence the lowest
+// of its segments'.
+function aggregateSegments(segments, allUsers, { method = 'dawid-skene', ...options } = {}) {
+  const users = [...allUsers];
+  const { classes, items } = segmentResponses(segments, users);
+  const fit = method === 'mace' ? mace(items, classes.length, options) : dawidSkene(items, classes.length, options);
+  const round = value => Math.round(value * 1000) / 1000;
+
+  const best = fit.posteriors.map(row => row.reduce((top, p, k) => (p > row[top] ? k : top), 0));
+  const segmentResults = fit.posteriors.map((row, i) => ({
+    label: classes[best[i]] === NO_LABEL ? null : classes[best[i]],
+    confidence: round(row[best[i]]),
+    posterior: Object.fromEntries(classes.map((c, k) => [c, round(row[k])]))
+  }));
+
+  const annotators = users.map((user, j) => {
+    const agreed = items.reduce((sum, answers, i) =>
+      sum + answers[j].filter(([k]) => k === best[i]).reduce((s, [, w]) => s + w, 0), 0);
+    const reliability = method === 'mace'
+      ? fit.competence[j]
+      : fit.priors.reduce((sum, prior, k) => sum + prior * fit.confusion[j][k][k], 0);
+    return {
+      user,
+      reliability: round(reliability),
+      agreement: items.length ? round(agreed / items.length) : null,
+      byLabel: method === 'mace' ? null : classes.slice(0, -1).map((label, k) => ({ label, accuracy: round(fit.confusion[j][k][k]) }))
+    };
+  }).sort((a, b) => b.reliability - a.reliability);
+
+  // Neighbouring segments of the same text node with the same label form one span
+  const consensus = [];
+  segments.forEach((seg, i) => {
+    const { label, confidence } = segmentResults[i];
+    if (!label) return;
+    const last = consensus[consensus.length - 1];
+    if (last && last.label === label && last.endPath === seg.startPath && last.endOffset === seg.startOffset) {
+      last.endOffset = seg.endOffset;
+      last.text += seg.text || '';
+      last.confidence = Math.min(last.confidence, confidence);
+      last.segments++;
+      return;
+    }
+    consensus.push({
+      label,
+      startPath: seg.startPath,
+      endPath: seg.endPath,
+      startOffset: seg.startOffset,
+      endOffset: seg.endOffset,
+      text: seg.text || '',
+      confidence,
+      segments: 1
+    });
+  });
+
+  return {
+    method,
+    iterations: fit.iterations,
+    converged: fit.converged,
+    classes,
+    segments: segmentResults,
+    annotators,
+    consensus
+  };
+}
+
+// The consensus as a Label Studio prediction ({ model_version, score, result }),
+// which can be imported next to the task's annotations. Each span carries
+// its confidence as `score`; the prediction's score is their mean.
+function consensusPrediction(aggregation) {
+  const result = aggregation.consensus.map((span, i) => ({
+    id: `consensus_${i + 1}`,
+    type: 'labels',
+    from_name: 'label',
+    to_name: 'text',
+    origin: 'prediction',
+    score: span.confidence,
+    value: {
+      start: span.startPath,
+      end: span.endPath,
+      startOffset: span.startOffset,
+      endOffset: span.endOffset,
+      text: span.text,
+      labels: [span.label]
+    }
+  }));
+  const score = result.length ? result.reduce((sum, r) => sum + r.score, 0) / result.length : null;
+  return {
+    model_version: aggregation.method,
+    score: score == null ? null : Math.round(score * 1000) / 1000,
+    result
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    NO_LABEL,
+    segmentResponses,
+    dawidSkene,
+    mace,
+    aggregateSegments,
+    consensusPrediction
+  };
+}
@@ -0,0 +1,1191 @@
+/* GKCCI Dashboard – inter-annotator agreement metrics
+ *
+ * Loaded as a plain script by policyPage.html and required by server.js, so
+ * the policy page and GET /api/policies/:policyName/agreement compute the
+ * same numbers. Spans are { user, label, start, end } with start/end as
+ * text offsets; percentages are rounded to whole numbers.
+ */
+
+// ---------- ground truth ----------
+// Adjudicated gold annotations (ground_truth: true) are an answer key rather
+// than another annotator, so agreement only compares the other annotations.
+function isGroundTruth(annObj) {
+  return annObj?.ground_truth === true;
+}
+
+function withoutGroundTruth(task) {
+  const annotations = task.annotations || [];
+  return annotations.some(isGroundTruth) ? { ...task, annotations: annotations.filter(a => !isGroundTruth(a)) } : task;
+}
+
+// ---------- spans ----------
+// Text-offset spans of one task. Uses the globalOffsets added on upload,
+// so no task has to be rendered.
+function taskAgreementSpans(task) {
+  const allUsers = new Set();
+  const spans = [];
+  (task.annotations || []).forEach(annObj => {
+    const user = annObj.completed_by?.email || annObj.completed_by || 'Unknown';
+    allUsers.add(user);
+    (annObj.result || []).forEach(r => {
+      const offsets = r.value?.globalOffsets;
+      if (r.type !== 'labels' || !offsets) return;
+      const label = Array.isArray(r.value.labels) ? r.value.labels[0] : (r.value.labels || null);
+      spans.push({ user, label, start: Number(offsets.start), end: Number(offsets.end) });
+    });
+  });
+  return { spans, allUsers };
+}
+
+function summarizeTask(annotatedTask) {
+  const task = withoutGroundTruth(annotatedTask);
+  const { spans, allUsers } = taskAgreementSpans(task);
+  const comparable = spans.length > 0 && allUsers.size > 1;
+  const f1Metrics = comparable ? calculateF1Metrics(spans, allUsers) : null;
+  const chance = comparable ? calculateChanceAgreement(task, spans, allUsers) : null;
+  const chanceOf = (list, find) => (chance && list.find(find)) || {};
+  return {
+    annotators: allUsers,
+    spanCount: spans.length,
+    comparable,
+    f1: f1Metrics ? f1Metrics.f1Score : null,
+    precision: f1Metrics ? f1Metrics.precision : null,
+    recall: f1Metrics ? f1Metrics.recall : null,
+    jaccard: comparable ? calculateJaccardMetrics(spans, allUsers).jaccard : null,
+    cohenKappa: chance ? chance.overall.cohenKappa : null,
+    fleissKappa: chance ? chance.overall.fleissKappa : null,
+    alpha: chance ? chance.overall.alpha : null,
+    fullAgreements: countFullAgreements(spans),
+    relations: allUsers.size > 1 ? calculateRelationAgreement(taskAgreementRelations(task), allUsers) : null,
+    tuples: allUsers.size > 1 ? calculateTupleAgreement(taskRelationFlows(task), allUsers) : null,
+    byLabel: comparable ? calculateF1ByLabel(spans, allUsers).map(entry => {
+      const { cohenKappa = null, fleissKappa = null, alpha = null } = chanceOf(chance.byLabel, c => c.label === entry.label);
+      return { ...entry, cohenKappa, fleissKappa, alpha };
+    }) : [],
+    pairs: comparable ? calculatePairwiseF1(spans, allUsers).map(pair => {
+      const { kappa = null } = chanceOf(chance.pairs, c => c.annotators.join() === pair.annotators.join());
+      return { ...pair, kappa };
+    }) : []
+  };
+}
+
+// Spans (same start and end) marked by more than one annotator, all with the same label
+function countFullAgreements(annSpans) {
+  const grouped = {};
+  annSpans.forEach(a => { (grouped[`${a.start}-${a.end}`] ||= []).push(a); });
+  return Object.values(grouped).filter(list => {
+    const labels = [...new Set(list.map(x => x.label))];
+    const users = [...new Set(list.map(x => x.user))];
+    return labels.length === 1 && users.length > 1;
+  }).length;
+}
+
+// ---------- metrics ----------
+function calculatePairwiseMetrics(spans1, spans2) {
+  if (spans1.length === 0 && spans2.length === 0) return { precision: 1, recall: 1 };
+  if (spans1.length === 0 || spans2.length === 0) return { precision: 0, recall: 0 };
+
+  const tp = matchSpans(spans1, spans2).length;
+  return { precision: tp / spans1.length, recall: tp / spans2.length };
+}
+
+// One-to-one span matches as [[i, j]]: each span of spans1 takes the first
+// free span of spans2 it overlaps with the same label
+function matchSpans(spans1, spans2) {
+  const matches = [];
+  const used2 = new Set();
+  spans1.forEach((s1, i) => {
+    for (let j = 0; j < spans2.length; j++) {
+      if (used2.has(j)) continue;
+      const s2 = spans2[j];
+      if (spansOverlap(s1, s2) && s1.label === s2.label) { matches.push([i, j]); used2.add(j); break; }
+    }
+  });
+  return matches;
+}
+
+function spansOverlap(a, b) {
+  const os = Math.max(a.start, b.start);
+  const oe = Math.min(a.end, b.end);
+  return os < oe;
+}
+
+function calculateF1Metrics(annSpans, allUsers) {
+  if (annSpans.length === 0 || allUsers.size < 2) return { precision: 0, recall: 0, f1Score: 0 };
+  const annotatorSpans = {};
+  annSpans.forEach(s => { (annotatorSpans[s.user] ||= []).push({ start: s.start, end: s.end, label: s.label }); });
+  const annotators = Object.keys(annotatorSpans);
+  if (annotators.length < 2) return { precision: 0, recall: 0, f1Score: 0 };
+
+  let totalP = 0, totalR = 0, cmp = 0;
+  for (let i = 0; i < annotators.length; i++) {
+    for (let j = i + 1; j < annotators.length; j++) {
+      const { precision, recall } = calculatePairwiseMetrics(annotatorSpans[annotators[i]], annotatorSpans[annotators[j]]);
+      totalP += precision; totalR += recall; cmp++;
+    }
+  }
+  if (!cmp) return { precision: 0, recall: 0, f1Score: 0 };
+  const avgP = totalP / cmp, avgR = totalR / cmp;
+  const f1 = (avgP + avgR > 0) ? (2 * avgP * avgR) / (avgP + avgR) : 0;
+  return { precision: Math.round(avgP * 100), recall: Math.round(avgR * 100), f1Score: Math.round(f1 * 100) };
+}
+
+// Precision/recall/F1 of every pair of annotators, as
+// [{ annotators: [a, b], precision, recall, f1 }]
+function calculatePairwiseF1(annSpans, allUsers) {
+  const annotators = Array.from(allUsers);
+  const pairs = [];
+  for (let i = 0; i < annotators.length; i++) {
+    for (let j = i + 1; j < annotators.length; j++) {
+      const spansA = annSpans.filter(s => s.user === annotators[i]);
+      const spansB = annSpans.filter(s => s.user === annotators[j]);
+      const { precision, recall } = calculatePairwiseMetrics(spansA, spansB);
+      const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+      pairs.push({
+        annotators: [annotators[i], annotators[j]],
+        precision: Math.round(precision * 100),
+        recall: Math.round(recall * 100),
+        f1: Math.round(f1 * 100)
+      });
+    }
+  }
+  return pairs;
+}
+
+// ---------- Flow-relaxed F1 helpers ----------
+
+function countOverlapSorted(a, b) {
+  let i = 0, j = 0, c = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) { c++; i++; j++; }
+    else if (a[i] < b[j]) i++;
+    else j++;
+  }
+  return c;
+}
+
+function greedyMatch(weightTriples, mA, mB) {
+  weightTriples.sort((x, y) => y.w - x.w);
+  const usedA = new Set(), usedB = new Set(), match = [];
+  for (const { i, j, w } of weightTriples) {
+    if (w <= 0) break;
+    if (!usedA.has(i) && !usedB.has(j)) {
+      usedA.add(i); usedB.add(j);
+      match.push([i, j]);
+    }
+  }
+  return match;
+}
+
+function buildFlowGroups(spans, label) {
+  const byFlow = new Map();
+  spans.forEach(s => {
+    if (s.label !== label) return;
+    if (!s.globalFlowId) return;
+    if (!byFlow.has(s.globalFlowId)) byFlow.set(s.globalFlowId, new Set());
+    for (let k = s.start; k < s.end; k++) byFlow.get(s.globalFlowId).add(k);
+  });
+  return Array.from(byFlow.values()).map(S => Array.from(S).sort((a, b) => a - b));
+}
+
+function flowRelaxedF1ForLabel(spansA, spansB, label) {
+  const A_L = new Set(), B_L = new Set();
+  spansA.forEach(s => { if (s.label === label) for (let k = s.start; k < s.end; k++) A_L.add(k); });
+  spansB.forEach(s => { if (s.label === label) for (let k = s.start; k < s.end; k++) B_L.add(k); });
+
+  const inter = new Set([...A_L].filter(t => B_L.has(t))).size;
+  const FP = A_L.size - inter;
+  const FN = B_L.size - inter;
+  const precN = A_L.size ? inter / (inter + FP) : 1;
+  const recN = B_L.size ? inter / (inter + FN) : 1;
+  const f1N = (precN + recN) ? (2 * precN * recN) / (precN + recN) : 0;
+
+  const Aflows = buildFlowGroups(spansA, label);
+  const Bflows = buildFlowGroups(spansB, label);
+  if (!Aflows.length || !Bflows.length) return f1N;
+
+  const triples = [];
+  for (let i = 0; i < Aflows.length; i++) {
+    for (let j = 0; j < Bflows.length; j++) {
+      const w = countOverlapSorted(Aflows[i], Bflows[j]);
+      if (w > 0) triples.push({ i, j, w });
+    }
+  }
+  const matches = greedyMatch(triples, Aflows.length, Bflows.length);
+  if (!matches.length) return f1N;
+
+  const S = new Set();
+  matches.forEach(([i, j]) => {
+    Aflows[i].forEach(t => S.add(t));
+    Bflows[j].forEach(t => S.add(t));
+  });
+
+  let TP = 0, FP2 = 0, FN2 = 0;
+  S.forEach(t => {
+    const a = A_L.has(t), b = B_L.has(t);
+    if (a && b) TP++;
+    else if (a && !b) FP2++;
+    else if (!a && b) FN2++;
+  });
+
+  const precM = TP + FP2 === 0 ? 1 : TP / (TP + FP2);
+  const recM = TP + FN2 === 0 ? 1 : TP / (TP + FN2);
+  const f1M = (precM + recM) ? (2 * precM * recM) / (precM + recM) : 0;
+
+  return Math.max(f1N, f1M);
+}
+
+function calculateF1ByLabel(annSpans, allUsers) {
+  const labelSet = new Set(annSpans.map(a => a.label).filter(Boolean));
+  const results = [];
+  const annotators = Array.from(allUsers);
+
+  labelSet.forEach(label => {
+    const pairScores = [];
+    for (let i = 0; i < annotators.length; i++) {
+      for (let j = i + 1; j < annotators.length; j++) {
+        const spansA = annSpans.filter(s => s.user === annotators[i]);
+        const spansB = annSpans.filter(s => s.user === annotators[j]);
+        const f1 = flowRelaxedF1ForLabel(spansA, spansB, label);
+        pairScores.push(f1);
+      }
+    }
+    const avgF1 = pairScores.length ? Math.round((pairScores.reduce((a, b) => a + b, 0) / pairScores.length) * 100) : 0;
+    results.push({ label, f1: avgF1 });
+  });
+
+  return results;
+}
+
+function calculateJaccardMetrics(annSpans, allUsers) {
+  if (annSpans.length === 0 || allUsers.size < 2) return { jaccard: 0 };
+  const annotatorSpans = {};
+  annSpans.forEach(s => { (annotatorSpans[s.user] ||= []).push({ start: s.start, end: s.end, label: s.label }); });
+  const annotators = Object.keys(annotatorSpans);
+  if (annotators.length < 2) return { jaccard: 0 };
+
+  let total = 0, cmp = 0;
+  for (let i = 0; i < annotators.length; i++) {
+    for (let j = i + 1; j < annotators.length; j++) {
+      const a = annotatorSpans[annotators[i]];
+      const b = annotatorSpans[annotators[j]];
+      const set1 = new Set(a.map(s => `${s.start}-${s.end}-${s.label}`));
+      const set2 = new Set(b.map(s => `${s.start}-${s.end}-${s.label}`));
+      const inter = new Set([...set1].filter(x => set2.has(x)));
+      const union = new Set([...set1, ...set2]);
+      const jacc = union.size > 0 ? inter.size / union.size : 0;
+      total += jacc; cmp++;
+    }
+  }
+  return { jaccard: Math.round((total / cmp) * 100) };
+}
+
+// ---------- label-level reports ----------
+function generateLabelReports(annSpans, allUsers, task) {
+  const labelReports = {};
+  const labels = [...new Set(annSpans.map(a => a.label).filter(Boolean))];
+  const byLabel = {};
+  labels.forEach(l => { byLabel[l] = annSpans.filter(a => a.label === l); });
+
+  labels.forEach(label => {
+    const spans = byLabel[label];
+    if (!spans.length) return;
+
+    const labelUsers = new Set(spans.map(s => s.user));
+    const coverage = ((labelUsers.size / allUsers.size) * 100).toFixed(1);
+    const count = spans.length;
+    const f1 = calculateF1Metrics(spans, allUsers).f1Score;
+    const distinctSpans = new Set(spans.map(s => `${s.start}-${s.end}`)).size;
+
+    let overlapCount = 0, pairCount = 0;
+    for (let i = 0; i < spans.length; i++) {
+      for (let j = i + 1; j < spans.length; j++) {
+        if (spans[i].user !== spans[j].user) {
+          pairCount++;
+          if (spansOverlap(spans[i], spans[j])) overlapCount++;
+        }
+      }
+    }
+    const overlapRate = pairCount ? ((overlapCount / pairCount) * 100).toFixed(1) : 0;
+
+    const overlapCounts = {};
+    labels.forEach(other => {
+      if (other === label) return;
+      const otherSpans = byLabel[other] || [];
+      let ov = 0;
+      spans.forEach(s1 => otherSpans.forEach(s2 => { if (spansOverlap(s1, s2)) ov++; }));
+      overlapCounts[other] = ov;
+    });
+    const commonDisagreements = Object.entries(overlapCounts)
+      .filter(([, v]) => v > 0)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 3)
+      .map(([l, c]) => ({ label: l, count: c }));
+
+    const perAnnotator = {};
+    allUsers.forEach(user => {
+      const userSpans = spans.filter(s => s.user === user);
+      const others = spans.filter(s => s.user !== user);
+      const { precision, recall } = calculatePairwiseMetrics(userSpans, others);
+      perAnnotator[user] = { precision: Math.round(precision * 100), recall: Math.round(recall * 100) };
+    });
+
+    labelReports[label] = { label, count, coverage, f1, distinctSpans, overlapRate, commonDisagreements, perAnnotator };
+  });
+
+  return labelReports;
+}
+
+// ---------- chance-corrected agreement ----------
+// Cohen's and Fleiss' kappa compare the label each annotator gave every
+// token; Krippendorff's unitized alpha compares the character spans
+// themselves. Every annotator of a task counts, including those who marked
+// nothing. 1 is perfect agreement, 0 chance level and negative values
+// systematic disagreement; alpha has no lower bound. Values have three
+// decimals and are null where they are undefined, e.g. a label nobody used.
+
+// Units for the kappas: whitespace-separated tokens of the text the
+// globalOffsets point into (task.flatText, stored by addGlobalOffsets).
+// Without it, every character up to the last span end is a unit.
+function taskTokens(task, spans) {
+  if (typeof task.flatText === 'string') {
+    const tokens = [];
+    const re = /\S+/g;
+    let m;
+    while ((m = re.exec(task.flatText))) tokens.push({ start: m.index, end: m.index + m[0].length });
+    return { units: 'tokens', tokens, length: task.flatText.length };
+  }
+  const length = spans.reduce((max, s) => Math.max(max, s.end), 0);
+  return { units: 'characters', tokens: Array.from({ length }, (_, i) => ({ start: i, end: i + 1 })), length };
+}
+
+// Labels on each token, per annotator: { user: [Set of labels, …] }
+function tokenLabels(tokens, spans, users) {
+  const byUser = {};
+  users.forEach(user => { byUser[user] = tokens.map(() => new Set()); });
+  spans.forEach(s => {
+    if (!s.label || !byUser[s.user]) return;
+    // First token that ends after the span starts
+    let lo = 0, hi = tokens.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (tokens[mid].end <= s.start) lo = mid + 1; else hi = mid;
+    }
+    for (let i = lo; i < tokens.length && tokens[i].start < s.end; i++) byUser[s.user][i].add(s.label);
+  });
+  return byUser;
+}
+
+// Category of a token: its label set (or 'O' for none); for one label, that label or 'O'
+function tokenCodes(labelSets, label = null) {
+  if (label) return labelSets.map(set => (set.has(label) ? label : 'O'));
+  return labelSets.map(set => [...set].sort().join('+') || 'O');
+}
+
+function cohenKappa(codesA, codesB) {
+  const n = codesA.length;
+  if (!n) return null;
+  let agree = 0;
+  const countA = new Map(), countB = new Map();
+  for (let i = 0; i < n; i++) {
+    if (codesA[i] === codesB[i]) agree++;
+    countA.set(codesA[i], (countA.get(codesA[i]) || 0) + 1);
+    countB.set(codesB[i], (countB.get(codesB[i]) || 0) + 1);
+  }
+  let pe = 0;
+  countA.forEach((count, code) => { pe += (count / n) * ((countB.get(code) || 0) / n); });
+  if (pe === 1) return null;
+  return (agree / n - pe) / (1 - pe);
+}
+
+// ratings: one code array per annotator, all of the same length
+function fleissKappa(ratings) {
+  const m = ratings.length;
+  const n = m ? ratings[0].length : 0;
+  if (m < 2 || !n) return null;
+  const totals = new Map();
+  let agreement = 0;
+  for (let i = 0; i < n; i++) {
+    const counts = new Map();
+    ratings.forEach(codes => counts.set(codes[i], (counts.get(codes[i]) || 0) + 1));
+    let squares = 0;
+    counts.forEach((count, code) => {
+      squares += count * count;
+      totals.set(code, (totals.get(code) || 0) + count);
+    });
+    agreement += (squares - m) / (m * (m - 1));
+  }
+  let pe = 0;
+  totals.forEach(total => { pe += (total / (n * m)) ** 2; });
+  if (pe === 1) return null;
+  return (agreement / n - pe) / (1 - pe);
+}
+
+// One annotator's continuum [0, length) for one label: labeled runs
+// (overlapping or touching spans merged) and the gaps between them
+function continuumSections(spans, length) {
+  const runs = spans
+    .map(s => [Math.max(0, s.start), Math.min(length, s.end)])
+    .filter(([b, e]) => e > b)
+    .sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  runs.forEach(([b, e]) => {
+    const last = merged[merged.length - 1];
+    if (last && b <= last[1]) last[1] = Math.max(last[1], e);
+    else merged.push([b, e]);
+  });
+  const sections = [];
+  let pos = 0;
+  merged.forEach(([b, e]) => {
+    if (b > pos) sections.push({ b: pos, e: b, l: b - pos, v: 0 });
+    sections.push({ b, e, l: e - b, v: 1 });
+    pos = e;
+  });
+  if (pos < length) sections.push({ b: pos, e: length, l: length - pos, v: 0 });
+  return sections;
+}
+
+// Squared distance of two sections of different annotators (Krippendorff 1995)
+function sectionDistance(g, h) {
+  if (g.v && h.v) {
+    return g.b < h.e && h.b < g.e ? (g.b - h.b) ** 2 + (g.e - h.e) ** 2 : 0;
+  }
+  if (g.v && h.b <= g.b && g.e <= h.e) return g.l ** 2;
+  if (h.v && g.b <= h.b && h.e <= g.e) return h.l ** 2;
+  return 0;
+}
+
+// Observed and expected disagreement of Krippendorff's unitized alpha for
+// one label over a continuum of `length` characters.
+// sectionsByUser: [continuumSections(…), …], one per annotator
+function unitizedDisagreement(sectionsByUser, length) {
+  const m = sectionsByUser.length;
+  const mL = m * length;
+  if (m < 2 || !length) return null;
+
+  let observed = 0;
+  sectionsByUser.forEach((sectionsC, c) => sectionsByUser.forEach((sectionsD, d) => {
+    if (c === d) return;
+    sectionsC.forEach(g => sectionsD.forEach(h => { observed += sectionDistance(g, h); }));
+  }));
+
+  const all = sectionsByUser.flat();
+  const labeled = all.filter(s => s.v);
+  const unlabeled = all.filter(s => !s.v);
+  if (!labeled.length) return null;
+  let numerator = 0;
+  labeled.forEach(g => {
+    let within = 0;
+    unlabeled.forEach(h => { if (h.l >= g.l) within += h.l - g.l + 1; });
+    numerator += ((labeled.length - 1) / 3) * (2 * g.l ** 3 - 3 * g.l ** 2 + g.l) + g.l ** 2 * within;
+  });
+  const denominator = mL * (mL - 1) - labeled.reduce((sum, g) => sum + g.l * (g.l - 1), 0);
+
+  return {
+    observed: observed / (m * (m - 1) * length ** 2),
+    expected: denominator > 0 ? (2 / length) * numerator / denominator : 0
+  };
+}
+
+// Chance-corrected agreement of one task. Returns
+// { units, overall: { cohenKappa, fleissKappa, alpha }, byLabel: [...], pairs: [{ annotators, kappa }] };
+// overall alpha pools the disagreements of all labels.
+function calculateChanceAgreement(task, annSpans, allUsers) {
+  const users = Array.from(allUsers);
+  const spans = annSpans.filter(s => Number.isFinite(s.start) && Number.isFinite(s.end) && s.end > s.start);
+  const { units, tokens, length } = taskTokens(task, spans);
+  const labelSets = tokenLabels(tokens, spans, users);
+  const labels = [...new Set(spans.map(s => s.label).filter(Boolean))];
+  const round = x => (x == null || !Number.isFinite(x) ? null : Math.round(x * 1000) / 1000);
+  const meanOf = values => {
+    const defined = values.filter(v => v != null);
+    return defined.length ? defined.reduce((a, b) => a + b, 0) / defined.length : null;
+  };
+
+  function kappas(label) {
+    const codes = users.map(user => tokenCodes(labelSets[user], label));
+    const pairs = [];
+    for (let i = 0; i < users.length; i++) {
+      for (let j = i + 1; j < users.length; j++) {
+        pairs.push({ annotators: [users[i], users[j]], kappa: cohenKappa(codes[i], codes[j]) });
+      }
+    }
+    return { pairs, cohenKappa: meanOf(pairs.map(p => p.kappa)), fleissKappa: fleissKappa(codes) };
+  }
+
+  let observed = 0, expected = 0;
+  const byLabel = labels.map(label => {
+    const sections = users.map(user => continuumSections(spans.filter(s => s.user === user && s.label === label), length));
+    const disagreement = unitizedDisagreement(sections, length);
+    if (disagreement) {
+      observed += disagreement.observed;
+      expected += disagreement.expected;
+    }
+    const { cohenKappa: cohen, fleissKappa: fleiss } = kappas(label);
+    return {
+      label,
+      cohenKappa: round(cohen),
+      fleissKappa: round(fleiss),
+      alpha: round(disagreement && disagreement.expected > 0 ? 1 - disagreement.observed / disagreement.expected : null)
+    };
+  });
+
+  const overall = kappas(null);
+  return {
+    units,
+    overall: {
+      cohenKappa: round(overall.cohenKappa),
+      fleissKappa: round(overall.fleissKappa),
+      alpha: round(expected > 0 ? 1 - observed / expected : null)
+    },
+    byLabel,
+    pairs: overall.pairs.map(p => ({ annotators: p.annotators, kappa: round(p.kappa) }))
+  };
+}
+
+// ---------- relation (edge-level) agreement ----------
+// Relations are edges between two labeled spans of the same annotation.
+// Annotators draw them in either order, so edges are undirected here: one
+// edge matches another when both endpoints line up, each with an
+// overlapping span of the same label, in either order. An edge's type
+// names its endpoint labels in GKCCI order, e.g. "Sender→Recipient".
+const RELATION_LABEL_ORDER = ['Sender', 'Subject', 'Information Type', 'Recipient', 'Aim', 'Condition', 'Modalities', 'NotModalities', 'Consequence'];
+
+function relationType(a, b) {
+  const rank = label => {
+    const i = RELATION_LABEL_ORDER.indexOf(label);
+    return i === -1 ? RELATION_LABEL_ORDER.length : i;
+  };
+  const [first, second] = rank(a.label) < rank(b.label) || (rank(a.label) === rank(b.label) && String(a.label) <= String(b.label))
+    ? [a, b] : [b, a];
+  return { type: `${first.label}→${second.label}`, from: first, to: second };
+}
+
+// Result id → { id, label, start, end, text } of an annotation's labeled spans with offsets
+function annotationSpansById(annObj) {
+  const spansById = new Map();
+  (annObj.result || []).forEach(r => {
+    const offsets = r.value?.globalOffsets;
+    if (r.type !== 'labels' || !offsets || r.id == null) return;
+    const label = Array.isArray(r.value.labels) ? r.value.labels[0] : (r.value.labels || null);
+    spansById.set(r.id, { id: r.id, label, start: Number(offsets.start), end: Number(offsets.end), text: r.value.text || '' });
+  });
+  return spansById;
+}
+
+// Relation edges of one task as [{ user, type, from, to }], where from/to
+// are { label, start, end } spans; relations to spans without offsets are skipped
+function taskAgreementRelations(task) {
+  const edges = [];
+  (task.annotations || []).forEach(annObj => {
+    const user = annObj.completed_by?.email || annObj.completed_by || 'Unknown';
+    const spansById = annotationSpansById(annObj);
+    (annObj.result || []).forEach(r => {
+      if (r.type !== 'relation') return;
+      const a = spansById.get(r.from_id);
+      const b = spansById.get(r.to_id);
+      if (!a || !b) return;
+      edges.push({ user, ...relationType(a, b) });
+    });
+  });
+  return edges;
+}
+
+function endpointsMatch(a, b) {
+  return a.label === b.label && spansOverlap(a, b);
+}
+
+function edgesMatch(e1, e2) {
+  return (endpointsMatch(e1.from, e2.from) && endpointsMatch(e1.to, e2.to))
+    || (endpointsMatch(e1.from, e2.to) && endpointsMatch(e1.to, e2.from));
+}
+
+// One-to-one matches between two annotators' edges, like calculatePairwiseMetrics for spans
+function countMatchedEdges(edges1, edges2) {
+  let matched = 0;
+  const used2 = new Set();
+  edges1.forEach(e1 => {
+    for (let i = 0; i < edges2.length; i++) {
+      if (used2.has(i) || !edgesMatch(e1, edges2[i])) continue;
+      matched++; used2.add(i); break;
+    }
+  });
+  return matched;
+}
+
+function edgePrecisionRecall(edges1, edges2) {
+  if (edges1.length === 0 && edges2.length === 0) return { precision: 1, recall: 1 };
+  if (edges1.length === 0 || edges2.length === 0) return { precision: 0, recall: 0 };
+  const matched = countMatchedEdges(edges1, edges2);
+  return { precision: matched / edges1.length, recall: matched / edges2.length };
+}
+
+function toPercentScores({ precision, recall }) {
+  const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+  return { precision: Math.round(precision * 100), recall: Math.round(recall * 100), f1: Math.round(f1 * 100) };
+}
+
+// Relation precision/recall/F1 of a task: overall (mean over annotator
+// pairs), per pair and per edge type. A type is scored on the pairs where at
+// least one annotator drew an edge of that type. Null without relations.
+function calculateRelationAgreement(edges, allUsers) {
+  const annotators = Array.from(allUsers);
+  if (!edges.length || annotators.length < 2) return null;
+  const edgesOf = (user, type) => edges.filter(e => e.user === user && (!type || e.type === type));
+
+  const pairs = [];
+  let totalP = 0, totalR = 0;
+  for (let i = 0; i < annotators.length; i++) {
+    for (let j = i + 1; j < annotators.length; j++) {
+      const edgesA = edgesOf(annotators[i]);
+      const edgesB = edgesOf(annotators[j]);
+      const scores = edgePrecisionRecall(edgesA, edgesB);
+      totalP += scores.precision; totalR += scores.recall;
+      pairs.push({ annotators: [annotators[i], annotators[j]], ...toPercentScores(scores), edges: [edgesA.length, edgesB.length] });
+    }
+  }
+
+  const types = [...new Set(edges.map(e => e.type))].sort();
+  const byType = types.map(type => {
+    let p = 0, r = 0, n = 0;
+    for (let i = 0; i < annotators.length; i++) {
+      for (let j = i + 1; j < annotators.length; j++) {
+        const edgesA = edgesOf(annotators[i], type);
+        const edgesB = edgesOf(annotators[j], type);
+        if (!edgesA.length && !edgesB.length) continue;
+        const scores = edgePrecisionRecall(edgesA, edgesB);
+        p += scores.precision; r += scores.recall; n++;
+      }
+    }
+    const { from, to } = edges.find(e => e.type === type);
+    return { type, from: from.label, to: to.label, ...toPercentScores({ precision: p / n, recall: r / n }), edges: edges.filter(e => e.type === type).length };
+  });
+
+  return {
+    edges: edges.length,
+    overall: toPercentScores({ precision: totalP / pairs.length, recall: totalR / pairs.length }),
+    byType,
+    pairs
+  };
+}
+
+// ---------- CI tuple (flow) agreement ----------
+// Each connected group of related spans is one CI tuple, as in the
+// relations table (buildConnectedRelationFlows in js/relations.js). Tuples
+// of two annotators are aligned one-to-one by how many of their spans
+// match. Spans match like in subgraphsMatch of the network prototype: same
+// label, overlapping by more than half of the shorter span. An aligned pair
+// is a full match when every span and every relation of either tuple has a
+// counterpart in the other, pointing the same way and with the same relation
+// labels, and a partial match otherwise.
+
+// A relation result as an arrow. Label Studio stores from_id/to_id in the
+// order the relation was drawn; direction "right" points from→to, "left"
+// points back and "bi" both ways. Returns { from, to, bidirectional, labels }
+// with from/to the result ids in arrow order.
+function directedRelation(r) {
+  const labels = Array.isArray(r.labels) ? [...r.labels] : [];
+  if (r.direction === 'left') return { from: r.to_id, to: r.from_id, bidirectional: false, labels };
+  return { from: r.from_id, to: r.to_id, bidirectional: r.direction === 'bi', labels };
+}
+
+// Connected span groups of one task as [{ user, nodes, links }], links
+// being { from, to, bidirectional, labels } with from/to node indexes (see
+// directedRelation). Groups are connected regardless of direction; spans
+// without relations are left out.
+function taskRelationFlows(task) {
+  const flows = [];
+  (task.annotations || []).forEach(annObj => {
+    const user = annObj.completed_by?.email || annObj.completed_by || 'Unknown';
+    const spansById = annotationSpansById(annObj);
+    const adj = new Map();
+    const relations = [];
+    (annObj.result || []).forEach(r => {
+      if (r.type !== 'relation' || !spansById.has(r.from_id) || !spansById.has(r.to_id)) return;
+      (adj.get(r.from_id) || adj.set(r.from_id, new Set()).get(r.from_id)).add(r.to_id);
+      (adj.get(r.to_id) || adj.set(r.to_id, new Set()).get(r.to_id)).add(r.from_id);
+      relations.push(directedRelation(r));
+    });
+
+    const seen = new Set();
+    for (const id of adj.keys()) {
+      if (seen.has(id)) continue;
+      const ids = [];
+      const stack = [id];
+      seen.add(id);
+      while (stack.length) {
+        const cur = stack.pop();
+        ids.push(cur);
+        adj.get(cur).forEach(next => { if (!seen.has(next)) { seen.add(next); stack.push(next); } });
+      }
+      const nodes = ids.map(i => spansById.get(i)).sort((a, b) => a.start - b.start);
+      const index = new Map(nodes.map((n, i) => [n.id, i]));
+      const links = relations.filter(rel => index.has(rel.from))
+        .map(rel => ({ ...rel, from: index.get(rel.from), to: index.get(rel.to) }));
+      flows.push({ user, nodes, links });
+    }
+  });
+  return flows;
+}
+
+function tupleNodesMatch(a, b) {
+  if (a.label !== b.label) return 0;
+  const overlap = Math.min(a.end, b.end) - Math.max(a.start, b.start);
+  const shorter = Math.min(a.end - a.start, b.end - b.start);
+  return overlap > 0 && overlap / shorter > 0.5 ? overlap : 0;
+}
+
+// One-to-one span matches of two tuples as [[i, j]], largest overlaps first
+function alignTupleNodes(t1, t2) {
+  const triples = [];
+  t1.nodes.forEach((a, i) => t2.nodes.forEach((b, j) => {
+    const w = tupleNodesMatch(a, b);
+    if (w > 0) triples.push({ i, j, w });
+  }));
+  return greedyMatch(triples, t1.nodes.length, t2.nodes.length);
+}
+
+function isFullTupleMatch(t1, t2, nodeMatches) {
+  if (t1.nodes.length !== t2.nodes.length || nodeMatches.length !== t1.nodes.length) return false;
+  const mapped = new Map(nodeMatches);
+  const linkKey = (from, to, { bidirectional, labels }) => {
+    const ends = bidirectional ? [from, to].sort((a, b) => a - b).join('<->') : `${from}->${to}`;
+    return `${ends}|${[...labels].sort().join('|')}`;
+  };
+  const links2 = new Set(t2.links.map(link => linkKey(link.from, link.to, link)));
+  const links1 = new Set(t1.links.map(link => linkKey(mapped.get(link.from), mapped.get(link.to), link)));
+  return links1.size === links2.size && [...links1].every(key => links2.has(key));
+}
+
+// Aligns two annotators' tuples. Returns counts plus, per parameter, how
+// many spans the aligned tuples hold on either side and how many match;
+// pairs lists the aligned tuples as { i, j, full }.
+function compareTupleSets(tuplesA, tuplesB) {
+  const nodeMatches = new Map();
+  const triples = [];
+  tuplesA.forEach((t1, i) => tuplesB.forEach((t2, j) => {
+    const matches = alignTupleNodes(t1, t2);
+    if (!matches.length) return;
+    nodeMatches.set(`${i}-${j}`, matches);
+    triples.push({ i, j, w: matches.length });
+  }));
+  const aligned = greedyMatch(triples, tuplesA.length, tuplesB.length);
+
+  const parameters = {};
+  const count = (label, field) => { (parameters[label] ||= { matched: 0, a: 0, b: 0 })[field]++; };
+  const pairs = aligned.map(([i, j]) => {
+    const matches = nodeMatches.get(`${i}-${j}`);
+    tuplesA[i].nodes.forEach(n => count(n.label, 'a'));
+    tuplesB[j].nodes.forEach(n => count(n.label, 'b'));
+    matches.forEach(([m]) => count(tuplesA[i].nodes[m].label, 'matched'));
+    return { i, j, full: isFullTupleMatch(tuplesA[i], tuplesB[j], matches) };
+  });
+  const full = pairs.filter(p => p.full).length;
+  return { aligned: aligned.length, full, partial: aligned.length - full, parameters, pairs };
+}
+
+// Flows every annotator drew (full matches, as in the network prototype's
+// findSharedAndUniqueSubgraphs) and the rest of each annotator's flows.
+// Returns { shared, unique: { user: flows } }; shared holds the first
+// annotator's copy of each shared flow.
+function findSharedAndUniqueFlows(flows, allUsers) {
+  const annotators = Array.from(allUsers);
+  const flowsOf = Object.fromEntries(annotators.map(user => [user, flows.filter(f => f.user === user)]));
+  const matched = Object.fromEntries(annotators.map(user => [user, new Set()]));
+  const shared = [];
+  if (annotators.length < 2) return { shared, unique: flowsOf };
+
+  const [first, ...others] = annotators;
+  flowsOf[first].forEach((flow, index) => {
+    const partners = [];
+    for (const user of others) {
+      const j = flowsOf[user].findIndex((other, k) =>
+        !matched[user].has(k) && isFullTupleMatch(flow, other, alignTupleNodes(flow, other)));
+      if (j === -1) return;
+      partners.push([user, j]);
+    }
+    partners.forEach(([user, j]) => matched[user].add(j));
+    matched[first].add(index);
+    shared.push(flow);
+  });
+
+  const unique = Object.fromEntries(annotators.map(user =>
+    [user, flowsOf[user].filter((_, k) => !matched[user].has(k))]));
+  return { shared, unique };
+}
+
+// The other annotators each flow was aligned with, split by whether the
+// aligned flow is a full or only a partial match. Returns
+// [{ full: [users], partial: [users] }] in the order of `flows`.
+function flowMatches(flows, allUsers) {
+  const matches = flows.map(() => ({ full: [], partial: [] }));
+  const annotators = Array.from(allUsers);
+  const indexesOf = user => flows.map((f, k) => (f.user === user ? k : -1)).filter(k => k !== -1);
+  for (let a = 0; a < annotators.length; a++) {
+    for (let b = a + 1; b < annotators.length; b++) {
+      const ia = indexesOf(annotators[a]);
+      const ib = indexesOf(annotators[b]);
+      compareTupleSets(ia.map(k => flows[k]), ib.map(k => flows[k])).pairs.forEach(({ i, j, full }) => {
+        const kind = full ? 'full' : 'partial';
+        matches[ia[i]][kind].push(annotators[b]);
+        matches[ib[j]][kind].push(annotators[a]);
+      });
+    }
+  }
+  return matches;
+}
+
+// Tuple agreement of a task: per annotator pair, the tuples each drew, full
+// and partial matches and the ones left unmatched, with precision/recall/F1
+// counting full matches only and relaxedF1 counting partial ones too.
+// byParameter scores the spans of each label inside aligned tuples.
+// Null when fewer than two annotators or no relations.
+function calculateTupleAgreement(flows, allUsers) {
+  const annotators = Array.from(allUsers);
+  if (!flows.length || annotators.length < 2) return null;
+  const tuplesOf = user => flows.filter(f => f.user === user);
+
+  const pairs = [];
+  const parameters = {};
+  for (let i = 0; i < annotators.length; i++) {
+    for (let j = i + 1; j < annotators.length; j++) {
+      const tuplesA = tuplesOf(annotators[i]);
+      const tuplesB = tuplesOf(annotators[j]);
+      const result = compareTupleSets(tuplesA, tuplesB);
+      const rate = (n, total) => (total ? n / total : (tuplesA.length + tuplesB.length ? 0 : 1));
+      const strict = toPercentScores({ precision: rate(result.full, tuplesA.length), recall: rate(result.full, tuplesB.length) });
+      const relaxed = toPercentScores({ precision: rate(result.aligned, tuplesA.length), recall: rate(result.aligned, tuplesB.length) });
+      pairs.push({
+        annotators: [annotators[i], annotators[j]],
+        tuples: [tuplesA.length, tuplesB.length],
+        full: result.full,
+        partial: result.partial,
+        unmatched: [tuplesA.length - result.aligned, tuplesB.length - result.aligned],
+        ...strict,
+        relaxedF1: relaxed.f1
+      });
+      Object.entries(result.parameters).forEach(([label, c]) => {
+        const total = (parameters[label] ||= { matched: 0, spans: 0 });
+        total.matched += 2 * c.matched;
+        total.spans += c.a + c.b;
+      });
+    }
+  }
+
+  const mean = values => Math.round(values.reduce((a, b) => a + b, 0) / values.length);
+  return {
+    tuples: flows.length,
+    overall: {
+      f1: mean(pairs.map(p => p.f1)),
+      relaxedF1: mean(pairs.map(p => p.relaxedF1)),
+      full: pairs.reduce((sum, p) => sum + p.full, 0),
+      partial: pairs.reduce((sum, p) => sum + p.partial, 0)
+    },
+    // Dice of matched spans over all spans of the label in aligned tuples
+    byParameter: RELATION_LABEL_ORDER.filter(label => parameters[label])
+      .concat(Object.keys(parameters).filter(label => !RELATION_LABEL_ORDER.includes(label)))
+      .map(label => ({
+        label,
+        f1: Math.round((parameters[label].matched / parameters[label].spans) * 100),
+        spans: parameters[label].spans
+      })),
+    pairs
+  };
+}
+
+// ---------- scoring against ground truth ----------
+// With a gold annotation, each annotator is scored against it instead of
+// against each other: spans and relations match as in the pairwise scores,
+// precision is the share of the annotator's spans that the gold annotation
+// has too and recall the share of gold spans the annotator found.
+
+// The latest ground_truth annotation of a task, or null
+function goldAnnotationOf(task) {
+  return [...(task.annotations || [])].reverse().find(isGroundTruth) || null;
+}
+
+// Percentages from match counts; nothing on either side counts as a perfect
+// score, as in calculatePairwiseMetrics
+function goldScores(matched, marked, gold) {
+  if (!marked && !gold) return toPercentScores({ precision: 1, recall: 1 });
+  return toPercentScores({ precision: marked ? matched / marked : 0, recall: gold ? matched / gold : 0 });
+}
+
+function labelOrder(labels) {
+  return RELATION_LABEL_ORDER.filter(label => labels.includes(label))
+    .concat(labels.filter(label => !RELATION_LABEL_ORDER.includes(label)).sort());
+}
+
+// Scores every (non-gold) annotator of a task against `gold`. Returns
+// { gold: { by, spans, relations, adjudication }, annotators: [{ user, overall,
+// byLabel, relations, missed, spurious }] } or null without a gold annotation.
+// missed lists the gold spans the annotator has no match for, with the labels
+// they gave that text instead (markedAs); spurious lists their unmatched
+// spans, with the gold labels of that text (goldLabels).
+function scoreAgainstGold(task, gold = goldAnnotationOf(task)) {
+  if (!gold) return null;
+  const goldSpans = [...annotationSpansById(gold).values()];
+  const goldEdges = taskAgreementRelations({ annotations: [gold] });
+
+  const byUser = new Map();
+  (withoutGroundTruth(task).annotations || []).forEach(annObj => {
+    const user = annObj.completed_by?.email || annObj.completed_by || 'Unknown';
+    if (!byUser.has(user)) byUser.set(user, []);
+    byUser.get(user).push(annObj);
+  });
+
+  const byStart = (a, b) => a.start - b.start || a.end - b.end;
+  const overlappingLabels = (span, others) =>
+    [...new Set(others.filter(o => spansOverlap(span, o) && o.label !== span.label).map(o => o.label))];
+
+  const annotators = [...byUser].map(([user, annotations]) => {
+    const spans = annotations.flatMap(annObj => [...annotationSpansById(annObj).values()]);
+    const edges = taskAgreementRelations({ annotations });
+    const matches = matchSpans(spans, goldSpans);
+    const matchedOwn = new Set(matches.map(([i]) => i));
+    const matchedGold = new Set(matches.map(([, j]) => j));
+    const matchedEdges = countMatchedEdges(edges, goldEdges);
+
+    const labels = labelOrder([...new Set([...goldSpans, ...spans].map(s => s.label))]);
+    return {
+      user,
+      overall: { ...goldScores(matches.length, spans.length, goldSpans.length), matched: matches.length, marked: spans.length, gold: goldSpans.length },
+      byLabel: labels.map(label => {
+        const marked = spans.filter(s => s.label === label).length;
+        const inGold = goldSpans.filter(s => s.label === label).length;
+        const matched = matches.filter(([i]) => spans[i].label === label).length;
+        return { label, ...goldScores(matched, marked, inGold), matched, marked, gold: inGold };
+      }),
+      relations: edges.length || goldEdges.length
+        ? { ...goldScores(matchedEdges, edges.length, goldEdges.length), matched: matchedEdges, drawn: edges.length, gold: goldEdges.length }
+        : null,
+      missed: goldSpans.filter((_, j) => !matchedGold.has(j)).sort(byStart)
+        .map(({ label, start, end, text }) => ({ label, start, end, text, markedAs: overlappingLabels({ label, start, end }, spans) })),
+      spurious: spans.filter((_, i) => !matchedOwn.has(i)).sort(byStart)
+        .map(({ label, start, end, text }) => ({ label, start, end, text, goldLabels: overlappingLabels({ label, start, end }, goldSpans) }))
+    };
+  });
+
+  return {
+    gold: {
+      by: gold.completed_by?.email || gold.completed_by || 'Unknown',
+      spans: goldSpans.length,
+      relations: goldEdges.length,
+      adjudication: gold.adjudication || null
+    },
+    annotators
+  };
+}
+
+// Per-annotator scores pooled over tasks: the match counts of every
+// scoreAgainstGold() result are added up before computing percentages.
+// Returns [{ user, tasks, overall, byLabel, relations, missed, spurious }]
+// with missed and spurious as counts.
+function summarizeGoldScores(scores) {
+  const totals = new Map();
+  const add = (target, { matched, marked, gold }) => {
+    target.matched += matched; target.marked += marked; target.gold += gold;
+  };
+  const counts = () => ({ matched: 0, marked: 0, gold: 0 });
+
+  scores.filter(Boolean).forEach(score => score.annotators.forEach(a => {
+    if (!totals.has(a.user)) {
+      totals.set(a.user, { user: a.user, tasks: 0, overall: counts(), byLabel: {}, relations: counts(), withRelations: false, missed: 0, spurious: 0 });
+    }
+    const t = totals.get(a.user);
+    t.tasks++;
+    add(t.overall, a.overall);
+    a.byLabel.forEach(entry => add(t.byLabel[entry.label] ||= counts(), entry));
+    if (a.relations) {
+      t.withRelations = true;
+      add(t.relations, { matched: a.relations.matched, marked: a.relations.drawn, gold: a.relations.gold });
+    }
+    t.missed += a.missed.length;
+    t.spurious += a.spurious.length;
+  }));
+
+  const scored = c => ({ ...goldScores(c.matched, c.marked, c.gold), ...c });
+  return [...totals.values()].map(t => ({
+    user: t.user,
+    tasks: t.tasks,
+    overall: scored(t.overall),
+    byLabel: labelOrder(Object.keys(t.byLabel)).map(label => ({ label, ...scored(t.byLabel[label]) })),
+    relations: t.withRelations
+      ? { ...goldScores(t.relations.matched, t.relations.marked, t.relations.gold), matched: t.relations.matched, drawn: t.relations.marked, gold: t.relations.gold }
+      : null,
+    missed: t.missed,
+    spurious: t.spurious
+  }));
+}
+
+// ---------- project-level summary ----------
+// Task-level scores averaged over the tasks with 2+ annotators. Pass the
+// summarizeTask() results when they are already at hand.
+function summarizeAgreement(tasks, summaries = tasks.map(task => summarizeTask(task))) {
+  const mean = values => values.length ? Math.round(values.reduce((a, b) => a + b, 0) / values.length) : 0;
+  // Kappa and alpha: mean of the tasks where they are defined, three decimals
+  const meanCoefficient = values => {
+    const defined = values.filter(v => v != null);
+    return defined.length ? Math.round((defined.reduce((a, b) => a + b, 0) / defined.length) * 1000) / 1000 : null;
+  };
+  const scored = summaries.filter(s => s.comparable);
+  const annotators = new Set(summaries.flatMap(s => [...s.annotators]));
+  const totalSpans = scored.reduce((sum, s) => sum + s.spanCount, 0);
+
+  const labelScores = {};
+  scored.forEach(s => s.byLabel.forEach(entry => { (labelScores[entry.label] ||= []).push(entry); }));
+
+  // Pair scores keyed by the sorted names. Precision of one annotator against
+  // the other is recall the other way round, so flipped pairs swap the two.
+  const groupPairs = pairLists => {
+    const grouped = new Map();
+    pairLists.forEach(list => list.forEach(p => {
+      const names = [...p.annotators].sort();
+      const key = names.join('\u0000');
+      if (!grouped.has(key)) grouped.set(key, { annotators: names, scores: [] });
+      const flipped = names[0] !== p.annotators[0];
+      // Per-annotator counts ([first, second]) swap too
+      const swapped = Object.fromEntries(Object.entries(p)
+        .filter(([field, value]) => field !== 'annotators' && Array.isArray(value))
+        .map(([field, value]) => [field, [...value].reverse()]));
+      grouped.get(key).scores.push(flipped ? { ...p, precision: p.recall, recall: p.precision, ...swapped } : p);
+    }));
+    return [...grouped.values()];
+  };
+
+  const sumPairs = (scores, field) => scores.reduce((sum, p) => [sum[0] + p[field][0], sum[1] + p[field][1]], [0, 0]);
+
+  const withRelations = summaries.filter(s => s.relations);
+  const typeScores = {};
+  withRelations.forEach(s => s.relations.byType.forEach(entry => { (typeScores[entry.type] ||= []).push(entry); }));
+
+  const withTuples = summaries.filter(s => s.tuples);
+  const parameterScores = {};
+  withTuples.forEach(s => s.tuples.byParameter.forEach(entry => { (parameterScores[entry.label] ||= []).push(entry); }));
+
+  return {
+    tasks: tasks.length,
+    comparableTasks: scored.length,
+    annotators: [...annotators],
+    overall: {
+      f1: mean(scored.map(s => s.f1)),
+      weightedF1: totalSpans ? Math.round(scored.reduce((sum, s) => sum + s.f1 * s.spanCount, 0) / totalSpans) : 0,
+      precision: mean(scored.map(s => s.precision)),
+      recall: mean(scored.map(s => s.recall)),
+      jaccard: mean(scored.map(s => s.jaccard)),
+      cohenKappa: meanCoefficient(scored.map(s => s.cohenKappa)),
+      fleissKappa: meanCoefficient(scored.map(s => s.fleissKappa)),
+      alpha: meanCoefficient(scored.map(s => s.alpha)),
+      fullAgreements: summaries.reduce((sum, s) => sum + s.fullAgreements, 0)
+    },
+    byLabel: Object.entries(labelScores).map(([label, entries]) => ({
+      label,
+      f1: mean(entries.map(e => e.f1)),
+      cohenKappa: meanCoefficient(entries.map(e => e.cohenKappa)),
+      fleissKappa: meanCoefficient(entries.map(e => e.fleissKappa)),
+      alpha: meanCoefficient(entries.map(e => e.alpha)),
+      tasks: entries.length
+    })),
+    pairs: groupPairs(scored.map(s => s.pairs)).map(({ annotators, scores }) => ({
+      annotators,
+      f1: mean(scores.map(p => p.f1)),
+      precision: mean(scores.map(p => p.precision)),
+      recall: mean(scores.map(p => p.recall)),
+      kappa: meanCoefficient(scores.map(p => p.kappa)),
+      tasks: scores.length
+    })),
+    relations: {
+      tasks: withRelations.length,
+      edges: withRelations.reduce((sum, s) => sum + s.relations.edges, 0),
+      overall: {
+        f1: mean(withRelations.map(s => s.relations.overall.f1)),
+        precision: mean(withRelations.map(s => s.relations.overall.precision)),
+        recall: mean(withRelations.map(s => s.relations.overall.recall))
+      },
+      byType: Object.entries(typeScores).map(([type, entries]) => ({
+        type,
+        from: entries[0].from,
+        to: entries[0].to,
+        f1: mean(entries.map(e => e.f1)),
+        precision: mean(entries.map(e => e.precision)),
+        recall: mean(entries.map(e => e.recall)),
+        edges: entries.reduce((sum, e) => sum + e.edges, 0),
+        tasks: entries.length
+      })),
+      pairs: groupPairs(withRelations.map(s => s.relations.pairs)).map(({ annotators, scores }) => ({
+        annotators,
+        f1: mean(scores.map(p => p.f1)),
+        precision: mean(scores.map(p => p.precision)),
+        recall: mean(scores.map(p => p.recall)),
+        edges: sumPairs(scores, 'edges'),
+        tasks: scores.length
+      }))
+    },
+    tuples: {
+      tasks: withTuples.length,
+      tuples: withTuples.reduce((sum, s) => sum + s.tuples.tuples, 0),
+      overall: {
+        f1: mean(withTuples.map(s => s.tuples.overall.f1)),
+        relaxedF1: mean(withTuples.map(s => s.tuples.overall.relaxedF1)),
+        full: withTuples.reduce((sum, s) => sum + s.tuples.overall.full, 0),
+        partial: withTuples.reduce((sum, s) => sum + s.tuples.overall.partial, 0)
+      },
+      byParameter: Object.entries(parameterScores).map(([label, entries]) => ({
+        label,
+        f1: mean(entries.map(e => e.f1)),
+        spans: entries.reduce((sum, e) => sum + e.spans, 0),
+        tasks: entries.length
+      })),
+      pairs: groupPairs(withTuples.map(s => s.tuples.pairs)).map(({ annotators, scores }) => ({
+        annotators,
+        tuples: sumPairs(scores, 'tuples'),
+        full: scores.reduce((sum, p) => sum + p.full, 0),
+        partial: scores.reduce((sum, p) => sum + p.partial, 0),
+        unmatched: sumPairs(scores, 'unmatched'),
+        f1: mean(scores.map(p => p.f1)),
+        precision: mean(scores.map(p => p.precision)),
+        recall: mean(scores.map(p => p.recall)),
+        relaxedF1: mean(scores.map(p => p.relaxedF1)),
+        tasks: scores.length
+      }))
+    },
+    perTask: tasks.map((task, i) => ({
+      taskId: task.id ?? i + 1,
+      ...summaries[i],
+      annotators: [...summaries[i].annotators]
+    }))
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    isGroundTruth,
+    withoutGroundTruth,
+    taskAgreementSpans,
+    summarizeTask,
+    summarizeAgreement,
+    calculatePairwiseMetrics,
+    matchSpans,
+    calculatePairwiseF1,
+    countFullAgreements,
+    taskAgreementRelations,
+    calculateRelationAgreement,
+    directedRelation,
+    taskRelationFlows,
+    calculateTupleAgreement,
+    findSharedAndUniqueFlows,
+    flowMatches,
+    goldAnnotationOf,
+    scoreAgainstGold,
+    summarizeGoldScores,
+    calculateChanceAgreement,
+    cohenKappa,
+    fleissKappa,
+    spansOverlap,
+    calculateF1Metrics,
+    flowRelaxedF1ForLabel,
+    calculateF1ByLabel,
+    calculateJaccardMetrics,
+    generateLabelReports
+  };
+}
@@ -0,0 +1,129 @@
+// Agreement summaries cached per policy in the store.
+//
+// Computing agreement means reading and merging every upload of a policy,
+// which is too slow to do for each dashboard card. Instead the summary is
+// computed when a policy's uploads change and kept in `policy.agreement`
+// together with `computedAt` and an `inputHash` over the uploads it was
+// computed from (storedAs + contentHash of each). A summary whose inputHash
+// no longer matches the policy's current uploads is stale; only stale
+// policies are recomputed.
+//
+// Every recomputation for a new set of uploads also appends a snapshot of
+// the key numbers to `policy.agreementHistory`, so the policy page can show
+// whether agreement improves as students revise their labels.
+const crypto = require('crypto');
+const { summarizeAgreement } = require('./agreement');
+
+const MAX_HISTORY = 500;
+
+// storedAs → contentHash of the uploads agreement is computed from
+function agreementInputs(policy) {
+    const inputs = {};
+    Object.values(policy.contributors || {}).forEach(contributor => {
+        contributor.uploads.forEach(upload => { inputs[upload.storedAs] = upload.contentHash || null; });
+    });
+    return Object.fromEntries(Object.entries(inputs).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function agreementInputHash(policy) {
+    return crypto.createHash('sha256').update(JSON.stringify(agreementInputs(policy))).digest('hex');
+}
+
+function isAgreementFresh(policy) {
+    return Boolean(policy.agreement) && policy.agreement.inputHash === agreementInputHash(policy);
+}
+
+// Stale, or cached before agreementHistory existed (which starts the history off)
+function needsRefresh(policy) {
+    return !isAgreementFresh(policy) || !policy.agreementHistory;
+}
+
+function agreementSnapshot(policy, summary) {
+    return {
+        at: summary.computedAt,
+        inputHash: summary.inputHash,
+        uploads: Object.keys(summary.inputs).length,
+        annotations: policy.totalAnnotations || 0,
+        comparableTasks: summary.comparableTasks,
+        f1: summary.overall.f1,
+        jaccard: summary.overall.jaccard,
+        fullAgreements: summary.overall.fullAgreements,
+        byLabel: Object.fromEntries(summary.byLabel.map(({ label, f1 }) => [label, f1]))
+    };
+}
+
+// readTasks(policyName, policy) resolves to the merged tasks of a policy
+function createAgreementCache({ store, readTasks }) {
+    const pending = new Map();
+
+    // Recompute one policy's summary unless it is fresh. Resolves to the
+    // summary stored, or null when the policy is gone or changed meanwhile.
+    async function refresh(policyName, { force = false } = {}) {
+        const policy = await store.getPolicy(policyName);
+        if (!policy) return null;
+        if (!force && !needsRefresh(policy)) return policy.agreement;
+
+        const inputHash = agreementInputHash(policy);
+        const { tasks, comparableTasks, annotators, overall, byLabel } = summarizeAgreement(await readTasks(policyName, policy));
+        const summary = {
+            computedAt: new Date().toISOString(),
+            inputHash,
+            inputs: agreementInputs(policy),
+            tasks,
+            comparableTasks,
+            annotators: annotators.length,
+            overall,
+            byLabel
+        };
+        return store.transaction(state => {
+            const current = state.policies[policyName];
+            // Uploads changed while we were reading; the refresh scheduled for that change stores the result
+            if (!current || agreementInputHash(current) !== inputHash) return null;
+            current.agreement = summary;
+            const history = current.agreementHistory || [];
+            const last = history[history.length - 1];
+            if (!last || last.inputHash !== inputHash) {
+                current.agreementHistory = [...history, agreementSnapshot(current, summary)].slice(-MAX_HISTORY);
+            }
+            return summary;
+        });
+    }
+
+    // Background refresh after a change to the policy. Requests that arrive
+    // while one is running are folded into a single follow-up run.
+    function schedule(policyName) {
+        const running = pending.get(policyName);
+        if (running) {
+            running.again = true;
+            return running.promise;
+        }
+        const job = { again: false };
+        job.promise = (async () => {
+            try {
+                do {
+                    job.again = false;
+                    await refresh(policyName);
+                } while (job.again);
+            } catch (error) {
+                console.warn(`Could not compute agreement for "${policyName}": ${error.message}`);
+            } finally {
+                pending.delete(policyName);
+            }
+        })();
+        pending.set(policyName, job);
+        return job.promise;
+    }
+
+    // Schedules every policy whose summary is missing or stale; resolves to their names
+    async function refreshStale() {
+        const stale = Object.entries(await store.getPolicies())
+            .filter(([, policy]) => needsRefresh(policy))
+            .map(([policyName]) => policyName);
+        for (const policyName of stale) await schedule(policyName);
+        return stale;
+    }
+
+    return { refresh, schedule, refreshStale };
+}
+
+module.exports = { createAgreementCache, agreementInputHash, isAgreementFresh };
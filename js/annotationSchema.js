@@ -0,0 +1,213 @@
+// Structural checks for Label Studio exports before they are stored.
+//
+// validateExport() walks tasks → annotations → results and reports problems
+// that would otherwise only surface as an empty policy page: tasks without
+// data.text, labels outside the GKCCI set, spans without offsets and
+// relations whose from_id/to_id point at results that don't exist.
+// Errors block an upload; warnings are shown but accepted.
+
+// Same set as LABEL_HEADERS in relations.js
+const GKCCI_LABELS = ['Sender', 'Subject', 'Information Type', 'Recipient', 'Aim', 'Condition', 'Modalities', 'NotModalities', 'Consequence'];
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isOffset(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+function annotatorOf(annotation) {
+    const by = annotation.completed_by;
+    if (isObject(by)) return by.email || by.username || (by.id !== undefined ? `User_${by.id}` : null);
+    return by !== undefined && by !== null && by !== '' ? String(by) : null;
+}
+
+// Same shapes the rest of the app accepts: an array of tasks, { tasks: [...] } or a single task
+function tasksOf(data) {
+    if (Array.isArray(data)) return data;
+    if (isObject(data) && Array.isArray(data.tasks)) return data.tasks;
+    return [data];
+}
+
+// Plain-text labels carry numeric start/end; HyperText labels carry XPath
+// start/end plus startOffset/endOffset
+function hasSpan(value) {
+    if (isOffset(value.start) && isOffset(value.end)) return value.start <= value.end;
+    return typeof value.start === 'string' && typeof value.end === 'string'
+        && isOffset(value.startOffset) && isOffset(value.endOffset);
+}
+
+// Returns { valid, summary, errors, warnings }. Every issue is
+// { severity, code, message, taskIndex, taskId, annotationId, resultId }.
+// With checkGlobalOffsets, HyperText labels that addGlobalOffsets could not
+// place in the document are reported too (run it on data that went through it).
+function validateExport(data, { checkGlobalOffsets = false } = {}) {
+    const errors = [];
+    const warnings = [];
+    const annotators = new Set();
+    const labelCounts = {};
+    const summary = { tasks: 0, annotations: 0, labels: 0, relations: 0, annotators: [], labelCounts };
+
+    function issue(list, severity, code, message, where = {}) {
+        list.push({
+            severity,
+            code,
+            message,
+            taskIndex: where.taskIndex === undefined ? null : where.taskIndex,
+            taskId: where.taskId === undefined ? null : where.taskId,
+            annotationId: where.annotationId === undefined ? null : where.annotationId,
+            resultId: where.resultId === undefined ? null : where.resultId
+        });
+    }
+    const error = (...args) => issue(errors, 'error', ...args);
+    const warning = (...args) => issue(warnings, 'warning', ...args);
+
+    function finish() {
+        summary.annotators = [...annotators].sort();
+        return { valid: errors.length === 0, summary, errors, warnings };
+    }
+
+    if (!Array.isArray(data) && !isObject(data)) {
+        error('invalid-root', 'Export must be a JSON array of tasks or a single task object');
+        return finish();
+    }
+    const tasks = tasksOf(data);
+    if (tasks.length === 0) {
+        error('no-tasks', 'Export contains no tasks');
+        return finish();
+    }
+
+    tasks.forEach((task, taskIndex) => {
+        if (!isObject(task)) {
+            error('invalid-task', 'Task is not an object', { taskIndex });
+            return;
+        }
+        summary.tasks++;
+        const taskWhere = { taskIndex, taskId: task.id === undefined ? null : task.id };
+
+        const text = task.data && task.data.text;
+        if (typeof text !== 'string' || !text.trim()) {
+            error('missing-text', 'Task has no data.text', taskWhere);
+        }
+        if (!Array.isArray(task.annotations)) {
+            if (Array.isArray(task.completions)) {
+                error('legacy-completions', 'Task uses the old "completions" key; re-export it from a current Label Studio', taskWhere);
+            } else {
+                error('missing-annotations', 'Task has no annotations array', taskWhere);
+            }
+            return;
+        }
+        if (task.annotations.length === 0) {
+            warning('no-annotations', 'Task has no annotations yet', taskWhere);
+        }
+
+        task.annotations.forEach(annotation => {
+            if (!isObject(annotation)) {
+                error('invalid-annotation', 'Annotation is not an object', taskWhere);
+                return;
+            }
+            summary.annotations++;
+            const annotationWhere = { ...taskWhere, annotationId: annotation.id === undefined ? null : annotation.id };
+
+            const annotator = annotatorOf(annotation);
+            if (annotator) annotators.add(annotator);
+            else warning('missing-annotator', 'Annotation has no completed_by; it will show up as "Unknown"', annotationWhere);
+            if (annotation.was_cancelled) {
+                warning('cancelled', 'Annotation was cancelled in Label Studio', annotationWhere);
+            }
+            if (!Array.isArray(annotation.result)) {
+                error('missing-result', 'Annotation has no result array', annotationWhere);
+                return;
+            }
+
+            const resultIds = new Set();
+            annotation.result.forEach(result => {
+                if (isObject(result) && result.id !== undefined) {
+                    if (resultIds.has(result.id)) {
+                        warning('duplicate-result-id', `Result id "${result.id}" is used more than once`, { ...annotationWhere, resultId: result.id });
+                    }
+                    resultIds.add(result.id);
+                }
+            });
+
+            annotation.result.forEach(result => {
+                if (!isObject(result)) {
+                    error('invalid-result', 'Result is not an object', annotationWhere);
+                    return;
+                }
+                const where = { ...annotationWhere, resultId: result.id === undefined ? null : result.id };
+
+                if (result.type === 'relation') {
+                    summary.relations++;
+                    ['from_id', 'to_id'].forEach(key => {
+                        if (result[key] === undefined || result[key] === null) {
+                            error('relation-missing-end', `Relation has no ${key}`, where);
+                        } else if (!resultIds.has(result[key])) {
+                            error('relation-dangling', `Relation ${key} "${result[key]}" does not match any result in this annotation`, where);
+                        }
+                    });
+                    return;
+                }
+
+                const value = result.value;
+                if (!isObject(value) || !Array.isArray(value.labels)) return; // choices, text areas, …
+
+                summary.labels++;
+                if (result.id === undefined) {
+                    warning('missing-result-id', 'Label has no id, so relations cannot refer to it', where);
+                }
+                if (value.labels.length === 0) {
+                    error('empty-labels', 'Label result has no labels', where);
+                }
+                value.labels.forEach(label => {
+                    if (GKCCI_LABELS.includes(label)) {
+                        labelCounts[label] = (labelCounts[label] || 0) + 1;
+                    } else {
+                        error('unknown-label', `"${label}" is not a GKCCI label (expected one of ${GKCCI_LABELS.join(', ')})`, where);
+                    }
+                });
+                if (!hasSpan(value)) {
+                    error('missing-offsets', 'Label has no usable start/end offsets', where);
+                } else if (isOffset(value.end) && typeof text === 'string' && value.end > text.length) {
+                    error('offset-out-of-range', `Label ends at ${value.end}, past the end of the text (${text.length})`, where);
+                }
+                if (typeof value.text !== 'string' || !value.text.trim()) {
+                    warning('missing-span-text', 'Label has no value.text', where);
+                } else if (checkGlobalOffsets && typeof value.start === 'string' && !value.globalOffsets) {
+                    warning('unplaced-span', `Could not find "${value.text.slice(0, 40)}" in the document text`, where);
+                }
+            });
+        });
+    });
+
+    return finish();
+}
+
+// Report for a body that isn't JSON at all
+function jsonErrorReport(parseError) {
+    return {
+        valid: false,
+        summary: { tasks: 0, annotations: 0, labels: 0, relations: 0, annotators: [], labelCounts: {} },
+        errors: [{
+            severity: 'error',
+            code: 'invalid-json',
+            message: `Not valid JSON: ${parseError.message}`,
+            taskIndex: null,
+            taskId: null,
+            annotationId: null,
+            resultId: null
+        }],
+        warnings: []
+    };
+}
+
+// Short one-line description for error responses and logs
+function describeReport(report) {
+    const { errors, warnings } = report;
+    const first = errors[0] || warnings[0];
+    const head = `${errors.length} error(s), ${warnings.length} warning(s)`;
+    return first ? `${head}; first: ${first.message}` : head;
+}
+
+module.exports = { validateExport, jsonErrorReport, describeReport, GKCCI_LABELS };
@@ -0,0 +1,146 @@
+// Mapping between Label Studio annotators and dashboard contributors.
+//
+// Every annotation in an export names its author in completed_by (a Label
+// Studio user id and, in most exports, an email). When an upload is split
+// by annotator, each author is looked up here; unknown ones get a mapping on
+// the fly, linked to the dashboard account with the same email when there is
+// one. Mappings live in the store's `annotators` object, keyed by
+// annotatorKey(): `email:<address>` when the export has an email, else `id:<n>`.
+const { tasksOf } = require('./taskMerge');
+
+function mapError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// { key, labelStudioId, email } of an annotation's author, or null when
+// completed_by is missing
+function annotatorOf(annotation) {
+    const by = annotation && annotation.completed_by;
+    if (by === undefined || by === null || by === '') return null;
+    const labelStudioId = typeof by === 'object' ? (by.id === undefined ? null : by.id) : by;
+    const email = typeof by === 'object' && by.email ? String(by.email).trim().toLowerCase() : '';
+    if (!email && labelStudioId === null) return null;
+    return { key: annotatorKey({ email, labelStudioId }), labelStudioId, email };
+}
+
+function annotatorKey({ email, labelStudioId }) {
+    return email ? `email:${email.toLowerCase()}` : `id:${labelStudioId}`;
+}
+
+// Split an export into one copy per annotator. Each part keeps every task
+// but only that annotator's annotations; tasks the annotator didn't touch
+// are left out. Annotations without completed_by form a part with
+// annotator null. Returns [{ annotator, tasks, annotationCount }].
+function splitByAnnotator(data) {
+    const parts = new Map();
+    tasksOf(data).forEach(task => {
+        const byKey = new Map();
+        (task.annotations || []).forEach(annotation => {
+            const annotator = annotatorOf(annotation);
+            const key = annotator ? annotator.key : null;
+            if (!parts.has(key)) parts.set(key, { annotator, tasks: [], annotationCount: 0 });
+            if (!byKey.has(key)) byKey.set(key, []);
+            byKey.get(key).push(annotation);
+        });
+        byKey.forEach((annotations, key) => {
+            const part = parts.get(key);
+            part.tasks.push({ ...task, annotations });
+            part.annotationCount += annotations.length;
+        });
+    });
+    return [...parts.values()];
+}
+
+function createAnnotatorMap({ store, userStore }) {
+    function findMapping(mappings, annotator) {
+        if (mappings[annotator.key]) return mappings[annotator.key];
+        // Same Label Studio user seen before without (or with a different) email
+        return Object.values(mappings).find(m =>
+            annotator.labelStudioId !== null && m.labelStudioId === annotator.labelStudioId
+            && (!m.email || !annotator.email || m.email === annotator.email)) || null;
+    }
+
+    // Mapping for an annotator nobody has mapped yet: the dashboard account
+    // with that email if there is one, otherwise the email (or id) itself
+    async function proposeMapping(annotator) {
+        const user = annotator.email ? await userStore.findByEmail(annotator.email) : null;
+        return {
+            key: annotator.key,
+            labelStudioId: annotator.labelStudioId,
+            email: annotator.email,
+            contributor: user ? user.name : (annotator.email || `Label Studio user ${annotator.labelStudioId}`),
+            university: user ? (user.university || '') : '',
+            userId: user ? user.id : null,
+            source: 'auto',
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    async function list() {
+        return Object.values(await store.getAnnotatorMap()).sort((a, b) => a.contributor.localeCompare(b.contributor));
+    }
+
+    // Look up (and with save, record) a mapping for each annotator.
+    // Resolves to a Map of annotator key → { ...mapping, isNew }.
+    async function resolve(annotators, { save = true } = {}) {
+        const work = async mappings => {
+            const resolved = new Map();
+            for (const annotator of annotators) {
+                const existing = findMapping(mappings, annotator);
+                if (existing) {
+                    resolved.set(annotator.key, { ...existing, isNew: false });
+                    continue;
+                }
+                const mapping = await proposeMapping(annotator);
+                if (save) mappings[annotator.key] = mapping;
+                resolved.set(annotator.key, { ...mapping, isNew: true });
+            }
+            return resolved;
+        };
+        if (!save) return work({ ...await store.getAnnotatorMap() });
+        return store.transaction(state => {
+            state.annotators = state.annotators || {};
+            return work(state.annotators);
+        });
+    }
+
+    // Point an annotator at a (possibly different) contributor. Uploads that
+    // were already split keep the contributor they were recorded under.
+    function set(key, { contributor, email, university, labelStudioId }) {
+        if (!contributor || !String(contributor).trim()) {
+            return Promise.reject(mapError('Contributor name is required', 'EINVALID'));
+        }
+        return store.transaction(state => {
+            state.annotators = state.annotators || {};
+            const previous = state.annotators[key] || {};
+            const mapping = {
+                key,
+                labelStudioId: labelStudioId !== undefined ? labelStudioId : (previous.labelStudioId === undefined ? null : previous.labelStudioId),
+                email: email !== undefined ? String(email).trim().toLowerCase() : (previous.email || ''),
+                contributor: String(contributor).trim(),
+                university: university !== undefined ? university : (previous.university || ''),
+                userId: previous.userId || null,
+                source: 'manual',
+                createdAt: previous.createdAt || new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            };
+            state.annotators[key] = mapping;
+            return mapping;
+        });
+    }
+
+    function remove(key) {
+        return store.transaction(state => {
+            const mapping = state.annotators && state.annotators[key];
+            if (!mapping) throw mapError('Mapping not found', 'ENOTFOUND');
+            delete state.annotators[key];
+            return mapping;
+        });
+    }
+
+    return { list, resolve, set, remove };
+}
+
+module.exports = { createAnnotatorMap, splitByAnnotator, annotatorOf, annotatorKey };
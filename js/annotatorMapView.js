@@ -0,0 +1,114 @@
+/* GKCCI Dashboard – Label Studio annotator mappings tab on policyManagement.html */
+(function () {
+  'use strict';
+
+  const APP_ROOT = (() => {
+    const m = location.pathname.match(/\/(LLM_GKC-CI_Draft|GKC-CI)(?=\/|$)/);
+    return m ? m[0] : '';
+  })();
+  const API_BASE = `${location.origin}${APP_ROOT}/api`;
+
+  async function request(path, init = {}) {
+    const res = await fetch(`${API_BASE}${path}`, { credentials: 'same-origin', ...init });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    return data;
+  }
+
+  function showNotice(message, isError) {
+    const box = document.getElementById('annotatorResults');
+    if (!box) return;
+    const notice = document.createElement('div');
+    notice.className = isError ? 'error-message' : 'success-message';
+    notice.textContent = message;
+    box.prepend(notice);
+    setTimeout(() => notice.remove(), 4000);
+  }
+
+  function renderMappings(mappings) {
+    const box = document.getElementById('annotatorResults');
+    if (!box) return;
+    if (!mappings.length) {
+      box.innerHTML = '<div style="text-align:center;color:#666;padding:30px;">No annotators mapped yet</div>';
+      return;
+    }
+    box.innerHTML = `
+      <table class="audit-table">
+        <thead>
+          <tr><th>Label Studio annotator</th><th>Contributor</th><th>University</th><th>Source</th><th></th></tr>
+        </thead>
+        <tbody>
+          ${mappings.map(m => `
+            <tr>
+              <td>${escapeHtml(m.email || '—')}${m.labelStudioId !== null ? `<br><small>user id ${escapeHtml(m.labelStudioId)}</small>` : ''}</td>
+              <td>${escapeHtml(m.contributor)}${m.userId ? ' <small>(dashboard account)</small>' : ''}</td>
+              <td>${escapeHtml(m.university || '—')}</td>
+              <td>${m.source === 'manual' ? 'Edited' : 'Automatic'}</td>
+              <td style="white-space:nowrap;">
+                <button class="btn btn-secondary" data-edit="${escapeHtml(m.key)}">Edit</button>
+                <button class="btn btn-danger" data-remove="${escapeHtml(m.key)}">Remove</button>
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+    box.querySelectorAll('[data-edit]').forEach(btn => btn.addEventListener('click', () => {
+      const m = mappings.find(x => x.key === btn.dataset.edit);
+      document.getElementById('annotatorEmail').value = m.email || '';
+      document.getElementById('annotatorLabelStudioId').value = m.email ? '' : (m.labelStudioId ?? '');
+      document.getElementById('annotatorContributor').value = m.contributor;
+      document.getElementById('annotatorUniversity').value = m.university || '';
+      document.getElementById('annotatorContributor').focus();
+    }));
+    box.querySelectorAll('[data-remove]').forEach(btn => btn.addEventListener('click', () => removeMapping(btn.dataset.remove)));
+  }
+
+  async function loadMappings() {
+    const box = document.getElementById('annotatorResults');
+    if (box) box.innerHTML = '<div class="loading" style="margin: 30px auto; display: block;"></div>';
+    try {
+      renderMappings((await request('/annotators')).annotators);
+    } catch (e) {
+      if (box) box.innerHTML = `<div class="error-message">Could not load annotator mappings: ${escapeHtml(e.message)}</div>`;
+    }
+  }
+
+  async function saveMapping() {
+    const value = id => document.getElementById(id).value.trim();
+    try {
+      await request('/annotators', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          email: value('annotatorEmail'),
+          labelStudioId: value('annotatorLabelStudioId'),
+          contributor: value('annotatorContributor'),
+          university: value('annotatorUniversity')
+        })
+      });
+      ['annotatorEmail', 'annotatorLabelStudioId', 'annotatorContributor', 'annotatorUniversity']
+        .forEach(id => { document.getElementById(id).value = ''; });
+      await loadMappings();
+      showNotice('Mapping saved');
+    } catch (e) {
+      showNotice(e.message, true);
+    }
+  }
+
+  async function removeMapping(key) {
+    if (!confirm('Remove this mapping? The next split upload maps the annotator automatically again.')) return;
+    try {
+      await request(`/annotators/${encodeURIComponent(key)}`, { method: 'DELETE' });
+      await loadMappings();
+      showNotice('Mapping removed');
+    } catch (e) {
+      showNotice(e.message, true);
+    }
+  }
+
+  document.addEventListener('DOMContentLoaded', () => {
+    document.querySelector('.management-tab[data-tab="annotatorsContainer"]')?.addEventListener('click', loadMappings);
+    document.getElementById('annotatorSave')?.addEventListener('click', saveMapping);
+  });
+})();
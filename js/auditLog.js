@@ -0,0 +1,77 @@
+// Append-only audit log of data mutations (data/audit.jsonl).
+//
+// One JSON object per line: timestamp, action, actor, route, policy,
+// contributor, file and before/after annotation counts. Lines are only ever
+// appended; query() reads the whole file and filters in memory, which is
+// fine at the size of this project.
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_QUERY_LIMIT = 200;
+
+function createAuditLog({ dataDir, fileName = 'audit.jsonl' }) {
+    const logFile = path.join(dataDir, fileName);
+    let queue = Promise.resolve();
+
+    // Appends are serialized so concurrent requests never interleave a line
+    function record(event) {
+        const entry = { timestamp: new Date().toISOString(), ...event };
+        const run = queue.then(async () => {
+            await fs.mkdir(dataDir, { recursive: true });
+            await fs.appendFile(logFile, `${JSON.stringify(entry)}\n`);
+            return entry;
+        });
+        queue = run.catch(() => {});
+        return run;
+    }
+
+    async function readAll() {
+        let content;
+        try {
+            content = await fs.readFile(logFile, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        const entries = [];
+        content.split('\n').forEach(line => {
+            if (!line.trim()) return;
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                // A torn last line from a crash; skip it
+            }
+        });
+        return entries;
+    }
+
+    function contains(value, wanted) {
+        return String(value || '').toLowerCase().includes(String(wanted).toLowerCase());
+    }
+
+    // Newest first. Filters: action, policy, contributor, actor (name or
+    // email, substring), file, since/until (ISO dates), limit.
+    async function query({ action, policy, contributor, actor, file, since, until, limit = DEFAULT_QUERY_LIMIT } = {}) {
+        const sinceTime = since ? new Date(since).getTime() : null;
+        const untilTime = until ? new Date(until).getTime() : null;
+
+        const matches = (await readAll()).filter(entry => {
+            const time = new Date(entry.timestamp).getTime();
+            if (action && entry.action !== action) return false;
+            if (policy && entry.policyName !== policy) return false;
+            if (contributor && !contains(entry.contributor, contributor)) return false;
+            if (file && !contains(entry.file, file)) return false;
+            if (actor && !(entry.actor && (contains(entry.actor.name, actor) || contains(entry.actor.email, actor)))) return false;
+            if (sinceTime !== null && time < sinceTime) return false;
+            if (untilTime !== null && time > untilTime) return false;
+            return true;
+        });
+
+        matches.reverse();
+        return { total: matches.length, entries: matches.slice(0, Math.max(0, Number(limit) || DEFAULT_QUERY_LIMIT)) };
+    }
+
+    return { file: logFile, record, query };
+}
+
+module.exports = { createAuditLog };
@@ -0,0 +1,94 @@
+/* GKCCI Dashboard – audit log tab on policyManagement.html */
+(function () {
+  'use strict';
+
+  const APP_ROOT = (() => {
+    const m = location.pathname.match(/\/(LLM_GKC-CI_Draft|GKC-CI)(?=\/|$)/);
+    return m ? m[0] : '';
+  })();
+  const API_BASE = `${location.origin}${APP_ROOT}/api`;
+  const policyName = new URLSearchParams(location.search).get('policy') || '';
+
+  function countChange(counts) {
+    if (!counts) return '—';
+    const delta = counts.after - counts.before;
+    const sign = delta > 0 ? '+' : '';
+    return `${counts.before} → ${counts.after} <span style="color:${delta < 0 ? '#c53030' : '#2d7738'};">(${sign}${delta})</span>`;
+  }
+
+  function readFilters() {
+    const value = id => document.getElementById(id)?.value.trim();
+    const params = new URLSearchParams();
+    const allPolicies = document.getElementById('auditAllPolicies')?.checked;
+    if (policyName && !allPolicies) params.set('policy', policyName);
+    [['action', 'auditAction'], ['contributor', 'auditContributor'], ['actor', 'auditActor'], ['file', 'auditFile']]
+      .forEach(([key, id]) => { if (value(id)) params.set(key, value(id)); });
+    if (value('auditSince')) params.set('since', `${value('auditSince')}T00:00:00`);
+    if (value('auditUntil')) params.set('until', `${value('auditUntil')}T23:59:59.999`);
+    return params;
+  }
+
+  function renderEntries({ total, entries }) {
+    const results = document.getElementById('auditResults');
+    if (!results) return;
+    if (!entries.length) {
+      results.innerHTML = '<div style="text-align:center;color:#666;padding:30px;">No audit entries match these filters</div>';
+      return;
+    }
+    results.innerHTML = `
+      <div style="color:#666;font-size:.85em;margin-bottom:8px;">Showing ${entries.length} of ${total} entries</div>
+      <table class="audit-table">
+        <thead>
+          <tr>
+            <th>When</th><th>Action</th><th>Actor</th><th>Policy</th><th>Contributor</th><th>File</th>
+            <th>Policy annotations</th><th>Contributor annotations</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${entries.map(e => `
+            <tr title="${escapeHtml(e.route)}">
+              <td style="white-space:nowrap;">${new Date(e.timestamp).toLocaleString()}</td>
+              <td><span class="audit-action ${escapeHtml(e.action)}">${escapeHtml(e.action)}</span></td>
+              <td>${e.actor ? `${escapeHtml(e.actor.name)}<br><small>${escapeHtml(e.actor.email)} (${escapeHtml(e.actor.role)})</small>` : '<i>system</i>'}</td>
+              <td>${escapeHtml(e.policyName || '—')}</td>
+              <td>${escapeHtml(e.contributor || '—')}</td>
+              <td>${escapeHtml(e.file || '—')}</td>
+              <td>${countChange(e.annotations)}</td>
+              <td>${e.contributor ? countChange(e.contributorAnnotations) : '—'}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  async function loadAudit() {
+    const results = document.getElementById('auditResults');
+    if (results) results.innerHTML = '<div class="loading" style="margin: 30px auto; display: block;"></div>';
+    try {
+      const res = await fetch(`${API_BASE}/audit?${readFilters()}`, { credentials: 'same-origin' });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      renderEntries(data);
+    } catch (e) {
+      if (results) results.innerHTML = `<div class="error-message">Could not load the audit log: ${escapeHtml(e.message)}</div>`;
+    }
+  }
+
+  function showTab(id) {
+    document.querySelectorAll('.management-tab').forEach(tab => {
+      const active = tab.dataset.tab === id;
+      tab.classList.toggle('active', active);
+      const panel = document.getElementById(tab.dataset.tab);
+      if (panel) panel.style.display = active ? 'block' : 'none';
+    });
+    if (id === 'auditContainer') loadAudit();
+  }
+
+  document.addEventListener('DOMContentLoaded', () => {
+    document.querySelectorAll('.management-tab').forEach(tab => {
+      tab.addEventListener('click', () => showTab(tab.dataset.tab));
+    });
+    document.getElementById('auditApply')?.addEventListener('click', loadAudit);
+  });
+})();
@@ -0,0 +1,185 @@
+/* GKCCI Dashboard – accounts & sessions (login page + header/session handling) */
+(function () {
+  'use strict';
+
+  const APP_ROOT = (() => {
+    const m = location.pathname.match(/\/(LLM_GKC-CI_Draft|GKC-CI)(?=\/|$)/);
+    return m ? m[0] : '';
+  })();
+  const API_BASE = `${location.origin}${APP_ROOT}/api`;
+  const LOGIN_PAGE = `${APP_ROOT}/login.html`;
+
+  async function authRequest(path, body) {
+    const res = await fetch(`${API_BASE}/auth/${path}`, {
+      method: body === undefined ? 'GET' : 'POST',
+      headers: body === undefined ? undefined : { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      credentials: 'same-origin'
+    });
+    let data = null;
+    try { data = await res.json(); } catch (e) {}
+    return { status: res.status, ok: res.ok, data: data || {} };
+  }
+
+  // Resolves to the logged-in user, or null when there is no session.
+  // Rejects when the auth API itself is unavailable (e.g. the PHP fallback).
+  async function fetchCurrentUser() {
+    const { status, ok, data } = await authRequest('me');
+    if (ok && data.user) return data.user;
+    if (status === 401) return null;
+    throw new Error(`Auth API unavailable (HTTP ${status})`);
+  }
+
+  async function logout() {
+    try { await authRequest('logout', {}); } catch (e) {}
+    location.href = LOGIN_PAGE;
+  }
+
+  function redirectTarget() {
+    const next = new URLSearchParams(location.search).get('next');
+    // Only follow same-site relative paths
+    return next && next.startsWith('/') && !next.startsWith('//') ? next : `${APP_ROOT}/index.html`;
+  }
+
+  // -------- Login page --------
+  function showAuthMessage(message, type = 'error') {
+    const box = document.getElementById('authMessages');
+    if (!box) { alert(message); return; }
+    const n = document.createElement('div');
+    n.className = `message ${type}`;
+    n.textContent = message;
+    box.appendChild(n);
+    setTimeout(() => n.remove(), 4000);
+  }
+
+  function switchTab(tab) {
+    document.querySelectorAll('.tab-btn').forEach(b => b.classList.toggle('active', b.dataset.tab === tab));
+    document.querySelectorAll('.auth-form').forEach(f => { f.style.display = f.id === `${tab}Form` ? 'block' : 'none'; });
+  }
+
+  function passwordStrength(pw) {
+    let score = 0;
+    if (pw.length >= 8) score++;
+    if (/[A-Z]/.test(pw) && /[a-z]/.test(pw)) score++;
+    if (/\d/.test(pw) || /[^A-Za-z0-9]/.test(pw)) score++;
+    return score <= 1 ? 'weak' : score === 2 ? 'medium' : 'strong';
+  }
+
+  async function submitAuthForm(form, path, body) {
+    const btn = form.querySelector('button[type="submit"]');
+    if (btn) btn.disabled = true;
+    try {
+      const { ok, data } = await authRequest(path, body);
+      if (!ok) throw new Error(data.error || 'Request failed');
+      showAuthMessage(`Welcome, ${data.user.name}!`, 'success');
+      location.href = redirectTarget();
+    } catch (e) {
+      showAuthMessage(e.message || 'Request failed');
+    } finally {
+      if (btn) btn.disabled = false;
+    }
+  }
+
+  function setupLoginPage() {
+    document.querySelectorAll('.tab-btn').forEach(b => b.addEventListener('click', () => switchTab(b.dataset.tab)));
+
+    const loginForm = document.getElementById('loginForm');
+    loginForm?.addEventListener('submit', e => {
+      e.preventDefault();
+      submitAuthForm(loginForm, 'login', {
+        email: document.getElementById('loginEmail').value.trim(),
+        password: document.getElementById('loginPassword').value
+      });
+    });
+
+    const registerForm = document.getElementById('registerForm');
+    registerForm?.addEventListener('submit', e => {
+      e.preventDefault();
+      const password = document.getElementById('registerPassword').value;
+      if (password !== document.getElementById('registerConfirm').value) {
+        showAuthMessage('Passwords do not match'); return;
+      }
+      submitAuthForm(registerForm, 'register', {
+        name: document.getElementById('registerName').value.trim(),
+        email: document.getElementById('registerEmail').value.trim(),
+        university: document.getElementById('registerUniversity').value,
+        password
+      });
+    });
+
+    const pw = document.getElementById('registerPassword');
+    const meter = document.getElementById('passwordStrength');
+    pw?.addEventListener('input', () => {
+      if (meter) meter.className = pw.value ? `password-strength ${passwordStrength(pw.value)}` : 'password-strength';
+    });
+
+    document.querySelectorAll('.demo-btn').forEach(b => b.addEventListener('click', () => {
+      switchTab('login');
+      document.getElementById('loginEmail').value = b.dataset.email;
+      document.getElementById('loginPassword').value = b.dataset.password;
+    }));
+
+    // Already logged in → straight to the dashboard
+    fetchCurrentUser().then(user => { if (user) location.href = redirectTarget(); }).catch(() => {});
+  }
+
+  // -------- Dashboard pages --------
+  function applyUser(user) {
+    document.body.dataset.role = user.role;
+
+    const nameEl = document.getElementById('userName');
+    const roleEl = document.getElementById('userRole');
+    const avatarEl = document.getElementById('userAvatar');
+    if (nameEl) nameEl.textContent = user.name;
+    if (roleEl) roleEl.textContent = `${user.role === 'professor' ? 'Professor' : 'Student'}${user.university ? ` - ${user.university}` : ''}`;
+    if (avatarEl) avatarEl.textContent = user.name.split(' ').map(s => s[0]).join('').toUpperCase().slice(0, 2);
+
+    const info = document.querySelector('.user-info');
+    if (info && !document.getElementById('logoutBtn')) {
+      const btn = document.createElement('button');
+      btn.id = 'logoutBtn';
+      btn.textContent = 'Log out';
+      btn.style.cssText = 'margin-left:10px;padding:6px 12px;border:none;border-radius:8px;cursor:pointer;background:rgba(102,126,234,0.2);color:#333;font-weight:600;';
+      btn.addEventListener('click', logout);
+      info.appendChild(btn);
+    }
+
+    // Uploads are recorded under the account; students can't upload under another name
+    const fields = { studentName: user.name, studentEmail: user.email, university: user.university };
+    Object.entries(fields).forEach(([id, value]) => {
+      const el = document.getElementById(id);
+      if (!el || !value) return;
+      el.value = value;
+      if (user.role === 'student') {
+        if (el.tagName === 'SELECT') el.disabled = true; else el.readOnly = true;
+      }
+      el.dispatchEvent(new Event('input'));
+      el.dispatchEvent(new Event('change'));
+    });
+  }
+
+  function setupDashboardPage() {
+    const ready = fetchCurrentUser()
+      .then(user => {
+        if (!user) {
+          location.href = `${LOGIN_PAGE}?next=${encodeURIComponent(location.pathname + location.search)}`;
+          return null;
+        }
+        applyUser(user);
+        return user;
+      })
+      .catch(e => {
+        // No auth backend (static hosting / PHP API): keep the page usable
+        console.warn(e.message);
+        return null;
+      });
+    window.GKCCIAuth.ready = ready;
+  }
+
+  window.GKCCIAuth = { ready: Promise.resolve(null), fetchCurrentUser, logout };
+
+  document.addEventListener('DOMContentLoaded', () => {
+    if (document.querySelector('.auth-card')) setupLoginPage();
+    else setupDashboardPage();
+  });
+})();
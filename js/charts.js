@@ -259,6 +259,8 @@
         return chartInstances[canvasId];
     }
     
+    // Radar of per-parameter agreement. agreementData maps a label to
+    // { f1, tasks } (see byLabel in js/agreement.js); returns null without data.
     function createAgreementChart(canvasId, agreementData) {
         const canvas = document.getElementById(canvasId);
         if (!canvas) return null;
@@ -268,18 +270,25 @@
         // Destroy existing chart if it exists
         if (chartInstances[canvasId]) {
             chartInstances[canvasId].destroy();
+            delete chartInstances[canvasId];
         }
         
-        // Generate sample agreement data if none provided
-        const defaultData = Object.keys(GKCCI_COLORS).map(() => Math.random() * 30 + 70);
+        // Nothing measured yet: leave the canvas empty so the caller can say so
+        const measured = Object.keys(agreementData || {});
+        if (!measured.length) return null;
+        
+        // Every GKCCI parameter gets an axis; parameters without a score stay a gap
+        const labels = [...Object.keys(GKCCI_COLORS), ...measured.filter(label => !GKCCI_COLORS[label])];
+        const scores = labels.map(label => agreementData[label] || null);
         
         chartInstances[canvasId] = new Chart(ctx, {
             type: 'radar',
             data: {
-                labels: Object.keys(GKCCI_COLORS),
+                labels: labels,
                 datasets: [{
-                    label: 'Inter-Annotator Agreement',
-                    data: agreementData || defaultData,
+                    label: 'Inter-Annotator Agreement (F1)',
+                    data: scores.map(score => score ? score.f1 : null),
+                    spanGaps: true,
                     borderColor: '#667eea',
                     backgroundColor: 'rgba(102, 126, 234, 0.2)',
                     borderWidth: 3,
@@ -304,7 +313,8 @@
                         borderWidth: 1,
                         callbacks: {
                             label: function(context) {
-                                return `Agreement: ${context.parsed.r.toFixed(1)}%`;
+                                const score = scores[context.dataIndex];
+                                return `F1: ${context.parsed.r.toFixed(1)}% (${score.tasks} task${score.tasks === 1 ? '' : 's'})`;
                             }
                         }
                     }
@@ -334,6 +344,118 @@
         return chartInstances[canvasId];
     }
     
+    // Agreement snapshots over time (see agreementHistory in js/agreementCache.js).
+    // Per-label lines start hidden; click them in the legend to show them.
+    function createAgreementTrendChart(canvasId, history) {
+        const canvas = document.getElementById(canvasId);
+        if (!canvas) return null;
+        
+        const ctx = canvas.getContext('2d');
+        
+        // Destroy existing chart if it exists
+        if (chartInstances[canvasId]) {
+            chartInstances[canvasId].destroy();
+        }
+        
+        const labels = history.map(snapshot => new Date(snapshot.at).toLocaleString());
+        const labelNames = [...new Set(history.flatMap(snapshot => Object.keys(snapshot.byLabel || {})))];
+        const line = (label, data, color, extra) => ({
+            label: label,
+            data: data,
+            borderColor: color,
+            backgroundColor: color,
+            borderWidth: 3,
+            tension: 0.3,
+            pointRadius: 4,
+            pointHoverRadius: 6,
+            spanGaps: true,
+            ...extra
+        });
+        
+        chartInstances[canvasId] = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: labels,
+                datasets: [
+                    line('F1', history.map(snapshot => snapshot.f1), '#667eea', { yAxisID: 'y' }),
+                    line('Jaccard', history.map(snapshot => snapshot.jaccard), '#48bb78', { yAxisID: 'y' }),
+                    line('Full agreements', history.map(snapshot => snapshot.fullAgreements), '#f093fb', {
+                        yAxisID: 'y1',
+                        borderDash: [4, 4]
+                    }),
+                    ...labelNames.map(name => line(`${name} F1`,
+                        history.map(snapshot => (snapshot.byLabel || {})[name] ?? null),
+                        GKCCI_COLORS[name] || '#a0aec0',
+                        { yAxisID: 'y', borderWidth: 2, hidden: true }))
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: {
+                    mode: 'index',
+                    intersect: false
+                },
+                plugins: {
+                    tooltip: {
+                        backgroundColor: 'rgba(0, 0, 0, 0.8)',
+                        titleColor: '#fff',
+                        bodyColor: '#fff',
+                        borderColor: '#667eea',
+                        borderWidth: 1,
+                        callbacks: {
+                            label: function(context) {
+                                const suffix = context.dataset.yAxisID === 'y' ? '%' : '';
+                                return `${context.dataset.label}: ${context.parsed.y}${suffix}`;
+                            },
+                            footer: function(items) {
+                                const snapshot = history[items[0].dataIndex];
+                                return `${snapshot.uploads} uploads • ${snapshot.annotations} annotations`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        grid: {
+                            display: false
+                        },
+                        ticks: {
+                            maxRotation: 45,
+                            minRotation: 0
+                        }
+                    },
+                    y: {
+                        min: 0,
+                        max: 100,
+                        position: 'left',
+                        ticks: {
+                            callback: function(value) {
+                                return value + '%';
+                            }
+                        },
+                        grid: {
+                            color: 'rgba(0, 0, 0, 0.1)'
+                        }
+                    },
+                    y1: {
+                        beginAtZero: true,
+                        position: 'right',
+                        title: {
+                            display: true,
+                            text: 'Full agreements'
+                        },
+                        grid: {
+                            drawOnChartArea: false
+                        }
+                    }
+                }
+            }
+        });
+        
+        return chartInstances[canvasId];
+    }
+    
     // Utility function to destroy all charts
     function destroyAllCharts() {
         Object.values(chartInstances).forEach(chart => {
@@ -362,6 +484,7 @@
         createTimelineChart: createTimelineChart,
         createStudentContributionChart: createStudentContributionChart,
         createAgreementChart: createAgreementChart,
+        createAgreementTrendChart: createAgreementTrendChart,
         destroyAllCharts: destroyAllCharts,
         resizeAllCharts: resizeAllCharts,
         getChartInstance: function(canvasId) {
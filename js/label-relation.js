@@ -0,0 +1,220 @@
+/* GKCCI Dashboard – shared and unique relation flows in the policy page's relations modal
+ *
+ * Ported from relation-test-files/label-network-viz.html. Each annotator's
+ * connected group of related spans (a flow) is matched against the other
+ * annotators' flows with findSharedAndUniqueFlows from js/agreement.js; the
+ * modal draws the flows all chosen annotators share next to each
+ * annotator's unique ones, one force-directed D3 network per column.
+ * Arrows follow the relations' direction and carry their labels.
+ */
+(function () {
+  'use strict';
+
+  const LABEL_COLORS = {
+    'Sender': '#3498db',
+    'Recipient': '#2ecc71',
+    'Subject': '#9b59b6',
+    'Information Type': '#e74c3c',
+    'Modalities': '#f39c12',
+    'NotModalities': '#e67e22',
+    'Condition': '#1abc9c',
+    'Aim': '#34495e',
+    'Consequence': '#c0392b'
+  };
+  const NODE_RADIUS = 42;
+  const ROW_HEIGHT = 170;
+
+  // Simulations of the networks on screen, stopped before redrawing
+  let simulations = [];
+
+  function wrapText(text, maxWidth) {
+    const words = (text.length > 50 ? text.slice(0, 50) + '…' : text).split(' ');
+    const lines = [];
+    let line = '';
+    words.forEach(word => {
+      if ((line + word).length > maxWidth && line) { lines.push(line.trim()); line = ''; }
+      line += word + ' ';
+    });
+    if (line.trim()) lines.push(line.trim());
+    return lines.slice(0, 3);
+  }
+
+  function annotatorOf(annObj) {
+    return annObj.completed_by?.email || annObj.completed_by || 'Unknown';
+  }
+
+  // One network of flows, stacked top to bottom in text order; drag to pan, scroll to zoom
+  function renderFlows(container, flows) {
+    const width = container.getBoundingClientRect().width || 420;
+    const height = Math.max(container.getBoundingClientRect().height, flows.length * ROW_HEIGHT + 40);
+    const svg = d3.select(container).append('svg').attr('width', '100%').attr('height', height);
+    const g = svg.append('g');
+    svg.call(d3.zoom().scaleExtent([0.2, 3]).on('zoom', event => g.attr('transform', event.transform)));
+
+    const nodes = [];
+    const links = [];
+    flows.forEach((flow, row) => {
+      const y = 80 + row * ROW_HEIGHT;
+      const ids = flow.nodes.map(n => {
+        nodes.push({ ...n, key: `${row}:${n.id}`, rowY: y });
+        return `${row}:${n.id}`;
+      });
+      flow.links.forEach(l => links.push({ source: ids[l.from], target: ids[l.to], bidirectional: l.bidirectional, labels: l.labels }));
+    });
+
+    const simulation = d3.forceSimulation(nodes)
+      .force('link', d3.forceLink(links).id(d => d.key).distance(NODE_RADIUS * 2.6))
+      .force('charge', d3.forceManyBody().strength(-300))
+      .force('x', d3.forceX(width / 2).strength(0.05))
+      .force('y', d3.forceY(d => d.rowY).strength(0.6))
+      .force('collision', d3.forceCollide().radius(NODE_RADIUS + 6));
+    simulations.push(simulation);
+
+    // Arrowheads, with ids unique among the columns on screen
+    const markerId = `flow-arrow-${simulations.length}`;
+    svg.append('defs').selectAll('marker').data(['end', 'start']).join('marker')
+      .attr('id', d => `${markerId}-${d}`)
+      .attr('viewBox', '0 -5 10 10').attr('refX', 9).attr('refY', 0)
+      .attr('markerWidth', 7).attr('markerHeight', 7)
+      .attr('orient', d => (d === 'end' ? 'auto' : 'auto-start-reverse'))
+      .append('path').attr('d', 'M0,-5L10,0L0,5').attr('fill', '#777');
+
+    const link = g.append('g').selectAll('line').data(links).join('line')
+      .attr('stroke', '#999').attr('stroke-opacity', 0.8).attr('stroke-width', 2)
+      .attr('marker-end', `url(#${markerId}-end)`)
+      .attr('marker-start', d => (d.bidirectional ? `url(#${markerId}-start)` : null));
+    const linkLabel = g.append('g').selectAll('text').data(links.filter(l => l.labels.length)).join('text')
+      .attr('text-anchor', 'middle')
+      .style('font-size', '10px').style('fill', '#4a5568').style('pointer-events', 'none')
+      .text(d => d.labels.join(', '));
+
+    const node = g.append('g').selectAll('g').data(nodes).join('g')
+      .style('cursor', 'pointer')
+      .call(d3.drag()
+        .on('start', event => {
+          if (!event.active) simulation.alphaTarget(0.3).restart();
+          event.subject.fx = event.subject.x;
+          event.subject.fy = event.subject.y;
+        })
+        .on('drag', event => {
+          event.subject.fx = event.x;
+          event.subject.fy = event.y;
+        })
+        .on('end', event => {
+          if (!event.active) simulation.alphaTarget(0);
+          event.subject.fx = null;
+          event.subject.fy = null;
+        }));
+
+    node.append('circle')
+      .attr('r', NODE_RADIUS)
+      .attr('fill', d => LABEL_COLORS[d.label] || '#95a5a6')
+      .attr('fill-opacity', 0.85)
+      .attr('stroke', '#fff')
+      .attr('stroke-width', 3);
+    node.append('text')
+      .attr('dy', -24).attr('text-anchor', 'middle')
+      .style('font-size', '10px').style('font-weight', 'bold').style('fill', '#fff').style('pointer-events', 'none')
+      .text(d => d.label);
+    node.each(function (d) {
+      wrapText(d.text, 16).forEach((line, i) => {
+        d3.select(this).append('text')
+          .attr('dy', -6 + i * 11).attr('text-anchor', 'middle')
+          .style('font-size', '9px').style('fill', '#fff').style('pointer-events', 'none')
+          .text(line);
+      });
+    });
+    node.append('title').text(d => `${d.label} (${d.start}-${d.end})\n"${d.text}"`);
+
+    // Lines stop at the circles' edge so the arrowheads stay visible
+    const edgePoint = (from, to) => {
+      const dx = to.x - from.x, dy = to.y - from.y;
+      const length = Math.hypot(dx, dy) || 1;
+      return { x: to.x - (dx / length) * NODE_RADIUS, y: to.y - (dy / length) * NODE_RADIUS };
+    };
+    simulation.on('tick', () => {
+      link.each(function (d) {
+        const start = edgePoint(d.target, d.source);
+        const end = edgePoint(d.source, d.target);
+        d3.select(this).attr('x1', start.x).attr('y1', start.y).attr('x2', end.x).attr('y2', end.y);
+      });
+      linkLabel
+        .attr('x', d => (d.source.x + d.target.x) / 2)
+        .attr('y', d => (d.source.y + d.target.y) / 2 - 4);
+      node.attr('transform', d => `translate(${d.x},${d.y})`);
+    });
+  }
+
+  function column(title, subtitle, flows, accent) {
+    const card = document.createElement('div');
+    card.className = 'flow-column';
+    card.style.cssText = `flex:0 0 420px;display:flex;flex-direction:column;background:#f8f9fa;border-radius:10px;border-top:4px solid ${accent};`;
+    card.innerHTML = `
+      <div style="padding:10px 14px;border-bottom:1px solid #e5e7eb;">
+        <div style="font-weight:600;color:#2c3e50;word-break:break-all;">${escapeHtml(title)}</div>
+        <div style="font-size:12px;color:#7f8c8d;">${escapeHtml(subtitle)}</div>
+      </div>
+      <div class="flow-network" style="flex:1;min-height:0;overflow:auto;"></div>
+    `;
+    const network = card.querySelector('.flow-network');
+    if (!flows.length) network.innerHTML = '<div style="padding:30px;text-align:center;color:#888;">No flows</div>';
+    return { card, network, flows };
+  }
+
+  function draw(task, container, chosen) {
+    simulations.forEach(s => s.stop());
+    simulations = [];
+    const board = container.querySelector('.flow-board');
+    board.innerHTML = '';
+
+    if (chosen.length < 2) {
+      board.innerHTML = '<div style="padding:40px;color:#888;">Pick at least two annotators to compare.</div>';
+      return;
+    }
+    // Checkbox values are strings; completed_by may be a bare user id
+    const flows = taskRelationFlows(task).map(f => ({ ...f, user: String(f.user) })).filter(f => chosen.includes(f.user));
+    const { shared, unique } = findSharedAndUniqueFlows(flows, new Set(chosen));
+    const plural = n => `${n} flow${n === 1 ? '' : 's'}`;
+    const columns = [
+      column('Shared by all', `${plural(shared.length)} every chosen annotator drew`, shared, '#4caf50'),
+      ...chosen.map(user => column(user, `${plural(unique[user].length)} not shared by all`, unique[user], '#6b46c1'))
+    ];
+    columns.forEach(({ card }) => board.appendChild(card));
+    columns.forEach(({ network, flows: list }) => { if (list.length) renderFlows(network, list); });
+  }
+
+  // Shared and unique flows of a task's annotators into #containerId
+  function renderLabelRelations(task, containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    if (typeof d3 === 'undefined' || typeof findSharedAndUniqueFlows !== 'function') {
+      container.innerHTML = '<div style="padding:40px;color:#c0392b;">The network view needs D3 and js/agreement.js.</div>';
+      return;
+    }
+    const annotators = [...new Set((task.annotations || []).map(a => String(annotatorOf(a))))];
+    container.innerHTML = `
+      <div style="display:flex;flex-direction:column;height:100%;gap:10px;">
+        <div class="flow-annotators" style="font-size:13px;color:#4a5568;">
+          Compare:
+          ${annotators.map(user => `
+            <label style="margin-right:12px;white-space:nowrap;">
+              <input type="checkbox" value="${escapeHtml(user)}" checked> ${escapeHtml(user)}
+            </label>`).join('')}
+        </div>
+        <div class="flow-board" style="flex:1;min-height:0;display:flex;gap:14px;overflow-x:auto;"></div>
+      </div>
+    `;
+    const boxes = [...container.querySelectorAll('.flow-annotators input')];
+    const redraw = () => draw(task, container, boxes.filter(b => b.checked).map(b => b.value));
+    boxes.forEach(box => box.addEventListener('change', redraw));
+    redraw();
+  }
+
+  function stopLabelRelations() {
+    simulations.forEach(s => s.stop());
+    simulations = [];
+  }
+
+  window.renderLabelRelations = renderLabelRelations;
+  window.stopLabelRelations = stopLabelRelations;
+})();
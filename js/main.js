@@ -103,6 +103,7 @@
       appState.policies = policies || {};
       displayPolicyList();
       await updateProjectMetrics();
+      watchAgreementSummaries();
     } catch (e) {
       console.error('Failed to load policies:', e);
       showMessage(e.message || 'Failed to load policies', 'error');
@@ -111,6 +112,27 @@
     }
   }
 
+  // The server computes agreement summaries in the background after a change;
+  // poll a few times so the cards pick them up without a reload
+  const AGREEMENT_POLL_MS = 4000;
+  const AGREEMENT_POLL_TRIES = 5;
+  let agreementPoll = null;
+
+  function watchAgreementSummaries(tries = AGREEMENT_POLL_TRIES) {
+    clearTimeout(agreementPoll);
+    const pending = Object.values(appState.policies).some(p => !p.agreement || p.agreement.stale);
+    if (!pending || tries <= 0) return;
+    agreementPoll = setTimeout(async () => {
+      try {
+        appState.policies = (await apiJson('/policies')) || {};
+        displayPolicyList();
+      } catch (e) {
+        console.warn('Could not refresh agreement summaries:', e);
+      }
+      watchAgreementSummaries(tries - 1);
+    }, AGREEMENT_POLL_MS);
+  }
+
   async function updateProjectMetrics() {
     try {
       const stats = await apiJson('/stats');
@@ -153,6 +175,22 @@
     }
   }
 
+  function uploadForm(file, { dryRun = false, onDuplicate = null } = {}) {
+    const form = new FormData();
+    form.append('originalName', file.name);
+    form.append('studentName', appState.student.name);
+    form.append('studentEmail', appState.student.email || '');
+    form.append('university', appState.student.university || '');
+    form.append('policyName', appState.policyName);
+    if (dryRun) form.append('dryRun', '1');
+    if (onDuplicate) form.append('onDuplicate', onDuplicate);
+    if (document.getElementById('splitByAnnotator')?.checked) form.append('splitByAnnotator', '1');
+    form.append('annotationFile', file);
+    return form;
+  }
+
+  // Dry run first: the file is validated on the server and previewed, and
+  // only stored once the user confirms
   async function handleFileUpload(event) {
     if (!appState.student || !appState.policyName) {
       showMessage('Please enter your name and policy name first', 'error'); return;
@@ -160,21 +198,35 @@
     const file = event.target.files?.[0]; if (!file) return;
     if (!file.name.endsWith('.json')) { showMessage('Please select a JSON file', 'error'); return; }
 
+    showStatus('Checking file…', '🔍');
+    try {
+      const res = await apiFetch('/upload', { method: 'POST', body: uploadForm(file, { dryRun: true }) });
+      const data = await res.json().catch(() => null);
+      if (data && data.report) {
+        hideStatus();
+        showUploadPreview(file, data);
+        return;
+      }
+      throw new Error((data && data.error) || 'Could not check the file');
+    } catch (e) {
+      console.error('Upload check error:', e);
+      showStatus('Upload failed', '❌');
+      showMessage(e.message || 'Upload failed', 'error');
+      setTimeout(hideStatus, 2500);
+    } finally {
+      if (event && event.target) event.target.value = '';
+    }
+  }
+
+  async function submitUpload(file, onDuplicate = null) {
+    hideUploadPreview();
     showStatus('Uploading file…', '📤');
     try {
-      const form = new FormData();
-      form.append('annotationFile', file);
-      form.append('originalName', file.name);
-      form.append('studentName', appState.student.name);
-      form.append('studentEmail', appState.student.email || '');
-      form.append('university', appState.student.university || '');
-      form.append('policyName', appState.policyName);
-
-      const res = await apiFetch('/upload', { method: 'POST', body: form });
+      const res = await apiFetch('/upload', { method: 'POST', body: uploadForm(file, { onDuplicate }) });
       const data = await res.json().catch(() => null);
       if (!res.ok) throw new Error((data && data.error) || 'Upload failed');
 
-      showUploadSuccess(false, data.annotationCount || 0);
+      showUploadSuccess(false, data.annotationCount || 0, data.attribution);
       await loadPoliciesFromServer();
       showStatus('File uploaded successfully!', '✅');
     } catch (e) {
@@ -183,17 +235,126 @@
       showMessage(e.message || 'Upload failed', 'error');
     } finally {
       setTimeout(hideStatus, 2500);
-      if (event && event.target) event.target.value = '';
     }
   }
 
-  function showUploadSuccess(isNewPolicy, annotationCount) {
+  // -------- Upload preview (validation report from the dry run) --------
+  const PREVIEW_ISSUE_LIMIT = 25;
+
+  function issueLocation(issue) {
+    const parts = [];
+    if (issue.taskIndex !== null) parts.push(`Task #${issue.taskIndex + 1}${issue.taskId !== null ? ` (id ${issue.taskId})` : ''}`);
+    if (issue.annotationId !== null) parts.push(`annotation ${issue.annotationId}`);
+    if (issue.resultId !== null) parts.push(`result ${issue.resultId}`);
+    return parts.join(' · ');
+  }
+
+  function issueList(issues, kind) {
+    if (!issues.length) return '';
+    const items = issues.slice(0, PREVIEW_ISSUE_LIMIT).map(issue => `
+      <li><span class="preview-location">${escapeHtml(issueLocation(issue))}</span> ${escapeHtml(issue.message)}</li>
+    `).join('');
+    const more = issues.length > PREVIEW_ISSUE_LIMIT ? `<li>…and ${issues.length - PREVIEW_ISSUE_LIMIT} more</li>` : '';
+    return `
+      <div class="preview-issues ${kind}">
+        <strong>${kind === 'error' ? '❌' : '⚠️'} ${issues.length} ${kind}${issues.length === 1 ? '' : 's'}</strong>
+        <ul>${items}${more}</ul>
+      </div>
+    `;
+  }
+
+  function attributionTable(attribution) {
+    if (!attribution) return '';
+    const rows = attribution.map(a => `
+      <tr>
+        <td>${a.annotator ? escapeHtml(a.annotator) : '<i>no completed_by</i>'}</td>
+        <td>${escapeHtml(a.contributor)}${a.isNewMapping ? ' <span class="preview-chip">new</span>' : ''}</td>
+        <td>${a.annotations}</td>
+      </tr>
+    `).join('');
+    return `
+      <div class="preview-row">
+        <strong>Credited to:</strong>
+        <table class="preview-attribution">
+          <thead><tr><th>Label Studio annotator</th><th>Contributor</th><th>Annotations</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  function duplicateList(duplicates) {
+    if (!duplicates || !duplicates.length) return '';
+    const exact = duplicates.some(d => d.kind === 'exact');
+    const items = duplicates.map(d => `
+      <li>
+        ${escapeHtml(d.filename || d.storedAs)} by ${escapeHtml(d.studentName)}
+        (${new Date(d.uploadedAt).toLocaleString()}, ${d.annotationCount} annotations)
+        — ${d.kind === 'exact' ? 'identical file' : `${d.shared} shared annotation${d.shared === 1 ? '' : 's'}`}
+      </li>
+    `).join('');
+    return `
+      <div class="preview-issues warning">
+        <strong>🔁 ${exact ? 'This export has already been uploaded' : 'This looks like a newer export of earlier uploads'}</strong>
+        <ul>${items}</ul>
+      </div>
+    `;
+  }
+
+  function showUploadPreview(file, { annotationCount, report, attribution, duplicates = [] }) {
+    const box = document.getElementById('uploadPreview');
+    if (!box) return;
+    const { summary, errors, warnings } = report;
+    const labels = Object.entries(summary.labelCounts)
+      .map(([label, count]) => `<span class="preview-chip">${escapeHtml(label)}: ${count}</span>`).join('');
+    const annotators = summary.annotators
+      .map(name => `<span class="preview-chip">${escapeHtml(name)}</span>`).join('') || '<i>none found</i>';
+
+    box.innerHTML = `
+      <h4>🔍 ${escapeHtml(file.name)} → "${escapeHtml(appState.policyName)}"</h4>
+      <div class="preview-counts">
+        <span><strong>${summary.tasks}</strong> tasks</span>
+        <span><strong>${annotationCount}</strong> annotations</span>
+        <span><strong>${summary.labels}</strong> labels</span>
+        <span><strong>${summary.relations}</strong> relations</span>
+      </div>
+      <div class="preview-row"><strong>Annotators:</strong> ${annotators}</div>
+      ${labels ? `<div class="preview-row"><strong>Labels:</strong> ${labels}</div>` : ''}
+      ${attributionTable(attribution)}
+      ${issueList(errors, 'error')}
+      ${issueList(warnings, 'warning')}
+      ${duplicateList(duplicates)}
+      ${errors.length ? '<p class="preview-blocked">Fix the errors in Label Studio and export again; this file cannot be stored as is.</p>' : ''}
+      <div class="preview-actions">
+        ${duplicates.length ? `
+          <button type="button" class="preview-confirm" data-on-duplicate="replace"
+                  ${errors.length || !duplicates.every(d => d.canReplace) ? 'disabled' : ''}
+                  title="${duplicates.every(d => d.canReplace) ? 'Earlier uploads go to the trash' : 'Some of these uploads belong to someone else'}">Replace previous</button>
+          <button type="button" class="preview-confirm" data-on-duplicate="keep" ${errors.length ? 'disabled' : ''}>Keep both</button>
+        ` : `<button type="button" class="preview-confirm" ${errors.length ? 'disabled' : ''}>Upload</button>`}
+        <button type="button" class="preview-cancel">Cancel</button>
+      </div>
+    `;
+    box.querySelectorAll('.preview-confirm').forEach(btn => {
+      btn.addEventListener('click', () => submitUpload(file, btn.dataset.onDuplicate || null));
+    });
+    box.querySelector('.preview-cancel').addEventListener('click', hideUploadPreview);
+    box.style.display = 'block';
+  }
+
+  function hideUploadPreview() {
+    const box = document.getElementById('uploadPreview');
+    if (box) { box.style.display = 'none'; box.innerHTML = ''; }
+  }
+
+  function showUploadSuccess(isNewPolicy, annotationCount, attribution) {
     const box = document.getElementById('uploadSuccess');
     const text = document.getElementById('uploadSuccessText');
     if (!box || !text) return;
+    const credited = attribution ? ` (credited to ${attribution.length} contributor${attribution.length === 1 ? '' : 's'})` : '';
     text.textContent = isNewPolicy
-      ? `🎉 New annotation project "${appState.policyName}" created! Added ${annotationCount} annotations.`
-      : `✅ Added ${annotationCount} annotations to "${appState.policyName}"`;
+      ? `🎉 New annotation project "${appState.policyName}" created! Added ${annotationCount} annotations${credited}.`
+      : `✅ Added ${annotationCount} annotations to "${appState.policyName}"${credited}`;
     box.style.display = 'block';
     setTimeout(() => (box.style.display = 'none'), 5000);
   }
@@ -296,6 +457,7 @@
   // -------- Render policy cards (unchanged) --------
   function displayPolicyList() {
     loadExistingPolicies();
+    renderAgreementRadar();
     if (Object.keys(appState.policies).length > 0) {
       const section = document.getElementById('policyTracking');
       if (section) section.style.display = 'block';
@@ -347,12 +509,83 @@
       const c = Object.keys(data.contributors || {}).length;
       const a = data.totalAnnotations || 0;
       const d = new Date(data.lastUpdated || data.createdAt || Date.now()).toLocaleDateString();
-      grid.appendChild(createCard(name, c, a, d));
+      grid.appendChild(createCard(name, c, a, d, data.agreement));
     });
     list.appendChild(grid);
   }
 
-  function createCard(policyName, contributorCount, annotationCount, lastUpdated) {
+  // -------- Agreement radar (per-parameter F1 from the cached summaries) --------
+  // Across several policies a parameter's F1 is weighted by the number of
+  // tasks it was scored on, so one small policy doesn't dominate.
+  function combineLabelAgreement(agreements) {
+    const totals = {};
+    agreements.forEach(agreement => agreement.byLabel.forEach(({ label, f1, tasks }) => {
+      const t = (totals[label] ||= { sum: 0, tasks: 0 });
+      t.sum += f1 * tasks;
+      t.tasks += tasks;
+    }));
+    return Object.fromEntries(Object.entries(totals)
+      .filter(([, t]) => t.tasks > 0)
+      .map(([label, t]) => [label, { f1: Math.round(t.sum / t.tasks), tasks: t.tasks }]));
+  }
+
+  function renderAgreementRadar() {
+    const section = document.getElementById('agreementRadar');
+    const select = document.getElementById('agreementRadarPolicy');
+    if (!section || !select) return;
+    const names = Object.keys(appState.policies).sort((a, b) => a.localeCompare(b));
+    if (!names.length) { section.style.display = 'none'; return; }
+    section.style.display = 'block';
+
+    const selected = names.includes(select.value) ? select.value : '';
+    select.innerHTML = `<option value="">All policies</option>` +
+      names.map(n => `<option value="${escapeHtml(n)}">${escapeHtml(n)}</option>`).join('');
+    select.value = selected;
+    select.onchange = renderAgreementRadar;
+
+    const chosen = selected ? [selected] : names;
+    const summaries = chosen.map(n => appState.policies[n].agreement).filter(Boolean);
+    const scored = summaries.filter(a => a.comparableTasks > 0);
+    const data = combineLabelAgreement(scored);
+    const pending = chosen.length - summaries.length + summaries.filter(a => a.stale).length;
+    const updating = pending ? ` • ${pending} ${pending === 1 ? 'summary' : 'summaries'} still being computed` : '';
+
+    const empty = document.getElementById('agreementRadarEmpty');
+    const canvas = document.getElementById('agreementRadarCanvas');
+    const note = document.getElementById('agreementRadarNote');
+    const chart = window.PolicyCharts && typeof Chart !== 'undefined'
+      ? window.PolicyCharts.createAgreementChart('agreementRadarChart', data)
+      : null;
+    if (chart) {
+      const tasks = scored.reduce((sum, a) => sum + a.comparableTasks, 0);
+      note.textContent = `Mean F1 per parameter over ${tasks} task${tasks === 1 ? '' : 's'} with 2+ annotators` +
+        (selected ? '' : ` in ${scored.length} of ${names.length} policies`) + updating;
+      empty.style.display = 'none';
+      canvas.style.display = 'block';
+      return;
+    }
+    note.textContent = updating.replace(/^ • /, '');
+    empty.textContent = Object.keys(data).length
+      ? 'Charts could not be loaded.'
+      : pending && !scored.length
+        ? 'Agreement is still being computed…'
+        : `No agreement to show yet: ${selected ? 'this policy has no task' : 'no policy has a task'} labeled by two or more annotators.`;
+    empty.style.display = 'block';
+    canvas.style.display = 'none';
+  }
+
+  // Cached server-side summary (see js/agreementCache.js); missing until first computed
+  function agreementSummary(agreement) {
+    if (!agreement) return '<span style="color:#a0aec0;">Agreement: computing…</span>';
+    const updating = agreement.stale ? ' <span style="color:#a0aec0;">(updating…)</span>' : '';
+    if (!agreement.comparableTasks) return `<span style="color:#a0aec0;">Agreement: needs 2+ annotators on a task</span>${updating}`;
+    const { f1, jaccard } = agreement.overall;
+    const color = f1 >= 80 ? '#38a169' : f1 >= 50 ? '#d69e2e' : '#e53e3e';
+    return `Agreement: <strong style="color:${color};">F1 ${f1}%</strong> · Jaccard ${jaccard}%
+      <span style="color:#a0aec0;">(${agreement.comparableTasks} of ${agreement.tasks} tasks)</span>${updating}`;
+  }
+
+  function createCard(policyName, contributorCount, annotationCount, lastUpdated, agreement) {
     const card = document.createElement('div');
     card.className = 'policy-card';
     card.style.cssText = `
@@ -401,6 +634,10 @@
           <span style="font-size:.8em;color:#666;">Avg/Person</span>
         </div>
       </div>
+      <div class="card-agreement" style="font-size:.85em;color:#4a5568;margin-bottom:10px;"
+           title="${agreement ? `Computed ${new Date(agreement.computedAt).toLocaleString()}` : ''}">
+        ${agreementSummary(agreement)}
+      </div>
       <div style="margin-top:15px;padding-top:15px;border-top:1px solid #e2e8f0;">
         <div class="card-actions" style="display:flex;justify-content:space-between;align-items:center;gap:10px;">
           <span style="color:#667eea;font-size:.9em;font-weight:600;">Click to view analysis →</span>
@@ -476,7 +713,7 @@
     const p = appState.policies[decoded];
     if (!p) { showMessage('Policy not found', 'error'); return; }
 
-    const confirmMsg = `Delete "${decoded}"?\n\nThis removes all files & annotations. This cannot be undone.`;
+    const confirmMsg = `Delete "${decoded}"?\n\nAll files & annotations move to the Trash, where they can be restored until they expire.`;
     if (!confirm(confirmMsg)) return;
 
     try {
@@ -487,14 +724,14 @@
       }
       delete appState.policies[decoded];
       await loadPoliciesFromServer();
-      showMessage(`Project "${decoded}" deleted`, 'success');
+      showMessage(`Project "${decoded}" moved to Trash`, 'success');
     } catch (e) {
       showMessage(e.message || 'Delete failed', 'error');
     }
   };
 
   window.deleteProjectFile = async function (policyName, fileName) {
-    if (!confirm('Delete this file permanently?')) return;
+    if (!confirm('Move this file to the Trash?')) return;
     try {
       const res = await apiFetch(`/policies/${policyName}/files/${fileName}`, { method: 'DELETE' });
       if (!res.ok) {
@@ -521,6 +758,95 @@
     }
   };
 
+  // -------- Trash (soft-deleted policies, contributors and uploads) --------
+  window.openTrash = async function () {
+    try {
+      const data = await apiJson('/trash');
+      document.querySelector('.trash-modal')?.remove();
+      showTrashModal(data);
+    } catch (e) {
+      showMessage(`Failed to load trash: ${e.message}`, 'error');
+    }
+  };
+
+  function describeTrashEntry(entry) {
+    const policyName = escapeHtml(entry.policyName);
+    if (entry.type === 'policy') return `Project "${policyName}"`;
+    if (entry.type === 'contributor') return `Contributor ${escapeHtml(entry.studentName)} in "${policyName}"`;
+    const upload = entry.record.upload || {};
+    return `${escapeHtml(upload.filename || upload.storedAs)} by ${escapeHtml(entry.studentName)} in "${policyName}"`;
+  }
+
+  function showTrashModal({ entries = [], retentionDays }) {
+    const modal = document.createElement('div');
+    modal.className = 'modal-backdrop trash-modal';
+    modal.style.cssText = `
+      position:fixed;inset:0;background:rgba(0,0,0,.5);display:flex;align-items:center;justify-content:center;z-index:1000;
+    `;
+    const content = document.createElement('div');
+    content.style.cssText = `
+      background:#fff;border-radius:15px;padding:30px;width:min(800px,92vw);max-height:80vh;overflow:auto;margin:20px;
+      box-shadow:0 20px 40px rgba(0,0,0,.3);
+    `;
+    const rows = entries
+      .slice()
+      .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt))
+      .map(entry => `
+        <div style="display:flex;justify-content:space-between;align-items:center;padding:12px;border-bottom:1px solid #e2e8f0;background:#f8f9fa;margin-bottom:8px;border-radius:6px;">
+          <div>
+            <div style="font-weight:600;color:#333;">${describeTrashEntry(entry)}</div>
+            <div style="font-size:.85em;color:#666;">
+              Deleted ${new Date(entry.deletedAt).toLocaleString()}${entry.deletedBy ? ` by ${escapeHtml(entry.deletedBy.name)}` : ''}
+              • ${entry.files.length} file(s) • Purged after ${new Date(entry.expiresAt).toLocaleDateString()}
+            </div>
+          </div>
+          <div style="display:flex;gap:8px;">
+            <button onclick="restoreTrashEntry('${encodeURIComponent(entry.id)}')"
+                    style="padding:6px 12px;background:#48bb78;color:#fff;border:none;border-radius:4px;cursor:pointer;font-size:.85em;">Restore</button>
+            <button onclick="purgeTrashEntry('${encodeURIComponent(entry.id)}')"
+                    style="padding:6px 12px;background:#e53e3e;color:#fff;border:none;border-radius:4px;cursor:pointer;font-size:.85em;">Delete Forever</button>
+          </div>
+        </div>
+      `).join('') || '<div style="text-align:center;color:#666;padding:40px;">The trash is empty</div>';
+
+    content.innerHTML = `
+      <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:20px;">
+        <h2 style="margin:0;color:#2d3748;">♻️ Trash</h2>
+        <button onclick="this.closest('.modal-backdrop').remove()"
+                style="background:#e53e3e;color:#fff;border:none;padding:8px 12px;border-radius:6px;cursor:pointer;">Close</button>
+      </div>
+      <div style="background:#f8f9fa;padding:15px;border-radius:8px;margin-bottom:20px;">
+        Deleted items are kept for <strong>${retentionDays} days</strong> and then purged automatically.
+      </div>
+      ${rows}
+    `;
+    modal.appendChild(content);
+    modal.addEventListener('click', e => { if (e.target === modal) modal.remove(); });
+    document.body.appendChild(modal);
+  }
+
+  window.restoreTrashEntry = async function (id) {
+    try {
+      const data = await apiJson(`/trash/${id}/restore`, { method: 'POST' });
+      showMessage(data.message || 'Restored', 'success');
+      await loadPoliciesFromServer();
+      await window.openTrash();
+    } catch (e) {
+      showMessage(e.message || 'Restore failed', 'error');
+    }
+  };
+
+  window.purgeTrashEntry = async function (id) {
+    if (!confirm('Permanently delete this item? This cannot be undone.')) return;
+    try {
+      await apiJson(`/trash/${id}`, { method: 'DELETE' });
+      showMessage('Deleted permanently', 'success');
+      await window.openTrash();
+    } catch (e) {
+      showMessage(e.message || 'Delete failed', 'error');
+    }
+  };
+
   // -------- Expose a few handlers the HTML expects --------
   window.updateUploadSection = updateUploadSection;
   window.applyFilters = applyFilters;
@@ -0,0 +1,378 @@
+// Transactional metadata store for policies, contributors and uploads.
+//
+// All reads and writes of upload metadata go through this module instead of
+// loading and rewriting policies.json by hand. Mutations run inside
+// transaction(): the store takes an in-process queue slot plus an on-disk
+// lock file (so CLI scripts and the server can't interleave), re-reads the
+// latest state, applies the change, recomputes annotation totals from the
+// upload records and replaces the file with an atomic rename.
+const fs = require('fs').promises;
+const path = require('path');
+
+const SCHEMA_VERSION = 1;
+const LOCK_RETRY_MS = 25;
+const LOCK_TIMEOUT_MS = 10 * 1000;
+const STALE_LOCK_MS = 30 * 1000;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function emptyState() {
+    return { schemaVersion: SCHEMA_VERSION, policies: {} };
+}
+
+function countAnnotations(data) {
+    let count = 0;
+    if (Array.isArray(data)) {
+        data.forEach(item => {
+            if (item.annotations && Array.isArray(item.annotations)) {
+                count += item.annotations.length;
+            } else if (item.result) {
+                count++;
+            }
+        });
+    } else if (data && data.annotations && Array.isArray(data.annotations)) {
+        count = data.annotations.length;
+    }
+    return count;
+}
+
+// Helper function to sanitize folder names
+function sanitizeFolderName(name) {
+    return name.replace(/[^a-zA-Z0-9\-_\s]/g, '_').replace(/\s+/g, '_');
+}
+
+// Legacy records hold absolute paths from whichever machine wrote them
+// (e.g. /Users/.../data/projects/Nike/...). Keep only the part under data/.
+function relativeToDataDir(filePath) {
+    if (!filePath) return null;
+    const normalized = filePath.split(path.sep).join('/');
+    const marker = normalized.lastIndexOf('/data/');
+    return marker === -1 ? null : normalized.slice(marker + '/data/'.length);
+}
+
+// Totals are always derived from the upload records, never patched with += / -=
+function recomputeTotals(policy) {
+    let policyTotal = 0;
+    Object.values(policy.contributors || {}).forEach(contributor => {
+        const uploads = contributor.uploads || [];
+        contributor.totalAnnotations = uploads.reduce((sum, upload) => sum + (Number(upload.annotationCount) || 0), 0);
+        policyTotal += contributor.totalAnnotations;
+    });
+    policy.totalAnnotations = policyTotal;
+    return policy;
+}
+
+// State mutations shared by the store methods below and by other modules that
+// need to combine them with their own changes in a single transaction (trash).
+
+// Version fields of an upload that replaces `superseded` (uploads of the same
+// contributor). Earlier versions, including their own history, move into
+// `history` oldest first and are renumbered; the new upload is the next version.
+function nextVersion(superseded) {
+    const history = superseded
+        .flatMap(({ history = [], annotationKeys, ...upload }) => [...history, upload])
+        .sort((a, b) => new Date(a.uploadedAt) - new Date(b.uploadedAt))
+        .map((upload, index) => ({ ...upload, version: index + 1 }));
+    return { version: history.length + 1, history };
+}
+
+// Removes the first upload matching `match(upload, index, studentName)`; optionally
+// restricted to one contributor. Drops contributors (and, with
+// removeEmptyPolicy, policies) that end up empty.
+function removeUploadFromState(state, policyName, match, { studentName = null, removeEmptyPolicy = true } = {}) {
+    const policy = state.policies[policyName];
+    if (!policy) return { found: false, reason: 'policy' };
+    if (studentName && !policy.contributors[studentName]) return { found: false, reason: 'contributor' };
+
+    const names = studentName ? [studentName] : Object.keys(policy.contributors);
+    for (const name of names) {
+        const contributor = policy.contributors[name];
+        const index = contributor.uploads.findIndex((upload, i) => match(upload, i, name));
+        if (index === -1) continue;
+
+        const [upload] = contributor.uploads.splice(index, 1);
+        policy.lastUpdated = new Date().toISOString();
+        if (contributor.uploads.length === 0) delete policy.contributors[name];
+
+        let policyRemoved = false;
+        if (removeEmptyPolicy && Object.keys(policy.contributors).length === 0) {
+            delete state.policies[policyName];
+            policyRemoved = true;
+        }
+        recomputeTotals(policy);
+        return {
+            found: true,
+            upload,
+            studentName: name,
+            contributor,
+            remainingUploads: contributor.uploads.length,
+            policy,
+            policyRemoved
+        };
+    }
+    return { found: false, reason: 'upload' };
+}
+
+function removeContributorFromState(state, policyName, studentName) {
+    const policy = state.policies[policyName];
+    if (!policy) return { found: false, reason: 'policy' };
+    const contributor = policy.contributors[studentName];
+    if (!contributor) return { found: false, reason: 'contributor' };
+
+    delete policy.contributors[studentName];
+    policy.lastUpdated = new Date().toISOString();
+    recomputeTotals(policy);
+    return { found: true, contributor, policy };
+}
+
+function removePolicyFromState(state, policyName) {
+    const policy = state.policies[policyName];
+    if (!policy) return { found: false };
+    delete state.policies[policyName];
+    return { found: true, policy };
+}
+
+function createMetadataStore({ dataDir, fileName = 'store.json' }) {
+    const storeFile = path.join(dataDir, fileName);
+    const lockFile = `${storeFile}.lock`;
+    let queue = Promise.resolve();
+
+    async function acquireLock() {
+        const startedAt = Date.now();
+        for (;;) {
+            try {
+                const handle = await fs.open(lockFile, 'wx');
+                await handle.writeFile(String(process.pid));
+                await handle.close();
+                return;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+
+            // A crashed writer can leave its lock behind; break it once it is old enough
+            try {
+                const stat = await fs.stat(lockFile);
+                if (Date.now() - stat.mtimeMs > STALE_LOCK_MS) {
+                    await fs.unlink(lockFile);
+                    continue;
+                }
+            } catch (error) {
+                if (error.code === 'ENOENT') continue;
+                throw error;
+            }
+
+            if (Date.now() - startedAt > LOCK_TIMEOUT_MS) {
+                throw new Error(`Timed out waiting for metadata store lock: ${lockFile}`);
+            }
+            await sleep(LOCK_RETRY_MS);
+        }
+    }
+
+    async function releaseLock() {
+        try {
+            await fs.unlink(lockFile);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+
+    async function readState() {
+        try {
+            const data = await fs.readFile(storeFile, 'utf8');
+            const state = JSON.parse(data);
+            state.policies = state.policies || {};
+            return state;
+        } catch (error) {
+            if (error.code === 'ENOENT') return emptyState();
+            throw error;
+        }
+    }
+
+    async function writeState(state) {
+        await fs.mkdir(dataDir, { recursive: true });
+        const tmpFile = `${storeFile}.${process.pid}.tmp`;
+        const handle = await fs.open(tmpFile, 'w');
+        try {
+            await handle.writeFile(JSON.stringify(state, null, 2));
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await fs.rename(tmpFile, storeFile);
+    }
+
+    // Serialize fn against every other transaction, in this process and across processes
+    function transaction(fn) {
+        const run = queue.then(async () => {
+            await fs.mkdir(dataDir, { recursive: true });
+            await acquireLock();
+            try {
+                const state = await readState();
+                const result = await fn(state);
+                Object.values(state.policies).forEach(recomputeTotals);
+                state.schemaVersion = SCHEMA_VERSION;
+                state.updatedAt = new Date().toISOString();
+                await writeState(state);
+                return result;
+            } finally {
+                await releaseLock();
+            }
+        });
+        // Keep the queue alive even when a transaction fails
+        queue = run.catch(() => {});
+        return run;
+    }
+
+    async function exists() {
+        try {
+            await fs.access(storeFile);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async function getPolicies() {
+        return (await readState()).policies;
+    }
+
+    async function getPolicy(policyName) {
+        return (await getPolicies())[policyName] || null;
+    }
+
+    // Soft-deleted items, see js/trash.js
+    async function getTrash() {
+        return (await readState()).trash || [];
+    }
+
+    // Label Studio annotator → contributor mappings, see js/annotatorMap.js
+    async function getAnnotatorMap() {
+        return (await readState()).annotators || {};
+    }
+
+    // Absolute path of an upload's file; relativePath is relative to the data directory
+    function resolveUploadPath(upload) {
+        if (upload.relativePath) return path.join(dataDir, upload.relativePath);
+        return upload.filePath || null;
+    }
+
+    // First existing location of an upload's file: recorded path, then the old and new structures
+    async function locateUploadFile(policyName, upload) {
+        const possiblePaths = [
+            resolveUploadPath(upload),
+            upload.storedAs && path.join(dataDir, 'projects', sanitizeFolderName(policyName), upload.storedAs),
+            upload.storedAs && path.join(dataDir, 'uploads', upload.storedAs)
+        ];
+        for (const filePath of possiblePaths) {
+            if (!filePath) continue;
+            try {
+                await fs.access(filePath);
+                return filePath;
+            } catch (error) {
+                // Continue to next path
+            }
+        }
+        return null;
+    }
+
+    // supersedes: storedAs of this contributor's uploads that the new one
+    // replaces as a newer version (see nextVersion)
+    function addUpload(policyName, contributorInfo, uploadRecord, { supersedes = [] } = {}) {
+        return transaction(state => {
+            const now = new Date().toISOString();
+            const isNewPolicy = !state.policies[policyName];
+            if (isNewPolicy) {
+                state.policies[policyName] = {
+                    createdAt: now,
+                    contributors: {},
+                    totalAnnotations: 0
+                };
+            }
+            const policy = state.policies[policyName];
+            const studentName = contributorInfo.name;
+            if (!policy.contributors[studentName]) {
+                policy.contributors[studentName] = {
+                    uploads: [],
+                    email: contributorInfo.email || '',
+                    university: contributorInfo.university || '',
+                    totalAnnotations: 0
+                };
+            }
+
+            const contributor = policy.contributors[studentName];
+            const superseded = contributor.uploads.filter(u => supersedes.includes(u.storedAs));
+            contributor.uploads = contributor.uploads.filter(u => !supersedes.includes(u.storedAs));
+            contributor.uploads.push({
+                uploadedAt: now,
+                ...uploadRecord,
+                ...(superseded.length ? nextVersion(superseded) : {})
+            });
+            policy.lastUpdated = now;
+            return { isNewPolicy, policy };
+        });
+    }
+
+    function removeUpload(policyName, match, options) {
+        return transaction(state => removeUploadFromState(state, policyName, match, options));
+    }
+
+    function removeContributor(policyName, studentName) {
+        return transaction(state => removeContributorFromState(state, policyName, studentName));
+    }
+
+    function removePolicy(policyName) {
+        return transaction(state => removePolicyFromState(state, policyName));
+    }
+
+    async function getStats() {
+        const policies = await getPolicies();
+        const policyNames = Object.keys(policies);
+        const contributors = new Set();
+        let totalAnnotations = 0;
+
+        policyNames.forEach(policyName => {
+            const policy = policies[policyName];
+            Object.keys(policy.contributors || {}).forEach(name => contributors.add(name));
+            totalAnnotations += policy.totalAnnotations || 0;
+        });
+
+        return {
+            totalPolicies: policyNames.length,
+            totalContributors: contributors.size,
+            totalAnnotations,
+            avgAnnotationsPerPolicy: policyNames.length > 0 ? Math.round(totalAnnotations / policyNames.length) : 0
+        };
+    }
+
+    return {
+        file: storeFile,
+        dataDir,
+        exists,
+        transaction,
+        getPolicies,
+        getPolicy,
+        getTrash,
+        getAnnotatorMap,
+        resolveUploadPath,
+        locateUploadFile,
+        addUpload,
+        removeUpload,
+        removeContributor,
+        removePolicy,
+        getStats
+    };
+}
+
+module.exports = {
+    createMetadataStore,
+    recomputeTotals,
+    countAnnotations,
+    sanitizeFolderName,
+    relativeToDataDir,
+    removeUploadFromState,
+    removeContributorFromState,
+    removePolicyFromState,
+    SCHEMA_VERSION
+};
@@ -49,14 +49,20 @@ document.addEventListener('DOMContentLoaded', () => {
 
 window.policyName = policyName;
 
+// Logged-in user, or null without a session or auth API
+const __currentUser = apiJson('/auth/me').then(data => data.user || null).catch(() => null);
+
 function updatePageTitle(name) {
   document.title = `Policy Analysis - ${name}`;
   const h = document.getElementById('pageTitle');
   if (h) h.textContent = `Policy Analysis: ${name}`;
 }
 
-// ---------- Load latest uploaded file for this policy ----------
+// ---------- Load every contributor's uploads, merged into one task ----------
 let __lastTask = null;
+let __tasks = [];       // every task of the loaded export / merged policy
+let __taskIndex = 0;
+let __selectedUploads = null; // storedAs names picked in the upload picker; null = all uploads
 
 async function loadPolicyFromServer(name) {
   try {
@@ -70,22 +76,16 @@ async function loadPolicyFromServer(name) {
       showMessage('No annotations for this policy yet. Upload below.'); return;
     }
 
-    let latestFile = null, latestTime = 0;
-    Object.values(contributors).forEach(c => {
-      (c.uploads || []).forEach(u => {
-        const when = new Date(u.uploadedAt || 0).getTime() || 0;
-        const count = Number(u.annotationCount || 0);
-        if (count > 0 && when >= latestTime) { latestFile = u; latestTime = when; }
-      });
-    });
-    if (!latestFile) { showMessage('No annotation files found.'); return; }
-
-    const stored = latestFile.storedAs || latestFile.filename || latestFile.name;
-    const annotationData = await apiJson(`/policy-file/${encodeURIComponent(name)}/${encodeURIComponent(stored)}`);
+    const query = __selectedUploads ? `?uploads=${encodeURIComponent(__selectedUploads.join(','))}` : '';
+    const merged = await apiJson(`/policies/${encodeURIComponent(name)}/merged${query}`);
     showServerDataInfo(policyData);
+    renderUploadPicker(merged.uploads || []);
+
+    const tasks = merged.tasks || [];
+    if (!tasks.length) { showMessage('No annotation files found.'); return; }
 
-    __lastTask = Array.isArray(annotationData) ? annotationData[0] : annotationData;
-    processTask(__lastTask);
+    loadTasks(tasks);
+    loadAgreementTrend(name);
   } catch (err) {
     console.error('Load error:', err);
     showMessage('Could not load server data. You can upload a file manually below.');
@@ -93,12 +93,33 @@ async function loadPolicyFromServer(name) {
   }
 }
 
+// ---------- Agreement trend (snapshots recorded by the server on every change) ----------
+async function loadAgreementTrend(name) {
+  const section = document.getElementById('agreementTrend');
+  const note = document.getElementById('agreementTrendNote');
+  if (!section || !window.PolicyCharts || typeof Chart === 'undefined') return;
+  try {
+    const { history } = await apiJson(`/policies/${encodeURIComponent(name)}/agreement/history`);
+    if (!history.length) { section.style.display = 'none'; return; }
+
+    section.style.display = 'block';
+    const first = history[0], last = history[history.length - 1];
+    note.textContent = history.length < 2
+      ? 'One snapshot so far. A new point is added every time uploads of this policy change.'
+      : `${history.length} snapshots since ${new Date(first.at).toLocaleDateString()} • F1 ${first.f1}% → ${last.f1}%`;
+    window.PolicyCharts.createAgreementTrendChart('agreementTrendChart', history);
+  } catch (err) {
+    console.warn('Could not load agreement history:', err);
+    section.style.display = 'none';
+  }
+}
+
 // ---------- UI helpers ----------
 function showServerDataInfo(policyData) {
   const infoDiv = document.getElementById('serverDataInfo');
   const dataSource = document.getElementById('dataSource');
   if (!infoDiv || !dataSource) return;
-  const contributors = Object.keys(policyData.contributors || {}).join(', ') || '—';
+  const contributors = escapeHtml(Object.keys(policyData.contributors || {}).join(', ') || '—');
   const lastUpdated = policyData.lastUpdated ? new Date(policyData.lastUpdated).toLocaleDateString() : '—';
   const totalAnnotations = policyData.totalAnnotations ?? 0;
   dataSource.innerHTML = `Contributors: ${contributors}<br>Last updated: ${lastUpdated}<br>Total annotations: ${totalAnnotations}`;
@@ -106,6 +127,47 @@ function showServerDataInfo(policyData) {
   const uploadSection = document.getElementById('fileUploadSection');
   if (uploadSection) uploadSection.style.display = 'none';
 }
+// Checkbox list of uploads feeding the merged analysis
+function renderUploadPicker(uploads) {
+  const picker = document.getElementById('uploadPicker');
+  if (!picker) return;
+  if (!uploads.length) { picker.innerHTML = ''; return; }
+
+  const includedCount = uploads.filter(u => u.included).length;
+  picker.innerHTML = `
+    <details${__selectedUploads ? ' open' : ''}>
+      <summary>Uploads in this analysis: ${includedCount} of ${uploads.length}</summary>
+      <div class="upload-picker-list">
+        ${uploads.map(u => `
+          <label class="upload-picker-item${u.error ? ' unavailable' : ''}">
+            <input type="checkbox" value="${encodeURIComponent(u.storedAs)}" ${u.included ? 'checked' : ''} ${u.error ? 'disabled' : ''}>
+            <b>${escapeHtml(u.contributor)}</b> — ${escapeHtml(u.filename || u.storedAs)}${u.version > 1 ? ` (v${u.version})` : ''}
+            <span class="upload-picker-meta">
+              ${u.annotationCount} annotations • ${u.uploadedAt ? new Date(u.uploadedAt).toLocaleDateString() : '—'}${u.error ? ` • ${escapeHtml(u.error)}` : ''}
+            </span>
+          </label>
+        `).join('')}
+      </div>
+      <button type="button" id="applyUploadSelection">Re-analyze selection</button>
+      <button type="button" id="selectAllUploads">Include all</button>
+    </details>
+  `;
+
+  const boxes = [...picker.querySelectorAll('input[type="checkbox"]')];
+  const applyBtn = picker.querySelector('#applyUploadSelection');
+  const syncApply = () => { applyBtn.disabled = !boxes.some(b => b.checked); };
+  boxes.forEach(b => b.addEventListener('change', syncApply));
+  syncApply();
+
+  applyBtn.addEventListener('click', () => {
+    __selectedUploads = boxes.filter(b => b.checked).map(b => decodeURIComponent(b.value));
+    loadPolicyFromServer(policyName);
+  });
+  picker.querySelector('#selectAllUploads').addEventListener('click', () => {
+    __selectedUploads = null;
+    loadPolicyFromServer(policyName);
+  });
+}
 function showManualUpload() {
   const uploadSection = document.getElementById('fileUploadSection');
   if (uploadSection) uploadSection.style.display = 'block';
@@ -132,10 +194,11 @@ function handleManualUpload(event) {
   reader.onload = e => {
     try {
       const json = JSON.parse(e.target.result);
-      __lastTask = Array.isArray(json) ? json[0] : json;
+      const tasks = (Array.isArray(json) ? json : [json]).filter(Boolean);
+      if (!tasks.length) { showMessage('The file contains no tasks.'); return; }
       const serverInfo = document.getElementById('serverDataInfo');
       if (serverInfo) serverInfo.style.display = 'none';
-      processTask(__lastTask);
+      loadTasks(tasks);
     } catch (err) {
       const s = document.getElementById('stats');
       const c = document.getElementById('policyContainer');
@@ -146,6 +209,243 @@ function handleManualUpload(event) {
   reader.readAsText(f);
 }
 
+// ---------- Multi-task navigation ----------
+// Agreement math (taskAgreementSpans, summarizeTask, …) lives in js/agreement.js
+function agreementClass(f1) {
+  if (f1 == null) return 'none';
+  if (f1 >= 80) return 'green';
+  if (f1 >= 50) return 'yellow';
+  return 'red';
+}
+
+function loadTasks(tasks) {
+  // Gold annotations (ground_truth) are set apart from the annotators being compared
+  __tasks = tasks.map(t => ({ ...withoutGroundTruth(t), goldAnnotations: (t.annotations || []).filter(isGroundTruth) }));
+  __tasks.forEach(t => {
+    t.__summary = summarizeTask(t);
+    t.__goldScore = t.goldAnnotations.length ? scoreAgainstGold(t, t.goldAnnotations[t.goldAnnotations.length - 1]) : null;
+  });
+  renderTaskRollup();
+  showTask(0);
+}
+
+function showTask(index) {
+  if (!__tasks.length) return;
+  __taskIndex = Math.max(0, Math.min(index, __tasks.length - 1));
+  __lastTask = __tasks[__taskIndex];
+  renderTaskNavigator();
+  processTask(__lastTask);
+}
+
+function renderTaskNavigator() {
+  const nav = document.getElementById('taskNavigator');
+  if (!nav) return;
+  if (__tasks.length < 2) { nav.style.display = 'none'; return; }
+
+  nav.style.display = 'block';
+  nav.innerHTML = `
+    <div class="task-nav-header">
+      <button type="button" id="prevTaskBtn" ${__taskIndex === 0 ? 'disabled' : ''}>← Prev</button>
+      <strong>Task ${__taskIndex + 1} of ${__tasks.length}</strong>
+      <button type="button" id="nextTaskBtn" ${__taskIndex === __tasks.length - 1 ? 'disabled' : ''}>Next →</button>
+    </div>
+    <ul class="task-nav-list">
+      ${__tasks.map((t, i) => {
+        const sum = t.__summary;
+        return `
+          <li class="task-nav-item${i === __taskIndex ? ' active' : ''}" data-index="${i}">
+            <span>#${t.id ?? i + 1} • ${(t.annotations || []).length} annotations • ${sum.annotators.size} annotators${t.goldAnnotations.length ? ' • ⭐ gold' : ''}</span>
+            <span class="agreement-badge ${agreementClass(sum.f1)}" title="Pairwise F1">${sum.f1 == null ? 'n/a' : sum.f1 + '%'}</span>
+          </li>`;
+      }).join('')}
+    </ul>
+  `;
+
+  nav.querySelector('#prevTaskBtn').addEventListener('click', () => showTask(__taskIndex - 1));
+  nav.querySelector('#nextTaskBtn').addEventListener('click', () => showTask(__taskIndex + 1));
+  nav.querySelectorAll('.task-nav-item').forEach(li => {
+    li.addEventListener('click', () => showTask(Number(li.dataset.index)));
+  });
+  const active = nav.querySelector('.task-nav-item.active');
+  if (active) active.scrollIntoView({ block: 'nearest' });
+}
+
+// Project-level roll-up: task-level scores averaged over tasks with 2+ annotators
+function renderTaskRollup() {
+  const el = document.getElementById('taskRollup');
+  if (!el) return;
+  if (__tasks.length < 2) { el.style.display = 'none'; return; }
+
+  const rollup = summarizeAgreement(__tasks, __tasks.map(t => t.__summary));
+  const goldTasks = __tasks.filter(t => t.__goldScore);
+
+  el.style.display = 'block';
+  el.innerHTML = `
+    <h3>📚 Project Roll-up (${__tasks.length} tasks)</h3>
+    <div>Tasks with 2+ annotators: <b>${rollup.comparableTasks}</b> of ${__tasks.length}</div>
+    <div>Annotators across tasks: <b>${rollup.annotators.length}</b></div>
+    <div>Mean F1 per task: <b>${rollup.overall.f1}%</b></div>
+    <div>Span-weighted F1: <b>${rollup.overall.weightedF1}%</b></div>
+    <div>Mean Jaccard per task: <b>${rollup.overall.jaccard}%</b></div>
+    <div>Mean Cohen's κ: <b>${rollup.overall.cohenKappa ?? 'n/a'}</b> • Fleiss' κ: <b>${rollup.overall.fleissKappa ?? 'n/a'}</b> • Krippendorff's α<sub>u</sub>: <b>${rollup.overall.alpha ?? 'n/a'}</b></div>
+    <div>Mean relation F1 per task: <b>${rollup.relations.tasks ? `${rollup.relations.overall.f1}%` : 'n/a'}</b>
+      <span style="color:#888;">(${rollup.relations.tasks} tasks with relations)</span></div>
+    <div>Mean CI tuple F1 per task: <b>${rollup.tuples.tasks ? `${rollup.tuples.overall.f1}% (${rollup.tuples.overall.relaxedF1}% counting partial matches)` : 'n/a'}</b></div>
+    <h4 style="margin-top:12px;">F1 by Label (mean over tasks)</h4>
+    ${rollup.byLabel.map(({ label, f1, tasks }) =>
+      `<div>${label}: <b>${f1}%</b> <span style="color:#888;">(${tasks} tasks)</span></div>`
+    ).join('') || '<div>No comparable labels yet.</div>'}
+    ${goldTasks.length ? `
+      <h4 style="margin-top:12px;">Scores Against the Gold Standard (${goldTasks.length} tasks with gold)</h4>
+      ${summarizeGoldScores(goldTasks.map(t => t.__goldScore)).map(a =>
+        `<div>${escapeHtml(a.user)}: <b>F1 ${a.overall.f1}%</b> • P ${a.overall.precision}% • R ${a.overall.recall}%
+          • relation F1 ${a.relations ? `${a.relations.f1}%` : 'n/a'}
+          <span style="color:#888;">(${a.missed} missed, ${a.spurious} spurious spans in ${a.tasks} tasks)</span></div>`
+      ).join('')}` : ''}
+  `;
+}
+
+// Scores of each annotator against the task's gold annotation, with a
+// feedback report for the annotator picked in the list
+function renderGoldScores(task) {
+  const el = document.getElementById('goldScores');
+  if (!el) return;
+  const score = task.__goldScore;
+  if (!score || !score.annotators.length) { el.style.display = 'none'; el.innerHTML = ''; return; }
+
+  const short = text => (text.length > 80 ? `${text.slice(0, 80)}…` : text);
+  const { gold } = score;
+  const source = gold.adjudication
+    ? `adjudicated by ${escapeHtml(gold.adjudication.by)} from ${escapeHtml((gold.adjudication.from || []).join(', '))}`
+    : `by ${escapeHtml(gold.by)}`;
+
+  el.style.display = 'block';
+  el.innerHTML = `
+    <h3>🎯 Scores Against the Gold Standard</h3>
+    <div style="color:#666;font-size:14px;margin-bottom:10px;">
+      Gold annotation ${source}: ${gold.spans} spans, ${gold.relations} relations.
+      Precision is the share of an annotator's spans that the gold annotation has too; recall is the share of gold spans they found.
+    </div>
+    <table class="gold-table gold-annotators">
+      <thead><tr><th>Annotator</th><th>Spans</th><th>P</th><th>R</th><th>F1</th><th>Relation F1</th><th>Missed</th><th>Spurious</th></tr></thead>
+      <tbody>
+        ${score.annotators.map((a, i) => `
+          <tr data-index="${i}">
+            <td>${escapeHtml(a.user)}</td><td>${a.overall.marked}</td>
+            <td>${a.overall.precision}%</td><td>${a.overall.recall}%</td><td><b>${a.overall.f1}%</b></td>
+            <td>${a.relations ? `${a.relations.f1}%` : 'n/a'}</td><td>${a.missed.length}</td><td>${a.spurious.length}</td>
+          </tr>`).join('')}
+      </tbody>
+    </table>
+    <div id="goldFeedback" style="margin-top:14px;"></div>
+  `;
+
+  const showFeedback = index => {
+    const a = score.annotators[index];
+    el.querySelectorAll('.gold-annotators tbody tr').forEach(tr => tr.classList.toggle('active', Number(tr.dataset.index) === index));
+    const spanList = (spans, note) => spans.length
+      ? `<ul style="margin:4px 0;padding-left:18px;line-height:1.5;">${spans.map(s =>
+          `<li><b>${escapeHtml(s.label)}</b> “${escapeHtml(short(s.text))}”${note(s)}</li>`).join('')}</ul>`
+      : '<div style="color:#888;">None.</div>';
+    el.querySelector('#goldFeedback').innerHTML = `
+      <h4>Feedback for ${escapeHtml(a.user)}</h4>
+      <div>You found <b>${a.overall.matched}</b> of the ${a.overall.gold} gold spans (recall ${a.overall.recall}%),
+        and <b>${a.overall.matched}</b> of your ${a.overall.marked} spans are in the gold standard (precision ${a.overall.precision}%).</div>
+      <div>${a.relations
+        ? `Relations: <b>${a.relations.matched}</b> of your ${a.relations.drawn} match one of the ${a.relations.gold} gold relations • F1 <b>${a.relations.f1}%</b>`
+        : 'Neither you nor the gold standard drew relations in this task.'}</div>
+      <table class="gold-table" style="margin-top:8px;">
+        <thead><tr><th>Label</th><th>Gold</th><th>Yours</th><th>Matched</th><th>P</th><th>R</th><th>F1</th></tr></thead>
+        <tbody>
+          ${a.byLabel.map(l => `
+            <tr><td>${escapeHtml(l.label)}</td><td>${l.gold}</td><td>${l.marked}</td><td>${l.matched}</td>
+              <td>${l.precision}%</td><td>${l.recall}%</td><td><b>${l.f1}%</b></td></tr>`).join('')}
+        </tbody>
+      </table>
+      <h4 style="margin-top:12px;">Missed spans (${a.missed.length})</h4>
+      ${spanList(a.missed, s => (s.markedAs.length ? ` <i>— you labeled it ${escapeHtml(s.markedAs.join(', '))}</i>` : ''))}
+      <h4 style="margin-top:12px;">Spurious spans (${a.spurious.length})</h4>
+      ${spanList(a.spurious, s => (s.goldLabels.length ? ` <i>— the gold standard has ${escapeHtml(s.goldLabels.join(', '))}</i>` : ''))}
+      <div style="color:#888;font-size:0.85em;margin-top:4px;">
+        A span matches a gold span it overlaps with the same label; a relation matches when both ends do.
+      </div>
+    `;
+  };
+  el.querySelectorAll('.gold-annotators tbody tr').forEach(tr => {
+    tr.addEventListener('click', () => showFeedback(Number(tr.dataset.index)));
+  });
+  showFeedback(0);
+}
+
+// Dawid–Skene / MACE consensus of the task's segments (js/aggregation.js):
+// annotator reliability, the consensus spans with their confidence and a
+// download of the consensus as a Label Studio prediction
+function renderAggregation(task, segments, allUsers, method = 'dawid-skene') {
+  const el = document.getElementById('aggregationResults');
+  if (!el) return;
+  if (allUsers.size < 2 || !segments.length) { el.style.display = 'none'; el.innerHTML = ''; return; }
+
+  const percent = value => (value == null ? 'n/a' : `${Math.round(value * 100)}%`);
+  const LOW_CONFIDENCE = 0.8;
+
+  // processTask builds segments per text node; the consensus joins neighbours, so sort them in text order
+  const ordered = [...segments]
+    .sort((a, b) => a.range.compareBoundaryPoints(Range.START_TO_START, b.range))
+    .map(seg => ({ ...seg, text: seg.range.toString() }));
+  const aggregation = aggregateSegments(ordered, allUsers, { method });
+  const { consensus } = aggregation;
+  const low = consensus.filter(span => span.confidence < LOW_CONFIDENCE);
+  const meanConfidence = consensus.length ? consensus.reduce((sum, span) => sum + span.confidence, 0) / consensus.length : null;
+  const weakest = a => (a.byLabel?.length ? [...a.byLabel].sort((x, y) => x.accuracy - y.accuracy)[0] : null);
+
+  el.style.display = 'block';
+  el.innerHTML = `
+    <h3>🧠 Probabilistic Consensus</h3>
+    <div>
+      Model: <select id="aggregationMethod">
+        <option value="dawid-skene" ${method === 'dawid-skene' ? 'selected' : ''}>Dawid–Skene</option>
+        <option value="mace" ${method === 'mace' ? 'selected' : ''}>MACE</option>
+      </select>
+      <span style="color:#888;">${aggregation.converged ? 'converged after' : 'stopped after'} ${aggregation.iterations} iterations</span>
+    </div>
+    <div style="color:#888;font-size:0.85em;margin:6px 0 10px;">
+      Estimates the label of every highlighted segment from all annotators, trusting the ones who agree with the consensus more, and how reliable each annotator is.
+      An annotator who left a segment unmarked counts as saying it has no label. Most useful with many annotators.
+    </div>
+    <h4>Annotator Reliability</h4>
+    <table class="gold-table">
+      <thead><tr><th>Annotator</th><th>${method === 'mace' ? 'Competence' : 'Expected accuracy'}</th><th>Agrees with consensus</th>${method === 'mace' ? '' : '<th>Weakest label</th>'}</tr></thead>
+      <tbody>
+        ${aggregation.annotators.map(a => `
+          <tr><td>${escapeHtml(a.user)}</td><td><b>${percent(a.reliability)}</b></td><td>${percent(a.agreement)}</td>
+            ${method === 'mace' ? '' : `<td>${weakest(a) ? `${escapeHtml(weakest(a).label)} (${percent(weakest(a).accuracy)})` : 'n/a'}</td>`}</tr>`).join('')}
+      </tbody>
+    </table>
+    <h4 style="margin-top:12px;">Consensus (${consensus.length} spans, mean confidence ${percent(meanConfidence)})</h4>
+    <div>Below ${percent(LOW_CONFIDENCE)} confidence: <b>${low.length}</b></div>
+    <ul style="margin:6px 0;padding-left:18px;line-height:1.5;max-height:260px;overflow-y:auto;">
+      ${consensus.map(span => `
+        <li${span.confidence < LOW_CONFIDENCE ? ' style="color:#dc2626;"' : ''}>
+          <b>${escapeHtml(span.label)}</b> “${escapeHtml(span.text.length > 80 ? `${span.text.slice(0, 80)}…` : span.text)}” • ${percent(span.confidence)}</li>`).join('')}
+    </ul>
+    <button type="button" id="downloadConsensusBtn" style="margin-top:8px;">⬇️ Download consensus (Label Studio JSON)</button>
+  `;
+
+  el.querySelector('#aggregationMethod').addEventListener('change', e => renderAggregation(task, segments, allUsers, e.target.value));
+  el.querySelector('#downloadConsensusBtn').addEventListener('click', () => {
+    // A task with the consensus as its prediction, ready to import into Label Studio
+    const exported = [{ id: task.id, data: task.data, predictions: [consensusPrediction(aggregation)] }];
+    const url = URL.createObjectURL(new Blob([JSON.stringify(exported, null, 2)], { type: 'application/json' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${(policyName || 'task').replace(/[^a-zA-Z0-9\-_]/g, '_')}-${task.id ?? 'task'}-consensus-${method}.json`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  });
+}
+
 /* -----------------------------------------------------------------
    LS-CANONICAL NORMALIZATION AND MAPPING (perfect offset alignment)
 ------------------------------------------------------------------*/
@@ -295,177 +595,6 @@ function updateStatsDisplay(distinctSpansCount, fullAgreements, totalAnnotators)
   if (c) c.textContent = totalAnnotators;
 }
 
-function calculatePairwiseMetrics(spans1, spans2) {
-  if (spans1.length === 0 && spans2.length === 0) return { precision: 1, recall: 1 };
-  if (spans1.length === 0 || spans2.length === 0) return { precision: 0, recall: 0 };
-
-  let tp = 0;
-  const used2 = new Set();
-  spans1.forEach(s1 => {
-    for (let i = 0; i < spans2.length; i++) {
-      if (used2.has(i)) continue;
-      const s2 = spans2[i];
-      if (spansOverlap(s1, s2) && s1.label === s2.label) { tp++; used2.add(i); break; }
-    }
-  });
-  return { precision: tp / spans1.length, recall: tp / spans2.length };
-}
-
-function spansOverlap(a, b) {
-  const os = Math.max(a.start, b.start);
-  const oe = Math.min(a.end, b.end);
-  return os < oe;
-}
-
-function calculateF1Metrics(annSpans, allUsers) {
-  if (annSpans.length === 0 || allUsers.size < 2) return { precision: 0, recall: 0, f1Score: 0 };
-  const annotatorSpans = {};
-  annSpans.forEach(s => { (annotatorSpans[s.user] ||= []).push({ start: s.start, end: s.end, label: s.label }); });
-  const annotators = Object.keys(annotatorSpans);
-  if (annotators.length < 2) return { precision: 0, recall: 0, f1Score: 0 };
-
-  let totalP = 0, totalR = 0, cmp = 0;
-  for (let i = 0; i < annotators.length; i++) {
-    for (let j = i + 1; j < annotators.length; j++) {
-      const { precision, recall } = calculatePairwiseMetrics(annotatorSpans[annotators[i]], annotatorSpans[annotators[j]]);
-      totalP += precision; totalR += recall; cmp++;
-    }
-  }
-  if (!cmp) return { precision: 0, recall: 0, f1Score: 0 };
-  const avgP = totalP / cmp, avgR = totalR / cmp;
-  const f1 = (avgP + avgR > 0) ? (2 * avgP * avgR) / (avgP + avgR) : 0;
-  return { precision: Math.round(avgP * 100), recall: Math.round(avgR * 100), f1Score: Math.round(f1 * 100) };
-}
-
-
-// ---------- Flow-relaxed F1 helpers ----------
-
-function countOverlapSorted(a, b) {
-  let i = 0, j = 0, c = 0;
-  while (i < a.length && j < b.length) {
-    if (a[i] === b[j]) { c++; i++; j++; }
-    else if (a[i] < b[j]) i++;
-    else j++;
-  }
-  return c;
-}
-
-function greedyMatch(weightTriples, mA, mB) {
-  weightTriples.sort((x, y) => y.w - x.w);
-  const usedA = new Set(), usedB = new Set(), match = [];
-  for (const { i, j, w } of weightTriples) {
-    if (w <= 0) break;
-    if (!usedA.has(i) && !usedB.has(j)) {
-      usedA.add(i); usedB.add(j);
-      match.push([i, j]);
-    }
-  }
-  return match;
-}
-
-function buildFlowGroups(spans, label) {
-  const byFlow = new Map();
-  spans.forEach(s => {
-    if (s.label !== label) return;
-    if (!s.globalFlowId) return;
-    if (!byFlow.has(s.globalFlowId)) byFlow.set(s.globalFlowId, new Set());
-    for (let k = s.start; k < s.end; k++) byFlow.get(s.globalFlowId).add(k);
-  });
-  return Array.from(byFlow.values()).map(S => Array.from(S).sort((a, b) => a - b));
-}
-
-function flowRelaxedF1ForLabel(spansA, spansB, label) {
-  const A_L = new Set(), B_L = new Set();
-  spansA.forEach(s => { if (s.label === label) for (let k = s.start; k < s.end; k++) A_L.add(k); });
-  spansB.forEach(s => { if (s.label === label) for (let k = s.start; k < s.end; k++) B_L.add(k); });
-
-  const inter = new Set([...A_L].filter(t => B_L.has(t))).size;
-  const FP = A_L.size - inter;
-  const FN = B_L.size - inter;
-  const precN = A_L.size ? inter / (inter + FP) : 1;
-  const recN = B_L.size ? inter / (inter + FN) : 1;
-  const f1N = (precN + recN) ? (2 * precN * recN) / (precN + recN) : 0;
-
-  const Aflows = buildFlowGroups(spansA, label);
-  const Bflows = buildFlowGroups(spansB, label);
-  if (!Aflows.length || !Bflows.length) return f1N;
-
-  const triples = [];
-  for (let i = 0; i < Aflows.length; i++) {
-    for (let j = 0; j < Bflows.length; j++) {
-      const w = countOverlapSorted(Aflows[i], Bflows[j]);
-      if (w > 0) triples.push({ i, j, w });
-    }
-  }
-  const matches = greedyMatch(triples, Aflows.length, Bflows.length);
-  if (!matches.length) return f1N;
-
-  const S = new Set();
-  matches.forEach(([i, j]) => {
-    Aflows[i].forEach(t => S.add(t));
-    Bflows[j].forEach(t => S.add(t));
-  });
-
-  let TP = 0, FP2 = 0, FN2 = 0;
-  S.forEach(t => {
-    const a = A_L.has(t), b = B_L.has(t);
-    if (a && b) TP++;
-    else if (a && !b) FP2++;
-    else if (!a && b) FN2++;
-  });
-
-  const precM = TP + FP2 === 0 ? 1 : TP / (TP + FP2);
-  const recM = TP + FN2 === 0 ? 1 : TP / (TP + FN2);
-  const f1M = (precM + recM) ? (2 * precM * recM) / (precM + recM) : 0;
-
-  return Math.max(f1N, f1M);
-}
-
-function calculateF1ByLabel(annSpans, allUsers) {
-  const labelSet = new Set(annSpans.map(a => a.label).filter(Boolean));
-  const results = [];
-  const annotators = Array.from(allUsers);
-
-  labelSet.forEach(label => {
-    const pairScores = [];
-    for (let i = 0; i < annotators.length; i++) {
-      for (let j = i + 1; j < annotators.length; j++) {
-        const spansA = annSpans.filter(s => s.user === annotators[i]);
-        const spansB = annSpans.filter(s => s.user === annotators[j]);
-        const f1 = flowRelaxedF1ForLabel(spansA, spansB, label);
-        pairScores.push(f1);
-      }
-    }
-    const avgF1 = pairScores.length ? Math.round((pairScores.reduce((a, b) => a + b, 0) / pairScores.length) * 100) : 0;
-    results.push({ label, f1: avgF1 });
-  });
-
-  return results;
-}
-
-function calculateJaccardMetrics(annSpans, allUsers) {
-  if (annSpans.length === 0 || allUsers.size < 2) return { jaccard: 0 };
-  const annotatorSpans = {};
-  annSpans.forEach(s => { (annotatorSpans[s.user] ||= []).push({ start: s.start, end: s.end, label: s.label }); });
-  const annotators = Object.keys(annotatorSpans);
-  if (annotators.length < 2) return { jaccard: 0 };
-
-  let total = 0, cmp = 0;
-  for (let i = 0; i < annotators.length; i++) {
-    for (let j = i + 1; j < annotators.length; j++) {
-      const a = annotatorSpans[annotators[i]];
-      const b = annotatorSpans[annotators[j]];
-      const set1 = new Set(a.map(s => `${s.start}-${s.end}-${s.label}`));
-      const set2 = new Set(b.map(s => `${s.start}-${s.end}-${s.label}`));
-      const inter = new Set([...set1].filter(x => set2.has(x)));
-      const union = new Set([...set1, ...set2]);
-      const jacc = union.size > 0 ? inter.size / union.size : 0;
-      total += jacc; cmp++;
-    }
-  }
-  return { jaccard: Math.round((total / cmp) * 100) };
-}
-
 // LS-style normalizer: strip ZW, convert NBSP to space, collapse whitespace
 const ZW_RE = /[\u200B-\u200D\uFEFF]/g;
 const NBSP_RE = /\u00A0/g;
@@ -501,9 +630,11 @@ function buildDomFlatMap(containerEl) {
 
 
 function processTask(task) {
-  const container = document.getElementById('policyContainer');
-  if (!container) { console.error('Policy container not found'); return; }
-  container.innerHTML = '';
+  const previous = document.getElementById('policyContainer');
+  if (!previous) { console.error('Policy container not found'); return; }
+  // Swap in a fresh node so hover/click handlers of the previously shown task go away
+  const container = previous.cloneNode(false);
+  previous.replaceWith(container);
 
   // ---------- Render LS HTML ----------
   container.innerHTML = task?.data?.text || task.file_upload || '';
@@ -553,15 +684,21 @@ function processTask(task) {
   const endPath = r.value.end;
   const startOffset = Number(r.value.startOffset ?? 0);
   const endOffset = Number(r.value.endOffset ?? startOffset);
+  // Text offsets for the agreement metrics, which compare start/end
+  const offsets = r.value.globalOffsets;
 
 const range = lsRangeFromXPathOffsets(container, startPath, startOffset, endPath, endOffset);
 if (!range) return;
 
 annSpans.push({
+  resultId: r.id,
+  result: r,
   startPath,
   endPath,
   startOffset,
   endOffset,
+  start: offsets ? Number(offsets.start) : undefined,
+  end: offsets ? Number(offsets.end) : undefined,
   user: userEmail,
   label,
   text: snippet,
@@ -734,15 +871,8 @@ console.log('XPath segments created:', segments.length);
   });
 
   // ---------- Metrics & reports ----------
-  const grouped = {};
-  annSpans.forEach(a => { (grouped[`${a.start}-${a.end}`] ||= []).push(a); });
-  const fullAgree = Object.values(grouped).filter(list => {
-    const labels = [...new Set(list.map(x => x.label))];
-    const users = [...new Set(list.map(x => x.user))];
-    return labels.length === 1 && users.length > 1;
-  }).length;
-
-  updateStatsDisplay(Object.keys(grouped).length, fullAgree, allUsers.size);
+  const distinctSpans = new Set(annSpans.map(a => `${a.start}-${a.end}`)).size;
+  updateStatsDisplay(distinctSpans, countFullAgreements(annSpans), allUsers.size);
   const f1Metrics = calculateF1Metrics(annSpans, allUsers);
   const jaccardMetrics = calculateJaccardMetrics(annSpans, allUsers);
   const f1ByLabel = calculateF1ByLabel(annSpans, allUsers);
@@ -750,30 +880,69 @@ console.log('XPath segments created:', segments.length);
   if (document.getElementById('f1Score')) document.getElementById('f1Score').textContent = f1Metrics.f1Score + '%';
   if (document.getElementById('jaccardScore')) document.getElementById('jaccardScore').textContent = jaccardMetrics.jaccard + '%';
 
-  const annotatorList = Array.from(allUsers);
-  const pairwiseF1 = [];
-  for (let i = 0; i < annotatorList.length; i++) {
-    for (let j = i + 1; j < annotatorList.length; j++) {
-      const userA = annotatorList[i], userB = annotatorList[j];
-      const spansA = annSpans.filter(s => s.user === userA);
-      const spansB = annSpans.filter(s => s.user === userB);
-      const { precision, recall } = calculatePairwiseMetrics(spansA, spansB);
-      const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
-      pairwiseF1.push({ pair: `${userA} ↔ ${userB}`, f1: Math.round(f1 * 100) });
-    }
-  }
+  const chance = calculateChanceAgreement(task, annSpans, allUsers);
+  const coefficient = value => (value == null ? 'n/a' : value.toFixed(3));
+  const pairwiseF1 = calculatePairwiseF1(annSpans, allUsers).map((p, i) => ({
+    pair: p.annotators.join(' ↔ '),
+    f1: p.f1,
+    kappa: chance.pairs[i].kappa
+  }));
 
+  const analysisEl = document.getElementById('analysisResults');
+  if (analysisEl) analysisEl.style.display = allUsers.size > 1 ? 'block' : 'none';
   if (document.getElementById('pairwiseF1')) {
     document.getElementById('pairwiseF1').innerHTML =
       '<h4>Pairwise F1 by Annotator</h4>' +
-      pairwiseF1.map(p => `<div>${p.pair}: <b>${p.f1}%</b></div>`).join('');
+      pairwiseF1.map(p => `<div>${p.pair}: <b>${p.f1}%</b> • Cohen's κ <b>${coefficient(p.kappa)}</b></div>`).join('');
   }
   if (document.getElementById('labelF1')) {
+    const chanceByLabel = Object.fromEntries(chance.byLabel.map(l => [l.label, l]));
     document.getElementById('labelF1').innerHTML =
       '<h4>F1 by Label Category</h4>' +
-      f1ByLabel.map(l => `<div>${l.label}: <b>${l.f1}%</b></div>`).join('');
+      f1ByLabel.map(l => {
+        const c = chanceByLabel[l.label] || {};
+        return `<div>${l.label}: <b>${l.f1}%</b> • κ ${coefficient(c.cohenKappa)} • Fleiss κ ${coefficient(c.fleissKappa)} • α<sub>u</sub> ${coefficient(c.alpha)}</div>`;
+      }).join('');
+  }
+  if (document.getElementById('mismatchDist')) {
+    document.getElementById('mismatchDist').innerHTML = `
+      <h4 style="margin-top:20px;">Chance-Corrected Agreement</h4>
+      <div>Cohen's κ (mean over pairs): <b>${coefficient(chance.overall.cohenKappa)}</b></div>
+      <div>Fleiss' κ (all annotators): <b>${coefficient(chance.overall.fleissKappa)}</b></div>
+      <div>Krippendorff's α<sub>u</sub> (character spans): <b>${coefficient(chance.overall.alpha)}</b></div>
+      <div style="color:#888;font-size:0.85em;margin-top:4px;">
+        κ compares the labels given to each ${chance.units === 'tokens' ? 'token' : 'character'}; α<sub>u</sub> compares span boundaries and pools all labels.
+        1 is perfect agreement, 0 is chance level and negative values mean systematic disagreement; α<sub>u</sub> can fall far below -1.
+      </div>
+      ${policyName ? `<a href="${API_BASE}/policies/${encodeURIComponent(policyName)}/agreement" download="${policyName}-agreement.json"
+           style="display:inline-block;margin-top:8px;">⬇️ Export all metrics (JSON)</a>` : ''}
+    `;
+  }
+
+  const relationEl = document.getElementById('relationAgreement');
+  if (relationEl) {
+    const relations = calculateRelationAgreement(taskAgreementRelations(task), allUsers);
+    relationEl.innerHTML = !relations
+      ? '<h4 style="margin-top:20px;">Relation Agreement</h4><div style="color:#888;">No relations to compare in this task.</div>'
+      : `
+      <h4 style="margin-top:20px;">Relation Agreement (${relations.edges} relations)</h4>
+      <div>Overall: <b>F1 ${relations.overall.f1}%</b> • P ${relations.overall.precision}% • R ${relations.overall.recall}%</div>
+      ${relations.pairs.map(p =>
+        `<div>${p.annotators.join(' ↔ ')}: <b>${p.f1}%</b> • P ${p.precision}% • R ${p.recall}% <span style="color:#888;">(${p.edges.join(' vs ')} relations)</span></div>`
+      ).join('')}
+      <h4 style="margin-top:12px;">Relation F1 by Label Pair</h4>
+      ${[...relations.byType].sort((a, b) => b.edges - a.edges).map(t =>
+        `<div>${t.type}: <b>${t.f1}%</b> • P ${t.precision}% • R ${t.recall}% <span style="color:#888;">(${t.edges})</span></div>`
+      ).join('')}
+      <div style="color:#888;font-size:0.85em;margin-top:4px;">
+        A relation matches when both ends overlap a span with the same label, in either direction.
+      </div>
+    `;
   }
 
+  renderGoldScores(task);
+  renderAggregation(task, segments, allUsers);
+
   const labelFilterContainer = document.getElementById('labelFilterContainer');
   if (labelFilterContainer) {
     const labels = [...new Set(annSpans.map(a => a.label).filter(Boolean))];
@@ -818,8 +987,31 @@ console.log('XPath segments created:', segments.length);
     btnContainer.innerHTML = `
       <button id="viewRelationsBtn" style="background:#4f46e5;color:white;
         border:none;border-radius:6px;padding:8px 16px;cursor:pointer;font-size:0.9em;">
-        🔗 View All Relations</button>`;
+        🔗 View All Relations</button>
+      <button id="relationLink" style="background:#059669;color:white;margin-left:8px;
+        border:none;border-radius:6px;padding:8px 16px;cursor:pointer;font-size:0.9em;">
+        🕸️ Compare Relation Flows</button>`;
     document.getElementById('viewRelationsBtn').onclick = () => openRelationsPage(task);
+    document.getElementById('relationLink').onclick = openRelationModal;
+
+    // Professors can turn the disagreements into a gold annotation (js/adjudication.js)
+    if (policyName && allUsers.size > 1) {
+      __currentUser.then(user => {
+        if (user?.role !== 'professor' || __lastTask !== task || document.getElementById('adjudicateBtn')) return;
+        btnContainer.insertAdjacentHTML('beforeend', `
+          <button id="adjudicateBtn" style="background:#b7791f;color:white;margin-top:8px;
+            border:none;border-radius:6px;padding:8px 16px;cursor:pointer;font-size:0.9em;">
+            ⚖️ Adjudicate Disagreements${task.goldAnnotations?.length ? ' (gold saved)' : ''}</button>`);
+        document.getElementById('adjudicateBtn').onclick = () => openAdjudication({
+          task,
+          segments,
+          allUsers,
+          container,
+          policyName,
+          onSaved: () => loadPolicyFromServer(policyName)
+        });
+      });
+    }
   }
 
       const labelReportContainer = document.getElementById('labelReports');
@@ -892,8 +1084,9 @@ function openRelationsPage(task) {
       }
     });
 
-    // Step 2. Build undirected adjacency graph
+    // Step 2. Connect labels in either direction; keep the arrows with their labels
     const adj = new Map();
+    const arrows = [];
     result.forEach(r => {
       if (r.type === "relation" && r.from_id && r.to_id) {
         if (!nodes.has(r.from_id) || !nodes.has(r.to_id)) return;
@@ -901,6 +1094,7 @@ function openRelationsPage(task) {
         if (!adj.has(r.to_id)) adj.set(r.to_id, new Set());
         adj.get(r.from_id).add(r.to_id);
         adj.get(r.to_id).add(r.from_id);
+        arrows.push(directedRelation(r));
       }
     });
     nodes.forEach((_, id) => { if (!adj.has(id)) adj.set(id, new Set()); });
@@ -936,6 +1130,14 @@ function openRelationsPage(task) {
       comp.forEach(n => {
         if (tuple[n.label]) tuple[n.label].push(n.text.trim());
       });
+      const ids = new Set(comp.map(n => n.id));
+      const end = n => ({ label: n.label, text: n.text.trim() });
+      tuple.relations = arrows.filter(a => ids.has(a.from)).map(a => ({
+        from: end(nodes.get(a.from)),
+        to: end(nodes.get(a.to)),
+        bidirectional: a.bidirectional,
+        labels: a.labels
+      }));
       tuples.push(tuple);
     });
   });
@@ -947,6 +1149,7 @@ function openRelationsPage(task) {
   localStorage.setItem("relationsData", JSON.stringify(tuples));
   localStorage.setItem("lastPolicyURL", window.location.href);
   localStorage.setItem("lastPolicyName", window.policyName || "unknown_policy");
+  localStorage.setItem("lastPolicyUploads", __selectedUploads ? __selectedUploads.join(",") : "");
 
   // Also save the full task for fallback / debugging
   try { sessionStorage.setItem("lastPolicyJson", JSON.stringify(task)); } catch {}
@@ -972,20 +1175,22 @@ function extractAllRelations(task) {
           label: Array.isArray(r.value.labels) ? r.value.labels[0] : r.value.labels
         });
       } else if (r.type === 'relation' && r.from_id && r.to_id) {
-        links.push({ source: r.from_id, target: r.to_id });
+        links.push(directedRelation(r));
       }
     });
 
     links.forEach(l => {
-      const src = nodes.find(n => n.id === l.source);
-      const tgt = nodes.find(n => n.id === l.target);
+      const src = nodes.find(n => n.id === l.from);
+      const tgt = nodes.find(n => n.id === l.to);
       if (src && tgt) {
         allTuples.push({
           annotator: userEmail,
           sourceLabel: src.label || '',
           sourceText: src.text,
           targetLabel: tgt.label || '',
-          targetText: tgt.text
+          targetText: tgt.text,
+          bidirectional: l.bidirectional,
+          relationLabels: l.labels
         });
       }
     });
@@ -997,62 +1202,6 @@ function extractAllRelations(task) {
 
 
 
-// ---------- label-level reports ----------
-function generateLabelReports(annSpans, allUsers, task) {
-  const labelReports = {};
-  const labels = [...new Set(annSpans.map(a => a.label).filter(Boolean))];
-  const byLabel = {};
-  labels.forEach(l => { byLabel[l] = annSpans.filter(a => a.label === l); });
-
-  labels.forEach(label => {
-    const spans = byLabel[label];
-    if (!spans.length) return;
-
-    const labelUsers = new Set(spans.map(s => s.user));
-    const coverage = ((labelUsers.size / allUsers.size) * 100).toFixed(1);
-    const count = spans.length;
-    const f1 = calculateF1Metrics(spans, allUsers).f1Score;
-    const distinctSpans = new Set(spans.map(s => `${s.start}-${s.end}`)).size;
-
-    let overlapCount = 0, pairCount = 0;
-    for (let i = 0; i < spans.length; i++) {
-      for (let j = i + 1; j < spans.length; j++) {
-        if (spans[i].user !== spans[j].user) {
-          pairCount++;
-          if (spansOverlap(spans[i], spans[j])) overlapCount++;
-        }
-      }
-    }
-    const overlapRate = pairCount ? ((overlapCount / pairCount) * 100).toFixed(1) : 0;
-
-    const overlapCounts = {};
-    labels.forEach(other => {
-      if (other === label) return;
-      const otherSpans = byLabel[other] || [];
-      let ov = 0;
-      spans.forEach(s1 => otherSpans.forEach(s2 => { if (spansOverlap(s1, s2)) ov++; }));
-      overlapCounts[other] = ov;
-    });
-    const commonDisagreements = Object.entries(overlapCounts)
-      .filter(([, v]) => v > 0)
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 3)
-      .map(([l, c]) => ({ label: l, count: c }));
-
-    const perAnnotator = {};
-    allUsers.forEach(user => {
-      const userSpans = spans.filter(s => s.user === user);
-      const others = spans.filter(s => s.user !== user);
-      const { precision, recall } = calculatePairwiseMetrics(userSpans, others);
-      perAnnotator[user] = { precision: Math.round(precision * 100), recall: Math.round(recall * 100) };
-    });
-
-    labelReports[label] = { label, count, coverage, f1, distinctSpans, overlapRate, commonDisagreements, perAnnotator };
-  });
-
-  return labelReports;
-}
-
 // ---------- Relations modal (in-page) ----------
 function openRelationModal() {
   if (!__lastTask || !(__lastTask.annotations || []).length) {
@@ -1063,13 +1212,13 @@ function openRelationModal() {
   if (!modal) return;
 
   modal.style.display = 'flex';
-  const firstAnn = __lastTask.annotations[0]; // show first annotator’s graph by default
   const containerId = 'networkGraph';
   const canvas = document.getElementById(containerId);
   if (canvas) canvas.innerHTML = '';
 
+  // Shared flows and each annotator's unique ones, side by side (js/label-relation.js)
   if (typeof window.renderLabelRelations === 'function') {
-    window.renderLabelRelations(firstAnn, containerId);
+    window.renderLabelRelations(__lastTask, containerId);
   } else {
     showNotification('Relation renderer not available.', 'error');
   }
@@ -1078,6 +1227,7 @@ function openRelationModal() {
 function closeRelationModal() {
   const modal = document.getElementById('relationModal');
   if (modal) modal.style.display = 'none';
+  if (typeof window.stopLabelRelations === 'function') window.stopLabelRelations();
 }
 window.closeRelationModal = closeRelationModal;
 
@@ -1140,6 +1290,11 @@ function showFilesModal(name, policyData) {
                 </div>
               </div>
               <div style="display:flex; gap:8px; margin-left:15px;">
+                ${upload.version > 1 ? `
+                <button onclick="showVersionHistory('${encodeURIComponent(name)}', '${encodeURIComponent(stored)}')"
+                        style="padding:6px 12px; background:#805ad5; color:#fff; border:none; border-radius:4px; cursor:pointer; font-size:0.85em;" title="Compare versions">
+                  🕘 v${upload.version}
+                </button>` : ''}
                 <button onclick="downloadProjectFile('${encodeURIComponent(name)}', '${encodeURIComponent(stored)}')"
                         style="padding:6px 12px; background:#4299e1; color:#fff; border:none; border-radius:4px; cursor:pointer; font-size:0.85em;" title="Download file">
                   📥 Download
@@ -1193,9 +1348,106 @@ function closeFilesModal() {
   if (m) m.remove();
 }
 
+// ---------- Upload versions (re-exports that replaced earlier ones) ----------
+async function showVersionHistory(name, storedAs) {
+  name = decodeURIComponent(name);
+  storedAs = decodeURIComponent(storedAs);
+  const base = `/policies/${encodeURIComponent(name)}/uploads/${encodeURIComponent(storedAs)}`;
+  let history;
+  try {
+    history = await apiJson(`${base}/versions`);
+  } catch (e) {
+    showNotification('Failed to load versions: ' + e.message, 'error');
+    return;
+  }
+  const { versions, contributor } = history;
+
+  document.getElementById('versionModal')?.remove();
+  const modal = document.createElement('div');
+  modal.id = 'versionModal';
+  modal.style.cssText = `
+    position: fixed; top:0; left:0; width:100%; height:100%;
+    background: rgba(0,0,0,0.5); z-index:2100; display:flex; align-items:center; justify-content:center;
+  `;
+  const options = selected => versions.map(v => `
+    <option value="${v.version}" ${v.version === selected ? 'selected' : ''}>
+      v${v.version} – ${new Date(v.uploadedAt).toLocaleString()} (${v.annotationCount} annotations)${v.current ? ' • current' : ''}
+    </option>`).join('');
+  const latest = versions.length;
+
+  modal.innerHTML = `
+    <div style="background:#fff; border-radius:15px; width:90%; max-width:900px; max-height:85%; overflow:hidden; display:flex; flex-direction:column; box-shadow:0 20px 60px rgba(0,0,0,0.3);">
+      <div style="padding:25px; border-bottom:1px solid #e2e8f0; display:flex; justify-content:space-between; align-items:center;">
+        <div>
+          <h2 style="margin:0; color:#2d3748;">Version History</h2>
+          <p style="margin:5px 0 0 0; color:#666;">${escapeHtml(contributor)} • ${versions.length} versions</p>
+        </div>
+        <button id="closeVersionModal" style="background:none; border:none; font-size:24px; cursor:pointer; color:#666; padding:5px;">&times;</button>
+      </div>
+      <div style="background:#f8f9fa; padding:15px; border-bottom:1px solid #e2e8f0; display:flex; gap:10px; align-items:center; flex-wrap:wrap;">
+        <select id="versionFrom">${options(latest - 1)}</select>
+        <span>→</span>
+        <select id="versionTo">${options(latest)}</select>
+        <button id="compareVersions" style="padding:6px 14px; background:#667eea; color:#fff; border:none; border-radius:4px; cursor:pointer;">Compare</button>
+      </div>
+      <div id="versionDiff" style="flex:1; overflow-y:auto; padding:20px;"></div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+
+  const close = () => modal.remove();
+  modal.addEventListener('click', e => { if (e.target === modal) close(); });
+  modal.querySelector('#closeVersionModal').addEventListener('click', close);
+
+  const compare = async () => {
+    const out = modal.querySelector('#versionDiff');
+    const from = modal.querySelector('#versionFrom').value;
+    const to = modal.querySelector('#versionTo').value;
+    out.innerHTML = '<div class="loading">Comparing…</div>';
+    try {
+      renderVersionDiff(out, await apiJson(`${base}/diff?from=${from}&to=${to}`));
+    } catch (e) {
+      out.innerHTML = `<div class="error">${escapeHtml(e.message)}</div>`;
+    }
+  };
+  modal.querySelector('#compareVersions').addEventListener('click', compare);
+  compare();
+}
+
+function renderVersionDiff(container, diff) {
+  const spanLine = s => `
+    <li>“${escapeHtml((s.text || '').slice(0, 120))}” <b>${escapeHtml(s.labels.join(', '))}</b>
+      ${s.previousLabels ? `<span style="color:#999;">(was ${escapeHtml(s.previousLabels.join(', '))})</span>` : ''}
+      <span style="color:#999; font-size:0.85em;">task ${escapeHtml(s.taskId)} • ${escapeHtml(s.annotator)}</span></li>`;
+  const relationLine = r => `
+    <li>“${escapeHtml((r.from.text || '').slice(0, 60))}” <b>${escapeHtml(r.from.labels.join(', '))}</b> → “${escapeHtml((r.to.text || '').slice(0, 60))}” <b>${escapeHtml(r.to.labels.join(', '))}</b>
+      <span style="color:#999; font-size:0.85em;">task ${escapeHtml(r.taskId)} • ${escapeHtml(r.annotator)}</span></li>`;
+  const section = (title, color, items, line) => items.length ? `
+    <div style="margin-bottom:15px; border-left:4px solid ${color}; padding-left:12px;">
+      <h4 style="margin:0 0 6px 0; color:${color};">${title} (${items.length})</h4>
+      <ul style="margin:0; padding-left:18px; font-size:0.9em;">${items.map(line).join('')}</ul>
+    </div>` : '';
+
+  const { summary } = diff;
+  const body = [
+    section('Spans added', '#38a169', diff.spansAdded, spanLine),
+    section('Spans removed', '#e53e3e', diff.spansRemoved, spanLine),
+    section('Spans relabeled', '#d69e2e', diff.spansRelabeled, spanLine),
+    section('Relations added', '#38a169', diff.relationsAdded, relationLine),
+    section('Relations removed', '#e53e3e', diff.relationsRemoved, relationLine)
+  ].join('');
+  container.innerHTML = `
+    <p style="margin-top:0; color:#4a5568;">
+      v${diff.from.version} → v${diff.to.version}:
+      spans ${summary.spansBefore} → ${summary.spansAfter}, relations ${summary.relationsBefore} → ${summary.relationsAfter}
+    </p>
+    ${body || '<p style="text-align:center; color:#666; font-style:italic; padding:20px;">No differences between these versions.</p>'}
+  `;
+}
+
 async function deleteProjectFile(name, fileName, displayName) {
   const disp = decodeURIComponent(displayName || fileName || 'this file');
-  if (!confirm(`Are you sure you want to delete "${disp}"?\n\nThis action cannot be undone.`)) return;
+  if (!confirm(`Are you sure you want to delete "${disp}"?\n\nIt will be moved to the Trash.`)) return;
 
   try {
     showNotification('Deleting file...', 'info');
@@ -1236,7 +1488,7 @@ async function downloadProjectFile(name, fileName) {
 // ---------- delete whole policy ----------
 function deleteCurrentPolicy() {
   if (!policyName) { showNotification('No policy selected for deletion', 'error'); return; }
-  if (!confirm(`Are you sure you want to delete the policy "${policyName}"?\n\nThis will permanently delete all annotations and files.\n\nThis action cannot be undone.`)) return;
+  if (!confirm(`Are you sure you want to delete the policy "${policyName}"?\n\nAll annotations and files will be moved to the Trash, where they can be restored until they expire.`)) return;
 
   showNotification('Deleting policy...', 'info');
 
@@ -1311,4 +1563,5 @@ window.deleteCurrentPolicy = deleteCurrentPolicy;
 window.viewProjectFiles    = viewProjectFiles;
 window.showManualUpload    = showManualUpload;
 window.showNotification    = showNotification;
-window.closeFilesModal     = closeFilesModal;
\ No newline at end of file
+window.closeFilesModal     = closeFilesModal;
+window.showVersionHistory  = showVersionHistory;
\ No newline at end of file
@@ -0,0 +1,254 @@
+// Consistency checker ("fsck") for the metadata store against data/ on disk.
+//
+// checkConsistency() recounts every referenced upload with countAnnotations
+// and reports missing files, orphaned files, wrong annotation counts, wrong
+// totals and legacy absolute filePath values. rebuildFromDisk() replaces the
+// store contents with what is actually on disk, keeping contributor
+// attribution for files the store already knows about.
+const fs = require('fs').promises;
+const path = require('path');
+const { countAnnotations, relativeToDataDir } = require('./metadataStore');
+
+// Directories under data/ whose JSON files are expected to belong to an upload
+const SCANNED_DIRS = ['projects', 'uploads'];
+const UNATTRIBUTED_CONTRIBUTOR = 'Unattributed';
+
+async function listJsonFiles(dataDir, relativeDir) {
+    let entries;
+    try {
+        entries = await fs.readdir(path.join(dataDir, relativeDir), { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const files = [];
+    for (const entry of entries) {
+        const relativePath = path.posix.join(relativeDir, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...await listJsonFiles(dataDir, relativePath));
+        } else if (entry.isFile() && entry.name.endsWith('.json')) {
+            files.push(relativePath);
+        }
+    }
+    return files;
+}
+
+// Recount annotations in one file; null when it is missing, { error } when unreadable
+async function recountFile(dataDir, relativePath) {
+    try {
+        const content = await fs.readFile(path.join(dataDir, relativePath), 'utf8');
+        return { annotationCount: countAnnotations(JSON.parse(content)) };
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        return { error: error.message };
+    }
+}
+
+function collectReferences(policies) {
+    const references = [];
+    Object.entries(policies).forEach(([policyName, policy]) => {
+        Object.entries(policy.contributors || {}).forEach(([studentName, contributor]) => {
+            (contributor.uploads || []).forEach(upload => {
+                references.push({
+                    policyName,
+                    studentName,
+                    upload,
+                    relativePath: upload.relativePath || relativeToDataDir(upload.filePath)
+                });
+            });
+        });
+    });
+    return references;
+}
+
+// Files of earlier upload versions; they belong to an upload but aren't counted
+function collectHistoryPaths(policies) {
+    const paths = new Set();
+    Object.values(policies).forEach(policy => {
+        Object.values(policy.contributors || {}).forEach(contributor => {
+            (contributor.uploads || []).forEach(upload => {
+                (upload.history || []).forEach(version => {
+                    if (version.relativePath) paths.add(version.relativePath);
+                });
+            });
+        });
+    });
+    return paths;
+}
+
+async function scanDisk(dataDir, policies) {
+    const references = collectReferences(policies);
+    const onDisk = [];
+    for (const dir of SCANNED_DIRS) {
+        onDisk.push(...await listJsonFiles(dataDir, dir));
+    }
+
+    const historyPaths = collectHistoryPaths(policies);
+    const recounts = new Map();
+    for (const relativePath of new Set([...onDisk, ...references.map(r => r.relativePath).filter(Boolean)])) {
+        if (historyPaths.has(relativePath)) continue;
+        recounts.set(relativePath, await recountFile(dataDir, relativePath));
+    }
+    return { references, onDisk: onDisk.filter(p => !historyPaths.has(p)), recounts };
+}
+
+async function checkConsistency(store) {
+    const policies = await store.getPolicies();
+    const { references, onDisk, recounts } = await scanDisk(store.dataDir, policies);
+
+    const report = {
+        checkedAt: new Date().toISOString(),
+        policies: Object.keys(policies).length,
+        uploads: references.length,
+        filesOnDisk: onDisk.length,
+        missingFiles: [],
+        orphanedFiles: [],
+        unreadableFiles: [],
+        wrongCounts: [],
+        wrongTotals: [],
+        legacyPaths: []
+    };
+
+    const referenced = new Set();
+    const actualTotals = {};
+    references.forEach(({ policyName, studentName, upload, relativePath }) => {
+        const where = { policyName, contributor: studentName, storedAs: upload.storedAs, relativePath };
+        if (relativePath) referenced.add(relativePath);
+        if (!upload.relativePath && upload.filePath) report.legacyPaths.push({ ...where, filePath: upload.filePath });
+
+        const recount = relativePath ? recounts.get(relativePath) : null;
+        if (!actualTotals[policyName]) actualTotals[policyName] = { total: 0, contributors: {} };
+        const totals = actualTotals[policyName];
+        if (!totals.contributors[studentName]) totals.contributors[studentName] = 0;
+
+        if (!recount) {
+            report.missingFiles.push(where);
+            return;
+        }
+        if (recount.error) {
+            report.unreadableFiles.push({ ...where, error: recount.error });
+            return;
+        }
+        if ((upload.annotationCount || 0) !== recount.annotationCount) {
+            report.wrongCounts.push({ ...where, recorded: upload.annotationCount || 0, actual: recount.annotationCount });
+        }
+        totals.total += recount.annotationCount;
+        totals.contributors[studentName] += recount.annotationCount;
+    });
+
+    onDisk.forEach(relativePath => {
+        if (referenced.has(relativePath)) return;
+        const recount = recounts.get(relativePath) || {};
+        report.orphanedFiles.push({ relativePath, annotationCount: recount.annotationCount ?? null });
+    });
+
+    Object.entries(actualTotals).forEach(([policyName, totals]) => {
+        const policy = policies[policyName];
+        if ((policy.totalAnnotations || 0) !== totals.total) {
+            report.wrongTotals.push({ policyName, contributor: null, recorded: policy.totalAnnotations || 0, actual: totals.total });
+        }
+        Object.entries(totals.contributors).forEach(([studentName, actual]) => {
+            const recorded = policy.contributors[studentName].totalAnnotations || 0;
+            if (recorded !== actual) {
+                report.wrongTotals.push({ policyName, contributor: studentName, recorded, actual });
+            }
+        });
+    });
+
+    report.ok = ['missingFiles', 'orphanedFiles', 'unreadableFiles', 'wrongCounts', 'wrongTotals', 'legacyPaths']
+        .every(key => report[key].length === 0);
+    return report;
+}
+
+// storedAs is "<Date.now()>_<original name>" for files written by the upload routes
+function describeOrphan(relativePath, stat) {
+    const storedAs = path.posix.basename(relativePath);
+    const match = storedAs.match(/^(\d{13})_(.+)$/);
+    return {
+        filename: match ? match[2] : storedAs,
+        storedAs,
+        uploadedAt: new Date(match ? Number(match[1]) : stat.mtimeMs).toISOString()
+    };
+}
+
+// Rebuild the store from data/ on disk. Recorded uploads whose files still
+// exist keep their policy and contributor; orphaned files under
+// data/projects/<dir>/ are adopted into the policy that owns <dir> (or a
+// policy named after the directory) under the "Unattributed" contributor.
+// Orphaned pasted files in data/uploads/ can't be attributed and are left alone.
+function rebuildFromDisk(store) {
+    return store.transaction(async state => {
+        const { references, onDisk, recounts } = await scanDisk(store.dataDir, state.policies);
+        const rebuilt = {};
+        const kept = new Set();
+        const dirOwners = new Map();
+        const summary = { keptUploads: 0, droppedUploads: [], adoptedFiles: [], skippedFiles: [] };
+
+        function ensureContributor(policyName, studentName, source = {}) {
+            const original = state.policies[policyName] || {};
+            if (!rebuilt[policyName]) {
+                rebuilt[policyName] = {
+                    createdAt: original.createdAt || new Date().toISOString(),
+                    contributors: {},
+                    totalAnnotations: 0,
+                    lastUpdated: original.lastUpdated || new Date().toISOString()
+                };
+                // The agreement trend can't be rebuilt from disk; the summary is recomputed
+                if (original.agreementHistory) rebuilt[policyName].agreementHistory = original.agreementHistory;
+            }
+            const policy = rebuilt[policyName];
+            if (!policy.contributors[studentName]) {
+                policy.contributors[studentName] = {
+                    uploads: [],
+                    email: source.email || '',
+                    university: source.university || '',
+                    totalAnnotations: 0
+                };
+            }
+            return policy.contributors[studentName];
+        }
+
+        references.forEach(({ policyName, studentName, upload, relativePath }) => {
+            const recount = relativePath ? recounts.get(relativePath) : null;
+            if (!recount || recount.error || kept.has(relativePath)) {
+                summary.droppedUploads.push({ policyName, contributor: studentName, storedAs: upload.storedAs, relativePath });
+                return;
+            }
+            const { filePath, ...record } = upload;
+            const contributor = ensureContributor(policyName, studentName, state.policies[policyName].contributors[studentName]);
+            contributor.uploads.push({ ...record, relativePath, annotationCount: recount.annotationCount });
+            kept.add(relativePath);
+            summary.keptUploads++;
+
+            const [top, dir] = relativePath.split('/');
+            if (top === 'projects' && !dirOwners.has(dir)) dirOwners.set(dir, policyName);
+        });
+
+        for (const relativePath of onDisk) {
+            if (kept.has(relativePath)) continue;
+            const recount = recounts.get(relativePath);
+            const [top, dir] = relativePath.split('/');
+            if (top !== 'projects' || !dir || !recount || recount.error) {
+                summary.skippedFiles.push(relativePath);
+                continue;
+            }
+            const stat = await fs.stat(path.join(store.dataDir, relativePath));
+            const policyName = dirOwners.get(dir) || dir;
+            const contributor = ensureContributor(policyName, UNATTRIBUTED_CONTRIBUTOR);
+            contributor.uploads.push({
+                ...describeOrphan(relativePath, stat),
+                relativePath,
+                annotationCount: recount.annotationCount,
+                source: 'reconcile'
+            });
+            summary.adoptedFiles.push({ policyName, relativePath });
+        }
+
+        state.policies = rebuilt;
+        state.rebuiltAt = new Date().toISOString();
+        return summary;
+    });
+}
+
+module.exports = { checkConsistency, rebuildFromDisk };
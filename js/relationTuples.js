@@ -0,0 +1,461 @@
+/* GKCCI Dashboard – CI tuples (connected relation flows) and their CSV/XLSX/JSONL export
+ *
+ * Loaded as a plain script by relations.html (after js/agreement.js) and
+ * required by server.js, so the relations page and
+ * GET /api/policies/:policyName/tuples export the same rows
+ * (GET /api/policies/:policyName/flows serves the JSONL dataset).
+ */
+
+// directedRelation and flowMatches live in js/agreement.js, which the page loads first
+const agreementLib = typeof require === 'function' ? require('./agreement') : window;
+
+const LABEL_HEADERS = [
+  'Sender',
+  'Subject',
+  'Information Type',
+  'Recipient',
+  'Aim',
+  'Condition',
+  'Modalities',
+  'NotModalities',
+  'Consequence'
+];
+
+// ---------- tuples ----------
+// One tuple per connected group of labels of an annotator (a label without
+// relations is a tuple of its own). Each tuple has tupleId ("<task id>-<n>"
+// in text order), taskId, annotator, the texts under each GKCCI label, its
+// spans with offsets (null when the upload added none), its relations as
+// arrows and startOffset/endOffset.
+function buildConnectedRelationFlows(task) {
+  const tuples = [];
+  const annotations = Array.isArray(task?.annotations) ? task.annotations : [];
+  const taskId = task?.id ?? null;
+
+  annotations.forEach(annObj => {
+    const annotator = annObj?.completed_by?.email || annObj?.completed_by || 'Unknown';
+    const result = annObj.result || [];
+
+    // 🔹 Step 1. Gather label nodes
+    const nodes = new Map(); // id -> { id, label, text, start, end }
+    result.forEach(r => {
+      if (r.type === 'labels' && r.value?.labels) {
+        const labelName = Array.isArray(r.value.labels) ? r.value.labels[0] : r.value.labels;
+        // Plain-text exports carry numeric offsets; HyperText ones only after upload
+        const offsets = r.value.globalOffsets
+          || (Number.isInteger(r.value.start) && Number.isInteger(r.value.end) ? r.value : null);
+        nodes.set(r.id, {
+          id: r.id,
+          label: labelName,
+          text: r.value?.text || '',
+          start: offsets ? Number(offsets.start) : null,
+          end: offsets ? Number(offsets.end) : null
+        });
+      }
+    });
+
+    // 🔹 Step 2. Group connected labels (in either direction) and keep each
+    // relation as an arrow with its labels (directedRelation in js/agreement.js)
+    const adj = new Map();
+    const arrows = [];
+    result.forEach(r => {
+      if (r.type === 'relation' && r.from_id && r.to_id) {
+        if (!nodes.has(r.from_id) || !nodes.has(r.to_id)) return;
+        if (!adj.has(r.from_id)) adj.set(r.from_id, new Set());
+        if (!adj.has(r.to_id)) adj.set(r.to_id, new Set());
+        adj.get(r.from_id).add(r.to_id);
+        adj.get(r.to_id).add(r.from_id);
+        arrows.push(agreementLib.directedRelation(r));
+      }
+    });
+    nodes.forEach((_, id) => { if (!adj.has(id)) adj.set(id, new Set()); });
+
+    // 🔹 Step 3. DFS to find connected components
+    const seen = new Set();
+    const components = [];
+    for (const id of adj.keys()) {
+      if (seen.has(id)) continue;
+      const comp = [];
+      const stack = [id];
+      seen.add(id);
+      while (stack.length) {
+        const cur = stack.pop();
+        if (nodes.has(cur)) comp.push(nodes.get(cur));
+        (adj.get(cur) || []).forEach(nbr => {
+          if (!seen.has(nbr)) { seen.add(nbr); stack.push(nbr); }
+        });
+      }
+      if (comp.length) components.push(comp);
+    }
+
+    // 🔹 Step 4. Convert each connected group into one row
+    components.forEach(comp => {
+      comp.sort((a, b) => (a.start ?? Infinity) - (b.start ?? Infinity));
+      const row = { taskId, annotator };
+
+      LABEL_HEADERS.forEach(label => { row[label] = []; });
+
+      comp.forEach(n => {
+        if (LABEL_HEADERS.includes(n.label)) {
+          row[n.label].push(n.text.trim());
+        }
+      });
+
+      row.spans = comp.map(n => ({ id: n.id, label: n.label, text: n.text, start: n.start, end: n.end }));
+
+      const ids = new Set(comp.map(n => n.id));
+      const end = n => ({ id: n.id, label: n.label, text: n.text.trim() });
+      row.relations = arrows.filter(a => ids.has(a.from)).map(a => ({
+        from: end(nodes.get(a.from)),
+        to: end(nodes.get(a.to)),
+        bidirectional: a.bidirectional,
+        labels: a.labels
+      }));
+
+      const starts = comp.map(n => n.start).filter(v => v !== null);
+      const ends = comp.map(n => n.end).filter(v => v !== null);
+      row.startOffset = starts.length ? Math.min(...starts) : null;
+      row.endOffset = ends.length ? Math.max(...ends) : null;
+      tuples.push(row);
+    });
+  });
+
+  // 🔹 Step 5. Sort by text position; tuples close together are grouped by annotator
+  tuples.sort((a, b) => {
+    const diff = (a.startOffset ?? Infinity) - (b.startOffset ?? Infinity);
+    if (Number.isNaN(diff) || Math.abs(diff) < 30) {
+      return (a.annotator || '').localeCompare(b.annotator || '');
+    }
+    return diff;
+  });
+  tuples.forEach((tuple, i) => { tuple.tupleId = `${taskId ?? 'task'}-${i + 1}`; });
+  return tuples;
+}
+
+// ---------- export rows ----------
+// One relation as plain text, e.g. 'Sender “Nike” → Recipient “partners” (shares)'
+function relationText(rel) {
+  const labels = rel.labels.length ? ` (${rel.labels.join(', ')})` : '';
+  return `${rel.from.label} “${rel.from.text}” ${rel.bidirectional ? '↔' : '→'} ${rel.to.label} “${rel.to.text}”${labels}`;
+}
+
+// Header plus one row per tuple. Several spans under one label share a cell,
+// one per line, with their offsets ("start-end") lined up in the next column.
+function tupleTableRows(tuples) {
+  const header = ['Tuple ID', 'Task ID', 'Annotator', 'Start', 'End',
+    ...LABEL_HEADERS.flatMap(label => [label, `${label} offsets`]), 'Relations'];
+  const rows = tuples.map(tuple => {
+    const cells = [tuple.tupleId, tuple.taskId ?? '', String(tuple.annotator), tuple.startOffset ?? '', tuple.endOffset ?? ''];
+    LABEL_HEADERS.forEach(label => {
+      const spans = (tuple.spans || []).filter(s => s.label === label);
+      cells.push(spans.map(s => s.text.trim()).join('\n'));
+      cells.push(spans.map(s => (s.start === null ? '' : `${s.start}-${s.end}`)).join('\n'));
+    });
+    cells.push((tuple.relations || []).map(relationText).join('\n'));
+    return cells;
+  });
+  return [header, ...rows];
+}
+
+// ---------- CSV ----------
+// With a byte order mark so Excel reads the UTF-8 (curly quotes, ↔) correctly
+function tuplesToCsv(tuples) {
+  const quote = value => {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return '\uFEFF' + tupleTableRows(tuples).map(row => row.map(quote).join(',')).join('\r\n') + '\r\n';
+}
+
+// ---------- JSONL dataset ----------
+// One record per flow for training and evaluating models on GKC-CI:
+//   { policy, taskId, flowId, annotator,
+//     sentences: [{ text, start, end }],    sentences of task.flatText holding the spans
+//     parameters: [{ label, text, start, end, sentence, sentenceStart, sentenceEnd }],
+//     relations: [{ from, to, bidirectional, labels }],   from/to index parameters
+//     agreement: { status, fullMatches, partialMatches, annotators } }
+// Offsets are into flatText (sentenceStart/sentenceEnd into the text of
+// sentences[sentence]) and null for spans uploaded without them.
+// status is shared_by_all, full_match, partial_match, unmatched or
+// single_annotator, from aligning the flow with the other annotators' flows
+// as the tuple agreement does.
+const SENTENCE_END = /[.!?]["”’)]*(?=\s|[A-Z“"]|$)/g;
+// Menus and inline scripts in flatText can run on for pages without a full
+// stop, so a sentence reaches at most this many characters beyond its span
+const MAX_CONTEXT = 300;
+
+// Start of the sentence holding `start` and end of the one holding `end`.
+// flatText joins the page's text nodes without separators, so a full stop
+// followed by a capital letter ends a sentence too.
+function sentenceBounds(text, start, end) {
+  const windowStart = Math.max(0, start - MAX_CONTEXT);
+  const windowEnd = Math.min(text.length, end + MAX_CONTEXT);
+  const window = text.slice(windowStart, windowEnd);
+  let from = windowStart;
+  let to = windowEnd;
+  SENTENCE_END.lastIndex = 0;
+  let m;
+  while ((m = SENTENCE_END.exec(window))) {
+    const stop = windowStart + m.index + m[0].length;
+    if (stop <= start) from = stop;
+    else if (stop >= end) { to = stop; break; }
+  }
+  // Cut at a space rather than mid-word where no sentence ended in time
+  if (from === windowStart && from > 0) {
+    const space = text.indexOf(' ', from);
+    if (space !== -1 && space < start) from = space;
+  }
+  if (to === windowEnd && to < text.length) {
+    const space = text.lastIndexOf(' ', to);
+    if (space >= end) to = space;
+  }
+  while (from < start && /\s/.test(text[from])) from++;
+  return { start: from, end: to };
+}
+
+// Sentences around the spans, in text order, with overlapping ones joined
+function flowSentences(text, spans) {
+  const bounds = spans.filter(s => s.start !== null)
+    .map(s => sentenceBounds(text, s.start, s.end))
+    .sort((a, b) => a.start - b.start);
+  const sentences = [];
+  bounds.forEach(b => {
+    const last = sentences[sentences.length - 1];
+    if (last && b.start < last.end) last.end = Math.max(last.end, b.end);
+    else sentences.push({ ...b });
+  });
+  return sentences.map(b => ({ text: text.slice(b.start, b.end), start: b.start, end: b.end }));
+}
+
+// A tuple in the { user, nodes, links } shape the matching in js/agreement.js takes
+function tupleFlow(tuple) {
+  const nodes = tuple.spans.filter(s => s.start !== null);
+  const index = new Map(nodes.map((n, i) => [n.id, i]));
+  const links = tuple.relations.filter(r => index.has(r.from.id) && index.has(r.to.id))
+    .map(r => ({ from: index.get(r.from.id), to: index.get(r.to.id), bidirectional: r.bidirectional, labels: r.labels }));
+  return { user: String(tuple.annotator), nodes, links };
+}
+
+function agreementStatus(match, others) {
+  if (!others) return 'single_annotator';
+  if (match.full.length === others) return 'shared_by_all';
+  if (match.full.length) return 'full_match';
+  if (match.partial.length) return 'partial_match';
+  return 'unmatched';
+}
+
+function flowRecords(task, policyName) {
+  const tuples = buildConnectedRelationFlows(task);
+  const flows = tuples.map(tupleFlow);
+  const annotators = new Set(flows.map(f => f.user));
+  const matches = agreementLib.flowMatches(flows, annotators);
+  const text = typeof task.flatText === 'string' ? task.flatText
+    : (typeof task.data?.text === 'string' ? task.data.text : '');
+
+  return tuples.map((tuple, k) => {
+    const sentences = text ? flowSentences(text, tuple.spans) : [];
+    const sentenceOf = s => s.start === null ? -1 : sentences.findIndex(b => b.start <= s.start && s.end <= b.end);
+    const position = new Map(tuple.spans.map((s, i) => [s.id, i]));
+    return {
+      policy: policyName,
+      taskId: tuple.taskId,
+      flowId: tuple.tupleId,
+      annotator: String(tuple.annotator),
+      sentences,
+      parameters: tuple.spans.map(s => {
+        const sentence = sentenceOf(s);
+        return {
+          label: s.label,
+          text: s.text,
+          start: s.start,
+          end: s.end,
+          sentence: sentence === -1 ? null : sentence,
+          sentenceStart: sentence === -1 ? null : s.start - sentences[sentence].start,
+          sentenceEnd: sentence === -1 ? null : s.end - sentences[sentence].start
+        };
+      }),
+      relations: tuple.relations.map(r => ({
+        from: position.get(r.from.id),
+        to: position.get(r.to.id),
+        bidirectional: r.bidirectional,
+        labels: r.labels
+      })),
+      agreement: {
+        status: agreementStatus(matches[k], annotators.size - 1),
+        fullMatches: matches[k].full,
+        partialMatches: matches[k].partial,
+        annotators: annotators.size
+      }
+    };
+  });
+}
+
+function flowsToJsonl(records) {
+  return records.map(record => JSON.stringify(record)).join('\n') + (records.length ? '\n' : '');
+}
+
+// ---------- XLSX ----------
+// A minimal SpreadsheetML workbook in an uncompressed zip: inline strings, a
+// bold frozen header row, no shared strings. Enough for Excel, LibreOffice
+// and Google Sheets without pulling in a spreadsheet library.
+const XLSX_CELL_LIMIT = 32767;
+
+function xmlEscape(value) {
+  return String(value)
+    .replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+    .replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+}
+
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  return name;
+}
+
+function sheetXml(rows) {
+  const cell = (value, ref, header) => {
+    const style = header ? ' s="1"' : '';
+    if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"${style}><v>${value}</v></c>`;
+    if (value === '' || value === null || value === undefined) return '';
+    const text = String(value).slice(0, XLSX_CELL_LIMIT);
+    return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${xmlEscape(text)}</t></is></c>`;
+  };
+  const body = rows.map((row, r) =>
+    `<row r="${r + 1}">${row.map((value, c) => cell(value, `${columnName(c)}${r + 1}`, r === 0)).join('')}</row>`).join('');
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+    + `<sheetData>${body}</sheetData></worksheet>`;
+}
+
+// Excel sheet names: at most 31 characters, none of []:*?/\, unique ignoring case
+function sheetNames(names) {
+  const used = new Set();
+  return names.map(name => {
+    const base = String(name).replace(/[[\]:*?/\\]/g, '_').slice(0, 31) || 'Sheet';
+    let candidate = base;
+    for (let n = 2; used.has(candidate.toLowerCase()); n++) candidate = `${base.slice(0, 31 - String(n).length - 3)} (${n})`;
+    used.add(candidate.toLowerCase());
+    return candidate;
+  });
+}
+
+// Workbook of [{ name, rows }] as the bytes of an .xlsx file
+function buildWorkbook(sheets) {
+  const names = sheetNames(sheets.map(s => s.name));
+  const rel = (id, type, target) =>
+    `<Relationship Id="${id}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/${type}" Target="${target}"/>`;
+  const files = [
+    ['[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+      + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+      + '<Default Extension="xml" ContentType="application/xml"/>'
+      + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+      + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+      + sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+      + '</Types>'],
+    ['_rels/.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + rel('rId1', 'officeDocument', 'xl/workbook.xml')
+      + '</Relationships>'],
+    ['xl/workbook.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+      + `<sheets>${names.map((name, i) => `<sheet name="${xmlEscape(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets>`
+      + '</workbook>'],
+    ['xl/_rels/workbook.xml.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + sheets.map((_, i) => rel(`rId${i + 1}`, 'worksheet', `worksheets/sheet${i + 1}.xml`)).join('')
+      + rel(`rId${sheets.length + 1}`, 'styles', 'styles.xml')
+      + '</Relationships>'],
+    ['xl/styles.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+      + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+      + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+      + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+      + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+      + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+      + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+      + '</styleSheet>'],
+    ...sheets.map((sheet, i) => [`xl/worksheets/sheet${i + 1}.xml`, sheetXml(sheet.rows)])
+  ];
+  return zipStore(files);
+}
+
+// Combined sheet of all tuples, then one sheet per annotator
+function tuplesToXlsx(tuples) {
+  const annotators = [...new Set(tuples.map(t => String(t.annotator)))].sort((a, b) => a.localeCompare(b));
+  return buildWorkbook([
+    { name: 'All annotators', rows: tupleTableRows(tuples) },
+    ...annotators.map(name => ({ name, rows: tupleTableRows(tuples.filter(t => String(t.annotator) === name)) }))
+  ]);
+}
+
+// ---------- zip (stored, no compression) ----------
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// [[name, text]] → Uint8Array of a zip archive
+function zipStore(files) {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+  const entries = files.map(([name, text]) => {
+    const data = encoder.encode(text);
+    return { name: encoder.encode(name), data, crc: crc32(data) };
+  });
+
+  const localSize = entries.reduce((sum, e) => sum + 30 + e.name.length + e.data.length, 0);
+  const centralSize = entries.reduce((sum, e) => sum + 46 + e.name.length, 0);
+  const out = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(out.buffer);
+  let pos = 0;
+  const u16 = value => { view.setUint16(pos, value, true); pos += 2; };
+  const u32 = value => { view.setUint32(pos, value, true); pos += 4; };
+  const bytes = value => { out.set(value, pos); pos += value.length; };
+
+  const offsets = entries.map(e => {
+    const offset = pos;
+    u32(0x04034B50); u16(20); u16(0x0800); u16(0); u16(time); u16(date);
+    u32(e.crc); u32(e.data.length); u32(e.data.length); u16(e.name.length); u16(0);
+    bytes(e.name); bytes(e.data);
+    return offset;
+  });
+  const centralStart = pos;
+  entries.forEach((e, i) => {
+    u32(0x02014B50); u16(20); u16(20); u16(0x0800); u16(0); u16(time); u16(date);
+    u32(e.crc); u32(e.data.length); u32(e.data.length); u16(e.name.length); u16(0); u16(0);
+    u16(0); u16(0); u32(0); u32(offsets[i]);
+    bytes(e.name);
+  });
+  const centralLength = pos - centralStart;
+  u32(0x06054B50); u16(0); u16(0); u16(entries.length); u16(entries.length);
+  u32(centralLength); u32(centralStart); u16(0);
+  return out;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    LABEL_HEADERS,
+    buildConnectedRelationFlows,
+    tupleTableRows,
+    tuplesToCsv,
+    tuplesToXlsx,
+    buildWorkbook,
+    flowRecords,
+    flowsToJsonl
+  };
+}
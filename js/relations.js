@@ -1,16 +1,6 @@
 console.log("✅ relations.js loaded");
 
-const LABEL_HEADERS = [
-  "Sender",
-  "Subject",
-  "Information Type",
-  "Recipient",
-  "Aim",
-  "Condition",
-  "Modalities",
-  "NotModalities",
-  "Consequence"
-];
+// LABEL_HEADERS and buildConnectedRelationFlows come from js/relationTuples.js, escapeHtml from js/utils.js
 
 const tableContainer = document.getElementById("relationTableContainer");
 const backBtn = document.getElementById("backToPolicy");
@@ -50,93 +40,83 @@ if (backBtn) {
   }
 
   renderRelationTable(tuples);
+  renderTupleAgreement(task);
+  setUpTupleExport(tuples);
 })();
 
-// 🟣 Extract connected label flows
-function buildConnectedRelationFlows(task) {
-  const tuples = [];
-  const annotations = Array.isArray(task?.annotations) ? task.annotations : [];
-
-  annotations.forEach(annObj => {
-    const annotator = annObj?.completed_by?.email || annObj?.completed_by || "Unknown";
-    const result = annObj.result || [];
-
-    // 🔹 Step 1. Gather label nodes
-    const nodes = new Map(); // id -> { id, label, text, start, end }
-    result.forEach(r => {
-      if (r.type === "labels" && r.value?.labels) {
-        const labelName = Array.isArray(r.value.labels) ? r.value.labels[0] : r.value.labels;
-        const start = Number(r.value?.globalOffsets?.start ?? r.value?.start ?? 0);
-        const end = Number(r.value?.globalOffsets?.end ?? r.value?.end ?? start);
-        nodes.set(r.id, {
-          id: r.id,
-          label: labelName,
-          text: r.value?.text || "",
-          start, end
-        });
-      }
-    });
-
-    // 🔹 Step 2. Build undirected graph of connected labels
-    const adj = new Map();
-    result.forEach(r => {
-      if (r.type === "relation" && r.from_id && r.to_id) {
-        if (!nodes.has(r.from_id) || !nodes.has(r.to_id)) return;
-        if (!adj.has(r.from_id)) adj.set(r.from_id, new Set());
-        if (!adj.has(r.to_id)) adj.set(r.to_id, new Set());
-        adj.get(r.from_id).add(r.to_id);
-        adj.get(r.to_id).add(r.from_id);
-      }
-    });
-    nodes.forEach((_, id) => { if (!adj.has(id)) adj.set(id, new Set()); });
-
-    // 🔹 Step 3. DFS to find connected components
-    const seen = new Set();
-    const components = [];
-    for (const id of adj.keys()) {
-      if (seen.has(id)) continue;
-      const comp = [];
-      const stack = [id];
-      seen.add(id);
-      while (stack.length) {
-        const cur = stack.pop();
-        if (nodes.has(cur)) comp.push(nodes.get(cur));
-        (adj.get(cur) || []).forEach(nbr => {
-          if (!seen.has(nbr)) { seen.add(nbr); stack.push(nbr); }
-        });
-      }
-      if (comp.length) components.push(comp);
-    }
-
-    // 🔹 Step 4. Convert each connected group into one row
-    components.forEach(comp => {
-      comp.sort((a, b) => a.start - b.start);
-      const row = { annotator };
-
-      LABEL_HEADERS.forEach(label => { row[label] = []; });
-
-      comp.forEach(n => {
-        if (LABEL_HEADERS.includes(n.label)) {
-          row[n.label].push(n.text.trim());
-        }
-      });
+// 🟣 Download the table as CSV / XLSX (tuplesToCsv, tuplesToXlsx in js/relationTuples.js),
+// or every task of the policy from the server
+function setUpTupleExport(tuples) {
+  const box = document.getElementById("tupleExport");
+  if (!box) return;
+
+  const policyName = localStorage.getItem("lastPolicyName");
+  const known = policyName && policyName !== "unknown_policy";
+  const base = (known ? policyName : "relations").replace(/[^a-zA-Z0-9\-_\s]/g, "_").replace(/\s+/g, "_");
+
+  const download = (content, type, filename) => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  };
+  document.getElementById("exportTuplesCsv").addEventListener("click", () =>
+    download(tuplesToCsv(tuples), "text/csv;charset=utf-8", `${base}-tuples.csv`));
+  document.getElementById("exportTuplesXlsx").addEventListener("click", () =>
+    download(tuplesToXlsx(tuples), "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", `${base}-tuples.xlsx`));
+
+  // The page shows one task; the server export covers all of the policy's (picked) uploads
+  const serverLinks = document.getElementById("policyTupleExport");
+  if (known && serverLinks) {
+    const root = (location.pathname.match(/\/(LLM_GKC-CI_Draft|GKC-CI)(?=\/|$)/) || [""])[0];
+    const uploads = localStorage.getItem("lastPolicyUploads");
+    const query = format => `?format=${format}${uploads ? `&uploads=${encodeURIComponent(uploads)}` : ""}`;
+    const api = `${location.origin}${root}/api/policies/${encodeURIComponent(policyName)}`;
+    const url = format => `${api}/tuples${query(format)}`;
+    const flows = `${api}/flows${uploads ? `?uploads=${encodeURIComponent(uploads)}` : ""}`;
+    serverLinks.innerHTML = `Whole policy: <a href="${url("csv")}">CSV</a> • <a href="${url("xlsx")}">Excel</a>
+      • <a href="${flows}" title="One JSON record per flow, with source text and agreement status">JSONL dataset</a>`;
+  }
+  box.style.display = "flex";
+}
 
-      row.startOffset = Math.min(...comp.map(n => n.start));
-      tuples.push(row);
-    });
-  });
+// 🟣 How many tuples the annotators agree on (calculateTupleAgreement in js/agreement.js)
+function renderTupleAgreement(task) {
+  const box = document.getElementById("tupleAgreement");
+  if (!box || typeof calculateTupleAgreement !== "function") return;
+
+  const users = new Set((task.annotations || []).map(a => a.completed_by?.email || a.completed_by || "Unknown"));
+  const agreement = calculateTupleAgreement(taskRelationFlows(task), users);
+  if (!agreement) return;
+
+  box.innerHTML = `
+    <h3>🤝 Tuple Agreement (${agreement.tuples} tuples)</h3>
+    <div>Tuple F1: <b>${agreement.overall.f1}%</b> • counting partial matches: <b>${agreement.overall.relaxedF1}%</b>
+      • ${agreement.overall.full} full, ${agreement.overall.partial} partial matches</div>
+    ${agreement.pairs.map(p => `
+      <div>${p.annotators.join(" ↔ ")}: ${p.tuples.join(" vs ")} tuples • <b>${p.full}</b> full, <b>${p.partial}</b> partial,
+        ${p.unmatched.join(" / ")} unmatched • F1 ${p.f1}% (${p.relaxedF1}% with partial)</div>`).join("")}
+    <div>Parameters within matched tuples: ${agreement.byParameter
+      .map(p => `${p.label} <b>${p.f1}%</b>`).join(" • ")}</div>
+    <div class="note">
+      Tuples are aligned by their spans (same label, overlapping by more than half).
+      A full match has the same spans and relations; a partial match shares at least one span.
+      Spans without the text offsets added on upload are left out.
+    </div>`;
+  box.style.display = "block";
+}
 
-  // 🔹 Step 5. Sort by position in the policy text
-  // 🔹 Step 5. Sort by text position and group overlaps
-tuples.sort((a, b) => {
-  const diff = a.startOffset - b.startOffset;
-  if (Math.abs(diff) < 30) {
-    // same neighborhood → group by annotator alphabetically
-    return (a.annotator || "").localeCompare(b.annotator || "");
-  }
-  return diff;
-});
-return tuples;
+// 🟣 One relation as “Sender → Recipient”, ↔ when it points both ways.
+// Span texts are shortened here; the label columns show them in full.
+function describeRelation(rel) {
+  const short = text => (text.length > 40 ? `${text.slice(0, 40)}…` : text);
+  const end = e => `<b>${escapeHtml(e.label)}</b> “${escapeHtml(short(e.text))}”`;
+  const labels = rel.labels.length ? ` <i>(${escapeHtml(rel.labels.join(", "))})</i>` : "";
+  return `${end(rel.from)} ${rel.bidirectional ? "↔" : "→"} ${end(rel.to)}${labels}`;
 }
 
 // 🟣 Render the table
@@ -147,7 +127,7 @@ function renderRelationTable(tuples) {
   // ✅ Create THEAD
   const thead = document.createElement("thead");
   const headerRow = document.createElement("tr");
-  ["Annotator", ...LABEL_HEADERS].forEach(label => {
+  ["Annotator", ...LABEL_HEADERS, "Relations"].forEach(label => {
     const th = document.createElement("th");
     th.textContent = label;
     headerRow.appendChild(th);
@@ -168,13 +148,19 @@ function renderRelationTable(tuples) {
       const texts = flow[label] || [];
       if (texts.length > 0) {
         td.innerHTML = texts
-          .map(txt => `<div class="label-entry">“${txt.trim()}”</div>`)
+          .map(txt => `<div class="label-entry">“${escapeHtml(txt.trim())}”</div>`)
           .join("");
       } else {
         td.innerHTML = `<span class="empty-cell">—</span>`;
       }
       tr.appendChild(td);
     });
+
+    const relationsCell = document.createElement("td");
+    relationsCell.innerHTML = (flow.relations || []).length
+      ? flow.relations.map(rel => `<div class="label-entry">${describeRelation(rel)}</div>`).join("")
+      : `<span class="empty-cell">—</span>`;
+    tr.appendChild(relationsCell);
     tbody.appendChild(tr);
   });
   table.appendChild(tbody);
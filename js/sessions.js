@@ -0,0 +1,90 @@
+// Cookie sessions and role checks for the Express API.
+//
+// Sessions are kept in memory: a server restart logs everyone out, which is
+// acceptable for a single-process research dashboard.
+const crypto = require('crypto');
+
+const COOKIE_NAME = 'gkcci_session';
+const SESSION_TTL_MS = 8 * 60 * 60 * 1000;
+
+function parseCookies(header) {
+    const cookies = {};
+    String(header || '').split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index === -1) return;
+        const name = part.slice(0, index).trim();
+        if (!name) return;
+        try {
+            cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+        } catch (error) {
+            // A value decodeURIComponent rejects (e.g. a stray %) comes from some other
+            // site or script on this host, never from us: skip it rather than fail the request
+        }
+    });
+    return cookies;
+}
+
+function createSessionManager({ userStore, ttlMs = SESSION_TTL_MS }) {
+    const sessions = new Map();
+
+    function cookieHeader(req, value, maxAgeSeconds) {
+        const parts = [`${COOKIE_NAME}=${value}`, 'Path=/', 'HttpOnly', 'SameSite=Lax', `Max-Age=${maxAgeSeconds}`];
+        if (req.secure) parts.push('Secure');
+        return parts.join('; ');
+    }
+
+    function start(req, res, user) {
+        const token = crypto.randomBytes(32).toString('hex');
+        sessions.set(token, { userId: user.id, expiresAt: Date.now() + ttlMs });
+        res.setHeader('Set-Cookie', cookieHeader(req, token, Math.floor(ttlMs / 1000)));
+        return token;
+    }
+
+    function end(req, res) {
+        const token = parseCookies(req.headers.cookie)[COOKIE_NAME];
+        if (token) sessions.delete(token);
+        res.setHeader('Set-Cookie', cookieHeader(req, '', 0));
+    }
+
+    // Middleware: sets req.user (or null) from the session cookie
+    async function attachUser(req, res, next) {
+        req.user = null;
+        const token = parseCookies(req.headers.cookie)[COOKIE_NAME];
+        const session = token && sessions.get(token);
+        if (!session) return next();
+        if (session.expiresAt < Date.now()) {
+            sessions.delete(token);
+            return next();
+        }
+        try {
+            req.user = await userStore.findById(session.userId);
+            if (!req.user) sessions.delete(token);
+            next();
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    return { start, end, attachUser };
+}
+
+function requireAuth(req, res, next) {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Please log in first' });
+    }
+    next();
+}
+
+function requireRole(role) {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ error: 'Please log in first' });
+        }
+        if (req.user.role !== role) {
+            return res.status(403).json({ error: `Only ${role}s can do this` });
+        }
+        next();
+    };
+}
+
+module.exports = { createSessionManager, requireAuth, requireRole, parseCookies, COOKIE_NAME };
@@ -0,0 +1,82 @@
+// Merge every upload of a policy into one set of Label Studio tasks.
+//
+// Each student uploads their own export of the same document, so the same
+// task shows up once per upload with only that student's annotations.
+// Tasks are matched by task id or by a hash of data.text (exports from
+// different Label Studio projects get different ids for the same text); two
+// tasks with the same id but different texts stay apart. Annotations are
+// de-duplicated by unique_id, or id when an export has none, so that
+// re-uploads and overlapping exports don't count anyone twice.
+const crypto = require('crypto');
+
+function textHash(task) {
+    const text = (task && task.data && task.data.text) || (task && task.file_upload) || '';
+    return text ? crypto.createHash('sha1').update(text).digest('hex') : null;
+}
+
+// Identity of an annotation across uploads. Numeric ids repeat between Label
+// Studio instances, so they only count when there is no unique_id.
+function annotationKey(annotation) {
+    const key = annotation.unique_id != null ? annotation.unique_id : annotation.id;
+    return key != null ? String(key) : null;
+}
+
+// Tasks of a parsed Label Studio export: a task array, { tasks: [...] } or
+// a single task. Shared by every module that walks an upload's tasks.
+function tasksOf(payload) {
+    if (Array.isArray(payload)) return payload.filter(Boolean);
+    if (payload && Array.isArray(payload.tasks)) return payload.tasks;
+    return payload ? [payload] : [];
+}
+
+// sources: [{ storedAs, contributor, data }] where data is the parsed upload file.
+// Returns { tasks, duplicateAnnotations }; every merged annotation carries
+// uploadSource = { storedAs, contributor } so the page can tell uploads apart.
+function mergeUploadTasks(sources) {
+    const merged = [];
+    const byId = new Map();
+    const byText = new Map();
+    const hashOf = new Map();
+    let duplicateAnnotations = 0;
+
+    sources.forEach(({ storedAs, contributor, data }) => {
+        tasksOf(data).forEach(task => {
+            const hash = textHash(task);
+            const sameId = task.id != null ? byId.get(task.id) : null;
+            const idMatches = sameId && (!hash || !hashOf.get(sameId) || hashOf.get(sameId) === hash);
+            let target = (idMatches && sameId) || (hash && byText.get(hash));
+
+            if (!target) {
+                target = {
+                    ...task,
+                    annotations: [],
+                    mergedFrom: [],
+                    seenAnnotationKeys: new Set()
+                };
+                merged.push(target);
+                hashOf.set(target, hash);
+            }
+            if (task.id != null && !byId.has(task.id)) byId.set(task.id, target);
+            if (hash && !byText.has(hash)) byText.set(hash, target);
+            if (!target.mergedFrom.includes(storedAs)) target.mergedFrom.push(storedAs);
+
+            (task.annotations || []).forEach(annotation => {
+                const key = annotationKey(annotation);
+                if (key !== null && target.seenAnnotationKeys.has(key)) {
+                    duplicateAnnotations++;
+                    return;
+                }
+                if (key !== null) target.seenAnnotationKeys.add(key);
+                target.annotations.push({ ...annotation, uploadSource: { storedAs, contributor } });
+            });
+        });
+    });
+
+    const tasks = merged.map(({ seenAnnotationKeys, ...task }) => ({
+        ...task,
+        total_annotations: task.annotations.length
+    }));
+    return { tasks, duplicateAnnotations };
+}
+
+module.exports = { mergeUploadTasks, textHash, tasksOf, annotationKey };
@@ -0,0 +1,302 @@
+// Soft delete for policies, contributors and uploads.
+//
+// Deleting moves the affected files to data/trash/<id>/<original path> and
+// records the removed metadata in the store's `trash` list, in the same
+// transaction that removes it from `policies`. Restoring moves the files
+// back and merges the records into whatever the policy looks like now.
+// Entries older than the retention period are purged for good.
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const {
+    sanitizeFolderName,
+    removeUploadFromState,
+    removeContributorFromState,
+    removePolicyFromState
+} = require('./metadataStore');
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function trashError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+async function pathExists(filePath) {
+    try {
+        await fs.access(filePath);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+async function listFilesRecursive(dataDir, relativeDir) {
+    let entries;
+    try {
+        entries = await fs.readdir(path.join(dataDir, relativeDir), { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    const files = [];
+    for (const entry of entries) {
+        const relativePath = path.posix.join(relativeDir, entry.name);
+        if (entry.isDirectory()) files.push(...await listFilesRecursive(dataDir, relativePath));
+        else files.push(relativePath);
+    }
+    return files;
+}
+
+async function moveFile(from, to) {
+    await fs.mkdir(path.dirname(to), { recursive: true });
+    await fs.rename(from, to);
+}
+
+// Who did it, without anything sensitive
+function actorOf(user) {
+    return user ? { id: user.id, name: user.name, email: user.email, role: user.role } : null;
+}
+
+function createTrash({ store, retentionDays = DEFAULT_RETENTION_DAYS }) {
+    const dataDir = store.dataDir;
+
+    function entryDir(id) {
+        return path.posix.join('trash', id);
+    }
+
+    // Sanitized name, plus the raw-name directory older uploads were moved into.
+    // Policy names come from students, so a name like ../uploads or .. only
+    // counts when it still names a folder directly inside data/projects.
+    function projectDirs(policyName) {
+        const projectsDir = path.join(dataDir, 'projects');
+        return [...new Set([sanitizeFolderName(policyName), policyName])]
+            .filter(dirName => path.dirname(path.resolve(projectsDir, dirName)) === projectsDir)
+            .map(dirName => path.posix.join('projects', dirName));
+    }
+
+    // Only uploaded files may be trashed, never the store, accounts or the trash itself
+    function isUploadFile(relativePath) {
+        const [top, ...rest] = relativePath.split('/');
+        return (top === 'projects' || top === 'uploads') && rest.length > 0 && !rest.includes('..');
+    }
+
+    async function removeEmptyProjectDirs(policyName) {
+        for (const dir of projectDirs(policyName)) {
+            if ((await listFilesRecursive(dataDir, dir)).length === 0) {
+                await fs.rm(path.join(dataDir, dir), { recursive: true, force: true });
+            }
+        }
+    }
+
+    // Move files (paths relative to data/) into the entry's trash folder.
+    // On failure, whatever was already moved is put back.
+    async function moveToTrash(id, relativePaths) {
+        const moved = [];
+        try {
+            for (const from of new Set(relativePaths)) {
+                if (!(await pathExists(path.join(dataDir, from)))) continue;
+                const to = path.posix.join(entryDir(id), from);
+                await moveFile(path.join(dataDir, from), path.join(dataDir, to));
+                moved.push({ from, to });
+            }
+            return moved;
+        } catch (error) {
+            for (const file of moved.reverse()) {
+                await moveFile(path.join(dataDir, file.to), path.join(dataDir, file.from)).catch(() => {});
+            }
+            throw error;
+        }
+    }
+
+    // Files of the uploads and of their earlier versions
+    async function uploadFiles(policyName, uploads) {
+        const files = [];
+        for (const upload of uploads.flatMap(u => [u, ...(u.history || [])])) {
+            const filePath = await store.locateUploadFile(policyName, upload);
+            if (!filePath) continue;
+            const relativePath = path.relative(dataDir, filePath).split(path.sep).join('/');
+            if (isUploadFile(relativePath)) files.push(relativePath);
+        }
+        return files;
+    }
+
+    // Runs remove(state) and, when it found something, moves the files that
+    // describe(removal) names into the trash and records the entry
+    function trashItem(type, user, remove, describe) {
+        return store.transaction(async state => {
+            const removal = remove(state);
+            if (!removal.found) return removal;
+
+            const id = `${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+            const { policyName, studentName = null, record, relativePaths } = await describe(removal);
+            const files = await moveToTrash(id, relativePaths);
+            const entry = {
+                id,
+                type,
+                policyName,
+                studentName,
+                record,
+                files,
+                deletedAt: new Date().toISOString(),
+                deletedBy: actorOf(user)
+            };
+            state.trash = state.trash || [];
+            state.trash.push(entry);
+            if (type === 'policy') await removeEmptyProjectDirs(policyName);
+            return { ...removal, trashEntry: entry };
+        });
+    }
+
+    function trashPolicy(policyName, user) {
+        return trashItem('policy', user,
+            state => removePolicyFromState(state, policyName),
+            async ({ policy }) => {
+                // Only files the policy's upload records name: the sanitized and raw
+                // folders can be shared with another policy, whose files stay put
+                const uploads = Object.values(policy.contributors || {}).flatMap(c => c.uploads || []);
+                return {
+                    policyName,
+                    record: policy,
+                    relativePaths: await uploadFiles(policyName, uploads)
+                };
+            });
+    }
+
+    function trashContributor(policyName, studentName, user) {
+        return trashItem('contributor', user,
+            state => removeContributorFromState(state, policyName, studentName),
+            async ({ contributor }) => ({
+                policyName,
+                studentName,
+                record: contributor,
+                relativePaths: await uploadFiles(policyName, contributor.uploads || [])
+            }));
+    }
+
+    // Same matching rules as store.removeUpload
+    function trashUpload(policyName, match, options, user) {
+        return trashItem('upload', user,
+            state => removeUploadFromState(state, policyName, match, options),
+            async ({ upload, studentName, contributor }) => ({
+                policyName,
+                studentName,
+                // Keep the contributor details so a restore can recreate it
+                record: {
+                    upload,
+                    contributor: { email: contributor.email || '', university: contributor.university || '' }
+                },
+                relativePaths: await uploadFiles(policyName, [upload])
+            }));
+    }
+
+    async function list() {
+        return (await store.getTrash()).map(entry => ({
+            ...entry,
+            expiresAt: new Date(new Date(entry.deletedAt).getTime() + retentionDays * DAY_MS).toISOString()
+        }));
+    }
+
+    function mergeContributor(policy, studentName, contributor, uploads) {
+        if (!policy.contributors[studentName]) {
+            policy.contributors[studentName] = {
+                uploads: [],
+                email: contributor.email || '',
+                university: contributor.university || '',
+                totalAnnotations: 0
+            };
+        }
+        const target = policy.contributors[studentName];
+        const known = new Set(target.uploads.map(u => u.storedAs));
+        uploads.forEach(upload => {
+            if (!known.has(upload.storedAs)) target.uploads.push(upload);
+        });
+    }
+
+    // Put an entry's records and files back; resolves to { entry, policy }. Fails with
+    // code 'ECONFLICT' (and changes nothing) when a file has been re-created in the meantime.
+    function restore(id) {
+        return store.transaction(async state => {
+            const trash = state.trash || [];
+            const entry = trash.find(e => e.id === id);
+            if (!entry) throw trashError('Trash entry not found', 'ENOTFOUND');
+
+            const conflicts = [];
+            for (const file of entry.files) {
+                if (await pathExists(path.join(dataDir, file.from))) conflicts.push(file.from);
+            }
+            if (conflicts.length) {
+                throw trashError(`Files already exist: ${conflicts.join(', ')}`, 'ECONFLICT');
+            }
+            for (const file of entry.files) {
+                await moveFile(path.join(dataDir, file.to), path.join(dataDir, file.from));
+            }
+
+            const now = new Date().toISOString();
+            const { record } = entry;
+            if (!state.policies[entry.policyName]) {
+                state.policies[entry.policyName] = {
+                    createdAt: (entry.type === 'policy' && record.createdAt) || now,
+                    contributors: {},
+                    totalAnnotations: 0
+                };
+            }
+            const policy = state.policies[entry.policyName];
+            if (entry.type === 'policy') {
+                Object.entries(record.contributors || {}).forEach(([name, contributor]) => {
+                    mergeContributor(policy, name, contributor, contributor.uploads || []);
+                });
+            } else if (entry.type === 'contributor') {
+                mergeContributor(policy, entry.studentName, record, record.uploads || []);
+            } else {
+                mergeContributor(policy, entry.studentName, record.contributor, [record.upload]);
+            }
+            policy.lastUpdated = now;
+
+            state.trash = trash.filter(e => e.id !== id);
+            await fs.rm(path.join(dataDir, entryDir(id)), { recursive: true, force: true });
+            return { entry, policy };
+        });
+    }
+
+    // Permanently delete entries; `select(entry)` picks which ones
+    function purgeWhere(select) {
+        return store.transaction(async state => {
+            const trash = state.trash || [];
+            const purged = trash.filter(select);
+            for (const entry of purged) {
+                await fs.rm(path.join(dataDir, entryDir(entry.id)), { recursive: true, force: true });
+            }
+            state.trash = trash.filter(entry => !purged.includes(entry));
+            return purged;
+        });
+    }
+
+    function purge(id) {
+        return purgeWhere(entry => entry.id === id);
+    }
+
+    function purgeExpired(now = Date.now()) {
+        return purgeWhere(entry => now - new Date(entry.deletedAt).getTime() > retentionDays * DAY_MS);
+    }
+
+    function purgeAll() {
+        return purgeWhere(() => true);
+    }
+
+    return {
+        retentionDays,
+        trashPolicy,
+        trashContributor,
+        trashUpload,
+        list,
+        restore,
+        purge,
+        purgeExpired,
+        purgeAll
+    };
+}
+
+module.exports = { createTrash, DEFAULT_RETENTION_DAYS };
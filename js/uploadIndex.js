@@ -0,0 +1,81 @@
+// Content hash and annotation index of uploads, for spotting repeats.
+//
+// Every upload record carries `contentHash` (sha256 of the export as
+// stored) and `annotationKeys` (the unique_id, or else id, of each
+// annotation in it). A new upload with the same hash as an existing one is
+// an exact duplicate. One that shares annotations with an existing upload is
+// usually a newer export of the same Label Studio project that supersedes it.
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { tasksOf, annotationKey } = require('./taskMerge');
+
+function contentHash(data) {
+    return crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex');
+}
+
+// Same keys mergeUploadTasks de-duplicates on
+function annotationKeys(data) {
+    const keys = new Set();
+    tasksOf(data).forEach(task => {
+        (task.annotations || []).forEach(annotation => {
+            const key = annotationKey(annotation);
+            if (key !== null) keys.add(key);
+        });
+    });
+    return [...keys].sort();
+}
+
+function indexUpload(data) {
+    return { contentHash: contentHash(data), annotationKeys: annotationKeys(data) };
+}
+
+// Existing uploads of `policy` that `index` repeats. Returns
+// { exact: [...], overlapping: [...] } of { studentName, contributor, upload, shared };
+// an upload only appears in one of the two lists.
+function findDuplicates(policy, index) {
+    const exact = [];
+    const overlapping = [];
+    if (!policy) return { exact, overlapping };
+    const keys = new Set(index.annotationKeys);
+
+    Object.entries(policy.contributors).forEach(([studentName, contributor]) => {
+        contributor.uploads.forEach(upload => {
+            const shared = (upload.annotationKeys || []).filter(key => keys.has(key)).length;
+            if (upload.contentHash && upload.contentHash === index.contentHash) {
+                exact.push({ studentName, contributor, upload, shared });
+            } else if (shared > 0) {
+                overlapping.push({ studentName, contributor, upload, shared });
+            }
+        });
+    });
+    return { exact, overlapping };
+}
+
+// Adds the index to uploads recorded before it existed. Split uploads are
+// hashed per part, so they only match exact re-uploads of the same part.
+async function backfillUploadIndex(store) {
+    const missing = Object.values(await store.getPolicies())
+        .some(policy => Object.values(policy.contributors).some(c => c.uploads.some(u => !u.contentHash)));
+    if (!missing) return 0;
+    return store.transaction(async state => {
+        let indexed = 0;
+        for (const [policyName, policy] of Object.entries(state.policies)) {
+            for (const contributor of Object.values(policy.contributors)) {
+                for (const upload of contributor.uploads) {
+                    if (upload.contentHash) continue;
+                    const filePath = await store.locateUploadFile(policyName, upload);
+                    if (!filePath) continue;
+                    try {
+                        Object.assign(upload, indexUpload(JSON.parse(await fs.readFile(filePath, 'utf8'))));
+                        indexed++;
+                    } catch (error) {
+                        console.warn(`Could not index ${upload.storedAs}: ${error.message}`);
+                    }
+                }
+            }
+        }
+        return indexed;
+    });
+}
+
+module.exports = { indexUpload, findDuplicates, backfillUploadIndex, contentHash, annotationKeys };
@@ -0,0 +1,149 @@
+// Local user accounts (data/users.json) with scrypt-hashed passwords.
+//
+// Roles: 'student' can upload and manage their own uploads, 'professor' can
+// also delete policies and contributors and run the admin endpoints.
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const ROLES = ['student', 'professor'];
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 6;
+
+function scrypt(password, salt) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, KEY_LENGTH, (error, key) => (error ? reject(error) : resolve(key)));
+    });
+}
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const key = await scrypt(password, salt);
+    return `scrypt:${salt}:${key.toString('hex')}`;
+}
+
+async function verifyPassword(password, passwordHash) {
+    const [scheme, salt, hash] = String(passwordHash || '').split(':');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(password, salt);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function accountError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+// The user record minus its password hash, safe to send to the browser
+function publicUser(user) {
+    if (!user) return null;
+    const { passwordHash, ...rest } = user;
+    return rest;
+}
+
+function createUserStore({ dataDir, fileName = 'users.json' }) {
+    const usersFile = path.join(dataDir, fileName);
+    let queue = Promise.resolve();
+
+    async function readUsers() {
+        try {
+            const data = JSON.parse(await fs.readFile(usersFile, 'utf8'));
+            return Array.isArray(data.users) ? data.users : [];
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    async function writeUsers(users) {
+        await fs.mkdir(dataDir, { recursive: true });
+        const tmpFile = `${usersFile}.${process.pid}.tmp`;
+        await fs.writeFile(tmpFile, JSON.stringify({ users }, null, 2));
+        await fs.rename(tmpFile, usersFile);
+    }
+
+    // Serialize read-modify-write cycles within this process
+    function update(fn) {
+        const run = queue.then(async () => {
+            const users = await readUsers();
+            const result = await fn(users);
+            await writeUsers(users);
+            return result;
+        });
+        queue = run.catch(() => {});
+        return run;
+    }
+
+    async function exists() {
+        try {
+            await fs.access(usersFile);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async function findByEmail(email) {
+        const wanted = normalizeEmail(email);
+        return (await readUsers()).find(user => user.email === wanted) || null;
+    }
+
+    async function findById(id) {
+        return (await readUsers()).find(user => user.id === id) || null;
+    }
+
+    async function listUsers() {
+        return (await readUsers()).map(publicUser);
+    }
+
+    async function createUser({ email, password, name, role = 'student', university = '' }) {
+        const normalized = normalizeEmail(email);
+        if (!normalized || !name) throw accountError('Name and email are required', 'EINVALID');
+        if (!ROLES.includes(role)) throw accountError(`Unknown role: ${role}`, 'EINVALID');
+        if (!password || password.length < MIN_PASSWORD_LENGTH) {
+            throw accountError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 'EINVALID');
+        }
+
+        return update(async users => {
+            if (users.some(user => user.email === normalized)) {
+                throw accountError('An account with this email already exists', 'EEXISTS');
+            }
+            const user = {
+                id: crypto.randomBytes(12).toString('hex'),
+                email: normalized,
+                name: String(name).trim(),
+                role,
+                university,
+                passwordHash: await hashPassword(password),
+                createdAt: new Date().toISOString()
+            };
+            users.push(user);
+            return publicUser(user);
+        });
+    }
+
+    // Returns the public user on success, null on unknown email or wrong password
+    async function authenticate(email, password) {
+        const user = await findByEmail(email);
+        if (!user || !(await verifyPassword(String(password || ''), user.passwordHash))) return null;
+        return publicUser(user);
+    }
+
+    return {
+        file: usersFile,
+        exists,
+        findByEmail: async email => publicUser(await findByEmail(email)),
+        findById: async id => publicUser(await findById(id)),
+        listUsers,
+        createUser,
+        authenticate
+    };
+}
+
+module.exports = { createUserStore, hashPassword, verifyPassword, publicUser, ROLES };
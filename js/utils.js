@@ -400,6 +400,13 @@ function createDebounce(func, wait) {
     };
 }
 
+/**
+ * Escape text for use in HTML markup and attribute values
+ */
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
 /**
  * Format date for display
  */
@@ -485,6 +492,7 @@ if (typeof module !== 'undefined' && module.exports) {
         filterAnnotationsByPolicy,
         filterAnnotationsByStudent,
         createDebounce,
+        escapeHtml,
         formatDate,
         timeAgo,
         generateSampleGKCCIText
@@ -0,0 +1,108 @@
+// Differences between two versions of an upload.
+//
+// Spans are matched by task, annotator and position rather than by result
+// id, because Label Studio may hand out new region ids when an annotation
+// is re-exported. A span at the same position with other labels counts as
+// relabeled; one whose boundaries moved shows up as removed + added.
+// Relations are matched by the positions of the spans at either end.
+const { tasksOf } = require('./taskMerge');
+
+function annotatorOf(annotation) {
+    const by = annotation.completed_by;
+    if (by && typeof by === 'object') return by.email || (by.id !== undefined ? `User_${by.id}` : 'Unknown');
+    return by !== undefined && by !== null ? String(by) : 'Unknown';
+}
+
+// Position of a labeled region: global offsets when the upload route added
+// them, else plain-text offsets, else the HyperText XPath range
+function spanPosition(value) {
+    if (value.globalOffsets) return { start: value.globalOffsets.start, end: value.globalOffsets.end };
+    if (Number.isInteger(value.start) && Number.isInteger(value.end)) return { start: value.start, end: value.end };
+    return { start: `${value.start}:${value.startOffset}`, end: `${value.end}:${value.endOffset}` };
+}
+
+// Everything comparable in one version, keyed so both versions line up
+function collect(data) {
+    const spans = new Map();
+    const relations = new Map();
+    tasksOf(data).forEach((task, index) => {
+        const taskId = task.id !== undefined ? task.id : `#${index + 1}`;
+        (task.annotations || []).forEach(annotation => {
+            const annotator = annotatorOf(annotation);
+            const result = annotation.result || [];
+            const positionById = new Map();
+
+            result.forEach(r => {
+                if (!r.value || !Array.isArray(r.value.labels)) return;
+                const position = spanPosition(r.value);
+                const key = `${taskId}|${annotator}|${position.start}|${position.end}`;
+                positionById.set(r.id, key);
+                // Separate regions over the same text count as one span with all their labels
+                const existing = spans.get(key);
+                const labels = existing ? [...existing.labels, ...r.value.labels] : r.value.labels;
+                spans.set(key, {
+                    taskId,
+                    annotator,
+                    start: position.start,
+                    end: position.end,
+                    text: r.value.text || '',
+                    labels: [...new Set(labels)].sort()
+                });
+            });
+
+            result.forEach(r => {
+                if (r.type !== 'relation') return;
+                const from = spans.get(positionById.get(r.from_id));
+                const to = spans.get(positionById.get(r.to_id));
+                if (!from || !to) return;
+                const key = `${positionById.get(r.from_id)}->${positionById.get(r.to_id)}`;
+                relations.set(key, {
+                    taskId,
+                    annotator,
+                    from: { text: from.text, labels: from.labels, start: from.start, end: from.end },
+                    to: { text: to.text, labels: to.labels, start: to.start, end: to.end },
+                    labels: Array.isArray(r.labels) ? r.labels : []
+                });
+            });
+        });
+    });
+    return { spans, relations };
+}
+
+function diffVersions(fromData, toData) {
+    const before = collect(fromData);
+    const after = collect(toData);
+    const diff = { spansAdded: [], spansRemoved: [], spansRelabeled: [], relationsAdded: [], relationsRemoved: [] };
+
+    after.spans.forEach((span, key) => {
+        const old = before.spans.get(key);
+        if (!old) diff.spansAdded.push(span);
+        else if (old.labels.join('|') !== span.labels.join('|')) {
+            diff.spansRelabeled.push({ ...span, previousLabels: old.labels });
+        }
+    });
+    before.spans.forEach((span, key) => {
+        if (!after.spans.has(key)) diff.spansRemoved.push(span);
+    });
+    after.relations.forEach((relation, key) => {
+        if (!before.relations.has(key)) diff.relationsAdded.push(relation);
+    });
+    before.relations.forEach((relation, key) => {
+        if (!after.relations.has(key)) diff.relationsRemoved.push(relation);
+    });
+
+    diff.summary = {
+        spansBefore: before.spans.size,
+        spansAfter: after.spans.size,
+        relationsBefore: before.relations.size,
+        relationsAfter: after.relations.size,
+        spansAdded: diff.spansAdded.length,
+        spansRemoved: diff.spansRemoved.length,
+        spansRelabeled: diff.spansRelabeled.length,
+        relationsAdded: diff.relationsAdded.length,
+        relationsRemoved: diff.relationsRemoved.length
+    };
+    return diff;
+}
+
+module.exports = { diffVersions };
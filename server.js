@@ -2,8 +2,24 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
+const crypto = require('crypto');
 const cors = require('cors');
 const { addGlobalOffsets } = require('./js/offsetConverter');
+const { createMetadataStore, countAnnotations, sanitizeFolderName } = require('./js/metadataStore');
+const { checkConsistency, rebuildFromDisk } = require('./js/reconcile');
+const { mergeUploadTasks } = require('./js/taskMerge');
+const { createUserStore } = require('./js/userStore');
+const { createSessionManager, requireAuth, requireRole } = require('./js/sessions');
+const { createTrash, DEFAULT_RETENTION_DAYS } = require('./js/trash');
+const { createAuditLog } = require('./js/auditLog');
+const { validateExport, jsonErrorReport, describeReport } = require('./js/annotationSchema');
+const { createAnnotatorMap, splitByAnnotator, annotatorKey } = require('./js/annotatorMap');
+const { indexUpload, findDuplicates, backfillUploadIndex } = require('./js/uploadIndex');
+const { diffVersions } = require('./js/versionDiff');
+const { summarizeAgreement } = require('./js/agreement');
+const { createAgreementCache, isAgreementFresh } = require('./js/agreementCache');
+const { buildConnectedRelationFlows, tuplesToCsv, tuplesToXlsx, flowRecords, flowsToJsonl } = require('./js/relationTuples');
+const { importLegacyMetadata } = require('./import-legacy-metadata');
 
 
 const app = express();
@@ -11,13 +27,54 @@ const PORT = process.env.PORT || 8001;
 
 // Data storage path
 const DATA_DIR = path.join(__dirname, 'data');
-const POLICIES_FILE = path.join(DATA_DIR, 'policies.json');
 const UPLOADS_DIR = path.join(DATA_DIR, 'uploads');
 
+// All policy/contributor/upload metadata lives behind the metadata store
+const store = createMetadataStore({ dataDir: DATA_DIR });
+
+// Deleted policies, contributors and uploads are kept in data/trash for TRASH_RETENTION_DAYS
+const trash = createTrash({
+    store,
+    retentionDays: Number(process.env.TRASH_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS
+});
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Append-only record of every upload, delete, restore and purge
+const auditLog = createAuditLog({ dataDir: DATA_DIR });
+
+// Local accounts and cookie sessions
+const users = createUserStore({ dataDir: DATA_DIR });
+const sessions = createSessionManager({ userStore: users });
+
+// Label Studio annotator → contributor mappings for split uploads
+const annotators = createAnnotatorMap({ store, userStore: users });
+
+// Agreement summaries shown on the dashboard cards, recomputed when a policy's uploads change
+const agreementCache = createAgreementCache({
+    store,
+    readTasks: async (policyName, policy) => mergeUploadTasks((await readPolicyUploads(policyName, policy)).sources).tasks
+});
+
 // Middleware
 app.use(cors());
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+app.use(sessions.attachUser);
+// data/ holds uploads, metadata and password hashes; it is only reachable through
+// the API, which serves files from data/projects and data/uploads alone.
+// express.static decodes %2F before resolving "..", so /x/..%2Fdata/users.json
+// would reach data/ too: check the decoded path, not the URL prefix.
+app.use((req, res, next) => {
+    let target;
+    try {
+        target = path.join(__dirname, decodeURIComponent(req.path));
+    } catch (error) {
+        // Malformed escapes never resolve to a file; express.static answers them
+        return next();
+    }
+    if (target === DATA_DIR || isInsideDir(DATA_DIR, target)) return res.status(404).end();
+    next();
+});
 app.use(express.static('.'));
 
 // Configure multer for file uploads
@@ -66,52 +123,285 @@ async function ensureDirectoryExists(dirPath) {
     }
 }
 
-async function loadPolicies() {
+// Path of a file under data/, as stored in upload records
+function toRelativePath(filePath) {
+    return path.relative(DATA_DIR, filePath).split(path.sep).join('/');
+}
+
+// Whether filePath resolves to somewhere below dir
+function isInsideDir(dir, filePath) {
+    const relative = path.relative(dir, path.resolve(filePath));
+    return relative !== '' && relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative);
+}
+
+// Whether filePath is inside data/projects or data/uploads, the only places
+// uploaded annotation files are served from
+function isUploadFilePath(filePath) {
+    return isInsideDir(path.join(DATA_DIR, 'projects'), filePath) || isInsideDir(UPLOADS_DIR, filePath);
+}
+
+// Contributor an upload is recorded under: students always upload as
+// themselves, professors may upload on behalf of a named student
+function uploaderIdentity(req) {
+    const { studentName, studentEmail, university } = req.body;
+    if (req.user.role !== 'professor' || !studentName) {
+        return { name: req.user.name, email: req.user.email, university: req.user.university || university || '' };
+    }
+    return { name: studentName, email: studentEmail, university };
+}
+
+// Students may only change their own uploads; professors may change any
+function canManageUpload(user, upload, contributor) {
+    if (user.role === 'professor') return true;
+    if (upload.ownerId) return upload.ownerId === user.id;
+    // Uploads from before accounts existed carry no owner; fall back to the contributor email
+    return Boolean(contributor.email) && contributor.email.toLowerCase() === user.email;
+}
+
+// Append an audit entry for a mutation; a logging failure never fails the request
+async function audit(req, event) {
+    const actor = req.user
+        ? { id: req.user.id, name: req.user.name, email: req.user.email, role: req.user.role }
+        : null;
     try {
-        await ensureDirectoryExists(DATA_DIR);
-        const data = await fs.readFile(POLICIES_FILE, 'utf8');
-        return JSON.parse(data);
+        await auditLog.record({ action: event.action, actor, route: `${req.method} ${req.originalUrl}`, ...event });
     } catch (error) {
-        if (error.code === 'ENOENT') {
-            // File doesn't exist, return empty object
-            return {};
-        }
-        throw error;
+        console.error('Failed to write audit log entry:', error);
     }
 }
 
-async function savePolicies(policies) {
-    await ensureDirectoryExists(DATA_DIR);
-    await fs.writeFile(POLICIES_FILE, JSON.stringify(policies, null, 2));
+// Before/after annotation totals of a policy (and contributor) around a change
+// of `delta` annotations; `policy` is the state after the change
+function annotationCounts(policy, studentName, delta) {
+    const policyAfter = (policy && policy.totalAnnotations) || 0;
+    const contributor = policy && studentName && policy.contributors[studentName];
+    const contributorAfter = (contributor && contributor.totalAnnotations) || 0;
+    return {
+        annotations: { before: policyAfter - delta, after: policyAfter },
+        contributorAnnotations: { before: contributorAfter - delta, after: contributorAfter }
+    };
 }
 
-function countAnnotations(data) {
-    let count = 0;
-    if (Array.isArray(data)) {
-        data.forEach(item => {
-            if (item.annotations && Array.isArray(item.annotations)) {
-                count += item.annotations.length;
-            } else if (item.result) {
-                count++;
-            }
+// Upload options (dryRun, splitByAnnotator) may come as a query parameter,
+// a form field or a JSON field
+function optionEnabled(req, name) {
+    const value = req.query[name] !== undefined ? req.query[name] : req.body[name];
+    return value === true || value === '1' || value === 'true';
+}
+
+// Earlier uploads an upload repeats, as sent to the client
+function describeDuplicates(req, { exact, overlapping }) {
+    const describe = kind => ({ studentName, contributor, upload, shared }) => ({
+        kind,
+        studentName,
+        storedAs: upload.storedAs,
+        filename: upload.filename,
+        uploadedAt: upload.uploadedAt,
+        annotationCount: upload.annotationCount || 0,
+        shared,
+        canReplace: canManageUpload(req.user, upload, contributor)
+    });
+    return [...exact.map(describe('exact')), ...overlapping.map(describe('overlap'))];
+}
+
+// When an upload repeats earlier ones, the client has to choose with
+// onDuplicate: 'replace' (move the earlier uploads to the trash) or 'keep'.
+// Returns the error response to send, or null to go ahead.
+function duplicateConflict(req, duplicates) {
+    const found = describeDuplicates(req, duplicates);
+    if (!found.length) return null;
+    const choice = req.query.onDuplicate || req.body.onDuplicate;
+    if (choice === 'keep') return null;
+    if (choice === 'replace') {
+        return found.every(d => d.canReplace)
+            ? null
+            : { status: 403, body: { error: 'You can only replace your own uploads', duplicates: found } };
+    }
+    const error = duplicates.exact.length
+        ? 'This export has already been uploaded to this policy'
+        : 'This export contains annotations from earlier uploads';
+    return { status: 409, body: { error, duplicates: found } };
+}
+
+// With onDuplicate=replace, the repeated uploads of the contributors the new
+// upload is recorded under become its earlier versions (see supersededBy);
+// those of anyone else go to the trash
+async function replaceDuplicates(req, policyName, { exact, overlapping }, contributorNames) {
+    const choice = req.query.onDuplicate || req.body.onDuplicate;
+    if (choice !== 'replace') return;
+    for (const { studentName, upload } of [...exact, ...overlapping]) {
+        if (contributorNames.includes(studentName)) continue;
+        // Keep the policy even when this empties it; the new upload goes right back in
+        const removal = await trash.trashUpload(policyName, u => u.storedAs === upload.storedAs,
+            { studentName, removeEmptyPolicy: false }, req.user);
+        if (!removal.found) continue;
+        await audit(req, {
+            action: 'delete-upload',
+            reason: 'replaced',
+            policyName,
+            contributor: studentName,
+            file: upload.storedAs,
+            ...annotationCounts(removal.policy, studentName, -(upload.annotationCount || 0)),
+            trashId: removal.trashEntry.id
         });
-    } else if (data.annotations && Array.isArray(data.annotations)) {
-        count = data.annotations.length;
     }
-    return count;
 }
 
-// Helper function to sanitize folder names
-function sanitizeFolderName(name) {
-    return name.replace(/[^a-zA-Z0-9\-_\s]/g, '_').replace(/\s+/g, '_');
+// Uploads a new upload by `studentName` replaces as their next version
+function supersededBy(req, { exact, overlapping }, studentName) {
+    const choice = req.query.onDuplicate || req.body.onDuplicate;
+    if (choice !== 'replace') return [];
+    return [...exact, ...overlapping].filter(d => d.studentName === studentName).map(d => d.upload);
+}
+
+// Net change in annotations when `annotationCount` replaces the superseded uploads
+function versionDelta(annotationCount, superseded) {
+    return superseded.reduce((delta, upload) => delta - (upload.annotationCount || 0), annotationCount);
+}
+
+// One part per Label Studio annotator, with the contributor it is credited
+// to. Annotations without completed_by stay with the uploader. With save,
+// mappings for annotators seen for the first time are recorded.
+async function attributeByAnnotator(req, data, save) {
+    const parts = splitByAnnotator(data);
+    const mappings = await annotators.resolve(parts.map(part => part.annotator).filter(Boolean), { save });
+    const uploader = uploaderIdentity(req);
+    return parts.map(part => {
+        const mapping = part.annotator && mappings.get(part.annotator.key);
+        return {
+            ...part,
+            identity: mapping ? { name: mapping.contributor, email: mapping.email, university: mapping.university } : uploader,
+            isNewMapping: Boolean(mapping && mapping.isNew)
+        };
+    });
+}
+
+function describeAttribution(parts) {
+    return parts.map(part => ({
+        annotator: part.annotator ? (part.annotator.email || `Label Studio user ${part.annotator.labelStudioId}`) : null,
+        contributor: part.identity.name,
+        annotations: part.annotationCount,
+        isNewMapping: part.isNewMapping
+    }));
+}
+
+// Store each part of a split upload as its own file and upload record, so
+// deleting, trashing and reconciling work per contributor as usual
+async function storeSplitUpload(req, { policyName, dir, storedAs, filename, source, parts, index, duplicates }) {
+    let isNewPolicy = false;
+    for (const [n, part] of parts.entries()) {
+        const partName = `${storedAs.replace(/\.json$/i, '')}__${n + 1}_${part.identity.name.replace(/[^a-zA-Z0-9.-]/g, '_')}.json`;
+        const partPath = path.join(dir, partName);
+        await fs.writeFile(partPath, JSON.stringify(part.tasks, null, 2));
+        const annotationCount = countAnnotations(part.tasks);
+        const superseded = supersededBy(req, duplicates, part.identity.name);
+        const result = await store.addUpload(policyName, part.identity, {
+            filename,
+            storedAs: partName,
+            relativePath: toRelativePath(partPath),
+            annotationCount,
+            source,
+            ownerId: req.user.id,
+            splitFrom: storedAs,
+            annotator: part.annotator ? part.annotator.key : null,
+            // The whole export's hash, so re-uploading it matches every part
+            contentHash: index.contentHash,
+            annotationKeys: indexUpload(part.tasks).annotationKeys
+        }, { supersedes: superseded.map(upload => upload.storedAs) });
+        isNewPolicy = isNewPolicy || result.isNewPolicy;
+        await audit(req, {
+            action: 'upload',
+            policyName,
+            contributor: part.identity.name,
+            file: partName,
+            ...annotationCounts(result.policy, part.identity.name, versionDelta(annotationCount, superseded))
+        });
+    }
+    agreementCache.schedule(policyName);
+    return { isNewPolicy };
+}
+
+// Sends 403 and returns true when the matching upload belongs to someone else
+async function rejectForeignUpload(req, res, policyName, match, studentName = null) {
+    const policy = await store.getPolicy(policyName);
+    if (!policy) return false;
+    const names = studentName ? [studentName] : Object.keys(policy.contributors);
+    for (const name of names) {
+        const contributor = policy.contributors[name];
+        const upload = contributor && contributor.uploads.find((u, index) => match(u, index, name));
+        if (upload && !canManageUpload(req.user, upload, contributor)) {
+            res.status(403).json({ error: 'You can only manage your own uploads' });
+            return true;
+        }
+    }
+    return false;
 }
 
 // API Routes
 
+// Log in with email and password; sets the session cookie
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const { email, password } = req.body || {};
+        if (!email || !password) {
+            return res.status(400).json({ error: 'Email and password are required' });
+        }
+        const user = await users.authenticate(email, password);
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid email or password' });
+        }
+        sessions.start(req, res, user);
+        res.json({ success: true, user });
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({ error: 'Failed to log in' });
+    }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+    sessions.end(req, res);
+    res.json({ success: true });
+});
+
+// Current user, or 401 when not logged in
+app.get('/api/auth/me', requireAuth, (req, res) => {
+    res.json({ user: req.user });
+});
+
+// Self-service sign-up creates student accounts; professors are added with create-user.js
+app.post('/api/auth/register', async (req, res) => {
+    try {
+        const { name, email, password, university } = req.body || {};
+        const user = await users.createUser({ name, email, password, university, role: 'student' });
+        sessions.start(req, res, user);
+        res.status(201).json({ success: true, user });
+    } catch (error) {
+        if (error.code === 'EINVALID') {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.code === 'EEXISTS') {
+            return res.status(409).json({ error: error.message });
+        }
+        console.error('Registration error:', error);
+        res.status(500).json({ error: 'Failed to create account' });
+    }
+});
+
 // Get all policies
 app.get('/api/policies', async (req, res) => {
     try {
-        const policies = await loadPolicies();
+        const policies = await store.getPolicies();
+        // A summary is only current while its inputHash matches the policy's uploads.
+        // The trend history is left out of the list; see /agreement/history. So are
+        // the annotation keys, which only the server's duplicate check reads.
+        Object.values(policies).forEach(policy => {
+            if (policy.agreement) policy.agreement.stale = !isAgreementFresh(policy);
+            delete policy.agreementHistory;
+            Object.values(policy.contributors || {}).forEach(contributor => {
+                (contributor.uploads || []).flatMap(u => [u, ...(u.history || [])])
+                    .forEach(upload => delete upload.annotationKeys);
+            });
+        });
         res.json(policies);
     } catch (error) {
         console.error('Error loading policies:', error);
@@ -122,9 +412,8 @@ app.get('/api/policies', async (req, res) => {
 // Get specific policy
 app.get('/api/policies/:policyName', async (req, res) => {
     try {
-        const policies = await loadPolicies();
         const policyName = decodeURIComponent(req.params.policyName);
-        const policy = policies[policyName];
+        const policy = await store.getPolicy(policyName);
         
         if (!policy) {
             return res.status(404).json({ error: 'Policy not found' });
@@ -137,44 +426,273 @@ app.get('/api/policies/:policyName', async (req, res) => {
     }
 });
 
-// Delete specific policies
-app.delete('/api/policies/:policyName', async (req, res) => {
-    const policyName = decodeURIComponent(req.params.policyName).trim();
-    console.log(`Delete request received for: "${policyName}"`);
+// Read the uploads of a policy (only the storedAs names in `selected`, when
+// given). Returns { uploads, sources }: a status entry for every upload and
+// the parsed data of those that could be read, ready for mergeUploadTasks.
+async function readPolicyUploads(policyName, policy, selected) {
+    const uploads = [];
+    const sources = [];
+    for (const [contributor, contributorData] of Object.entries(policy.contributors)) {
+        for (const upload of contributorData.uploads) {
+            const included = !selected || selected.has(upload.storedAs);
+            const entry = {
+                storedAs: upload.storedAs,
+                filename: upload.filename,
+                contributor,
+                uploadedAt: upload.uploadedAt,
+                annotationCount: upload.annotationCount || 0,
+                version: upload.version || 1,
+                included
+            };
+            uploads.push(entry);
+            if (!included) continue;
+            
+            const filePath = await store.locateUploadFile(policyName, upload);
+            if (!filePath) {
+                entry.included = false;
+                entry.error = 'File not found';
+                continue;
+            }
+            try {
+                const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+                sources.push({ storedAs: upload.storedAs, contributor, data });
+            } catch (parseError) {
+                entry.included = false;
+                entry.error = `Could not read file: ${parseError.message}`;
+            }
+        }
+    }
+    return { uploads, sources };
+}
 
-    if (!policyName) {
-        return res.status(400).json({ error: 'Policy name is required' });
+function selectedUploads(req) {
+    return req.query.uploads
+        ? new Set(String(req.query.uploads).split(',').map(s => s.trim()).filter(Boolean))
+        : null;
+}
+
+// Merge every contributor's uploads into combined tasks (?uploads=a.json,b.json to pick a subset)
+app.get('/api/policies/:policyName/merged', async (req, res) => {
+    try {
+        const policyName = decodeURIComponent(req.params.policyName);
+        const policy = await store.getPolicy(policyName);
+        
+        if (!policy) {
+            return res.status(404).json({ error: 'Policy not found' });
+        }
+        
+        const { uploads, sources } = await readPolicyUploads(policyName, policy, selectedUploads(req));
+        const { tasks, duplicateAnnotations } = mergeUploadTasks(sources);
+        res.json({ policyName, uploads, tasks, duplicateAnnotations });
+    } catch (error) {
+        console.error('Error merging policy uploads:', error);
+        res.status(500).json({ error: 'Failed to merge policy uploads', details: error.message });
     }
+});
 
+// Inter-annotator agreement of the merged tasks: overall, per label, per
+// annotator pair and per task (same math as the policy page; ?uploads= as above)
+app.get('/api/policies/:policyName/agreement', async (req, res) => {
     try {
-        // Step 1: Delete the physical project directory
-        const policyDir = path.join(DATA_DIR, 'projects', policyName);
-        console.log('Attempting to delete directory:', policyDir);
+        const policyName = decodeURIComponent(req.params.policyName);
+        const policy = await store.getPolicy(policyName);
         
-        try {
-            const stat = await fs.stat(policyDir);
-            if (stat.isDirectory()) {
-                await fs.rm(policyDir, { recursive: true, force: true });
-                console.log(`Successfully deleted project directory: "${policyName}"`);
-            }
-        } catch (dirError) {
-            console.log(`Project directory not found or already deleted: ${policyDir}`);
+        if (!policy) {
+            return res.status(404).json({ error: 'Policy not found' });
         }
+        
+        const { uploads, sources } = await readPolicyUploads(policyName, policy, selectedUploads(req));
+        const { tasks } = mergeUploadTasks(sources);
+        res.json({ policyName, uploads, ...summarizeAgreement(tasks) });
+    } catch (error) {
+        console.error('Error computing agreement:', error);
+        res.status(500).json({ error: 'Failed to compute agreement', details: error.message });
+    }
+});
 
-        // Step 2: Remove from policies.json metadata
-        const policies = await loadPolicies();
-        if (policies[policyName]) {
-            delete policies[policyName];
-            await savePolicies(policies);
-            console.log(`Removed "${policyName}" from policies.json`);
+// CI tuples of every merged task as ?format=csv (default) or xlsx: a
+// combined sheet plus one per annotator (?uploads= as above)
+app.get('/api/policies/:policyName/tuples', async (req, res) => {
+    try {
+        const policyName = decodeURIComponent(req.params.policyName);
+        const format = String(req.query.format || 'csv').toLowerCase();
+        if (!['csv', 'xlsx'].includes(format)) {
+            return res.status(400).json({ error: 'format must be csv or xlsx' });
+        }
+
+        const policy = await store.getPolicy(policyName);
+
+        if (!policy) {
+            return res.status(404).json({ error: 'Policy not found' });
+        }
+
+        const { sources } = await readPolicyUploads(policyName, policy, selectedUploads(req));
+        const { tasks } = mergeUploadTasks(sources);
+        const tuples = tasks.flatMap(buildConnectedRelationFlows);
+        const filename = `${sanitizeFolderName(policyName)}-tuples.${format}`;
+        res.attachment(filename);
+        if (format === 'xlsx') {
+            res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            res.send(Buffer.from(tuplesToXlsx(tuples)));
         } else {
-            console.log(`"${policyName}" not found in policies.json metadata`);
+            res.type('text/csv; charset=utf-8');
+            res.send(tuplesToCsv(tuples));
+        }
+    } catch (error) {
+        console.error('Error exporting tuples:', error);
+        res.status(500).json({ error: 'Failed to export tuples', details: error.message });
+    }
+});
+
+// CI flows of every merged task as a JSONL dataset, one record per flow
+// with its source sentences, parameter spans and agreement status (?uploads= as above)
+app.get('/api/policies/:policyName/flows', async (req, res) => {
+    try {
+        const policyName = decodeURIComponent(req.params.policyName);
+        const policy = await store.getPolicy(policyName);
+
+        if (!policy) {
+            return res.status(404).json({ error: 'Policy not found' });
+        }
+
+        const { sources } = await readPolicyUploads(policyName, policy, selectedUploads(req));
+        const { tasks } = mergeUploadTasks(sources);
+        const records = tasks.flatMap(task => flowRecords(task, policyName));
+        res.attachment(`${sanitizeFolderName(policyName)}-flows.jsonl`);
+        res.type('application/x-ndjson; charset=utf-8');
+        res.send(flowsToJsonl(records));
+    } catch (error) {
+        console.error('Error exporting flows:', error);
+        res.status(500).json({ error: 'Failed to export flows', details: error.message });
+    }
+});
+
+// Agreement snapshots recorded each time the policy's uploads changed, oldest first
+app.get('/api/policies/:policyName/agreement/history', async (req, res) => {
+    try {
+        const policyName = decodeURIComponent(req.params.policyName);
+        const policy = await store.getPolicy(policyName);
+        
+        if (!policy) {
+            return res.status(404).json({ error: 'Policy not found' });
+        }
+        
+        res.json({ policyName, history: policy.agreementHistory || [] });
+    } catch (error) {
+        console.error('Error loading agreement history:', error);
+        res.status(500).json({ error: 'Failed to load agreement history' });
+    }
+});
+
+// All versions of a current upload, oldest first
+function uploadVersions(upload) {
+    const { history = [], annotationKeys, ...current } = upload;
+    return [...history, { ...current, version: upload.version || 1 }];
+}
+
+function describeVersion(upload, current) {
+    return {
+        version: upload.version,
+        storedAs: upload.storedAs,
+        filename: upload.filename,
+        uploadedAt: upload.uploadedAt,
+        annotationCount: upload.annotationCount || 0,
+        current: upload.storedAs === current.storedAs
+    };
+}
+
+function findCurrentUpload(policy, storedAs) {
+    for (const [studentName, contributor] of Object.entries(policy.contributors)) {
+        const upload = contributor.uploads.find(u => u.storedAs === storedAs);
+        if (upload) return { studentName, upload };
+    }
+    return null;
+}
+
+// Version history of an upload (addressed by its current storedAs)
+app.get('/api/policies/:policyName/uploads/:storedAs/versions', async (req, res) => {
+    try {
+        const policyName = decodeURIComponent(req.params.policyName);
+        const policy = await store.getPolicy(policyName);
+        const found = policy && findCurrentUpload(policy, decodeURIComponent(req.params.storedAs));
+        if (!found) return res.status(404).json({ error: 'Upload not found' });
+
+        res.json({
+            policyName,
+            contributor: found.studentName,
+            versions: uploadVersions(found.upload).map(v => describeVersion(v, found.upload))
+        });
+    } catch (error) {
+        console.error('Error listing upload versions:', error);
+        res.status(500).json({ error: 'Failed to list upload versions' });
+    }
+});
+
+// Spans and relations that changed between two versions of an upload.
+// ?from=&to= are version numbers; by default the latest change.
+app.get('/api/policies/:policyName/uploads/:storedAs/diff', async (req, res) => {
+    try {
+        const policyName = decodeURIComponent(req.params.policyName);
+        const policy = await store.getPolicy(policyName);
+        const found = policy && findCurrentUpload(policy, decodeURIComponent(req.params.storedAs));
+        if (!found) return res.status(404).json({ error: 'Upload not found' });
+
+        const versions = uploadVersions(found.upload);
+        const toVersion = req.query.to ? Number(req.query.to) : versions.length;
+        const fromVersion = req.query.from ? Number(req.query.from) : toVersion - 1;
+        const from = versions.find(v => v.version === fromVersion);
+        const to = versions.find(v => v.version === toVersion);
+        if (!from || !to) {
+            return res.status(400).json({ error: `Versions must be between 1 and ${versions.length}` });
         }
 
-        // Step 3: Respond with success
+        const read = async version => {
+            const filePath = await store.locateUploadFile(policyName, version);
+            if (!filePath) throw Object.assign(new Error(`File of version ${version.version} not found`), { code: 'ENOENT' });
+            return JSON.parse(await fs.readFile(filePath, 'utf8'));
+        };
+        const diff = diffVersions(await read(from), await read(to));
+
+        res.json({
+            policyName,
+            contributor: found.studentName,
+            from: describeVersion(from, found.upload),
+            to: describeVersion(to, found.upload),
+            ...diff
+        });
+    } catch (error) {
+        if (error.code === 'ENOENT') return res.status(404).json({ error: error.message });
+        console.error('Error diffing upload versions:', error);
+        res.status(500).json({ error: 'Failed to diff upload versions' });
+    }
+});
+
+// Delete specific policies (moved to the trash; see /api/trash)
+app.delete('/api/policies/:policyName', requireRole('professor'), async (req, res) => {
+    const policyName = decodeURIComponent(req.params.policyName).trim();
+    console.log(`Delete request received for: "${policyName}"`);
+
+    if (!policyName) {
+        return res.status(400).json({ error: 'Policy name is required' });
+    }
+
+    try {
+        const removal = await trash.trashPolicy(policyName, req.user);
+        if (!removal.found) {
+            return res.status(404).json({ error: 'Policy not found' });
+        }
+        console.log(`Moved "${policyName}" to trash (${removal.trashEntry.files.length} files)`);
+        await audit(req, {
+            action: 'delete-policy',
+            policyName,
+            annotations: { before: removal.policy.totalAnnotations || 0, after: 0 },
+            trashId: removal.trashEntry.id
+        });
+
         res.json({ 
             success: true, 
-            message: `Policy "${policyName}" deleted successfully` 
+            message: `Policy "${policyName}" moved to trash`,
+            trashId: removal.trashEntry.id
         });
 
     } catch (error) {
@@ -187,81 +705,138 @@ app.delete('/api/policies/:policyName', async (req, res) => {
 });
 
 // Upload annotation file
-app.post('/api/upload', upload.single('annotationFile'), async (req, res) => {
+app.post('/api/upload', requireAuth, upload.single('annotationFile'), async (req, res) => {
   try {
     console.log('Upload request received');
     console.log('req.body:', req.body);
     console.log('req.file:', req.file);
 
-    const { studentName, studentEmail, university, policyName } = req.body;
+    const { policyName } = req.body;
 
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
-    if (!studentName || !policyName) {
-      return res.status(400).json({ error: 'Student name and policy name are required' });
+    if (!policyName) {
+      return res.status(400).json({ error: 'Policy name is required' });
     }
 
-    // Ensure hierarchical folder
-    const policyDir = path.join(DATA_DIR, 'projects', policyName);
+    // Ensure hierarchical folder. multer can only use the sanitized policy
+    // folder when policyName arrives before the file in the form, so move it there now.
+    const policyDir = path.join(DATA_DIR, 'projects', sanitizeFolderName(policyName));
     await ensureDirectoryExists(policyDir);
 
-    // Move uploaded file from /uploads to /projects/<policyName>
     const finalPath = path.join(policyDir, req.file.filename);
-    await fs.rename(req.file.path, finalPath);
+    if (path.resolve(req.file.path) !== path.resolve(finalPath)) {
+      await fs.rename(req.file.path, finalPath);
+    }
 
-    // Count annotations
+    // Validate, then count annotations
     const fileContent = await fs.readFile(finalPath, 'utf8');
-    const jsonData = JSON.parse(fileContent);
+    let jsonData;
+    try {
+      jsonData = JSON.parse(fileContent);
+    } catch (parseError) {
+      await fs.unlink(finalPath);
+      const report = jsonErrorReport(parseError);
+      return res.status(400).json({ error: describeReport(report), report });
+    }
 
     if (Array.isArray(jsonData)) {
         jsonData.forEach(task => addGlobalOffsets(task));
     } else {
         addGlobalOffsets(jsonData);
     }
+    const report = validateExport(jsonData, { checkGlobalOffsets: true });
     const annotationCount = countAnnotations(jsonData);
-    await fs.writeFile(finalPath, JSON.stringify(jsonData, null, 2))
-    // Update policies.json
-    const policies = await loadPolicies();
-    const isNewPolicy = !policies[policyName];
-    if (isNewPolicy) {
-      policies[policyName] = {
-        createdAt: new Date().toISOString(),
-        contributors: {},
-        totalAnnotations: 0
-      };
-    }
-    if (!policies[policyName].contributors[studentName]) {
-      policies[policyName].contributors[studentName] = {
-        uploads: [],
-        email: studentEmail || '',
-        university: university || '',
-        totalAnnotations: 0
-      };
-    }
-
-    // Add upload record
-    policies[policyName].contributors[studentName].uploads.push({
-      filename: req.file.originalname,
-      storedAs: req.file.filename,
-      filePath: finalPath,
-      annotationCount,
-      uploadedAt: new Date().toISOString(),
-      source: 'upload'
-    });
+    const index = indexUpload(jsonData);
+    const duplicates = findDuplicates(await store.getPolicy(policyName), index);
 
-    policies[policyName].contributors[studentName].totalAnnotations += annotationCount;
-    policies[policyName].totalAnnotations += annotationCount;
-    policies[policyName].lastUpdated = new Date().toISOString();
+    const split = optionEnabled(req, 'splitByAnnotator');
+    if (optionEnabled(req, 'dryRun') || !report.valid) {
+      // Nothing is kept from a dry run or a rejected export
+      await fs.unlink(finalPath);
+      if (optionEnabled(req, 'dryRun')) {
+        const attribution = split ? describeAttribution(await attributeByAnnotator(req, jsonData, false)) : null;
+        return res.json({
+          dryRun: true,
+          policyName,
+          filename: req.file.originalname,
+          annotationCount,
+          report,
+          attribution,
+          duplicates: describeDuplicates(req, duplicates)
+        });
+      }
+      return res.status(422).json({ error: `Export failed validation: ${describeReport(report)}`, report });
+    }
 
-    await savePolicies(policies);
+    const conflict = duplicateConflict(req, duplicates);
+    if (conflict) {
+      await fs.unlink(finalPath);
+      return res.status(conflict.status).json(conflict.body);
+    }
+
+    if (split) {
+      // The per-annotator files replace the combined one
+      await fs.unlink(finalPath);
+      const parts = await attributeByAnnotator(req, jsonData, true);
+      await replaceDuplicates(req, policyName, duplicates, parts.map(part => part.identity.name));
+      const { isNewPolicy } = await storeSplitUpload(req, {
+        policyName,
+        dir: policyDir,
+        storedAs: req.file.filename,
+        filename: req.file.originalname,
+        source: 'upload',
+        parts,
+        index,
+        duplicates
+      });
+      return res.json({
+        success: true,
+        message: `File split into ${parts.length} contributor upload(s)`,
+        isNewPolicy,
+        annotationCount,
+        policyName,
+        report,
+        attribution: describeAttribution(parts)
+      });
+    }
+    await fs.writeFile(finalPath, JSON.stringify(jsonData, null, 2))
+
+    // Record the upload in the metadata store
+    const identity = uploaderIdentity(req);
+    await replaceDuplicates(req, policyName, duplicates, [identity.name]);
+    const superseded = supersededBy(req, duplicates, identity.name);
+    const { isNewPolicy, policy } = await store.addUpload(
+      policyName,
+      identity,
+      {
+        filename: req.file.originalname,
+        storedAs: req.file.filename,
+        relativePath: toRelativePath(finalPath),
+        annotationCount,
+        source: 'upload',
+        ownerId: req.user.id,
+        ...index
+      },
+      { supersedes: superseded.map(upload => upload.storedAs) }
+    );
+    await audit(req, {
+      action: 'upload',
+      policyName,
+      contributor: identity.name,
+      file: req.file.filename,
+      ...annotationCounts(policy, identity.name, versionDelta(annotationCount, superseded))
+    });
+    agreementCache.schedule(policyName);
 
     res.json({
       success: true,
       message: 'File uploaded successfully',
       isNewPolicy,
       annotationCount,
-      policyName
+      policyName,
+      report
     });
   } catch (err) {
     console.error('Upload error:', err);
@@ -270,19 +845,19 @@ app.post('/api/upload', upload.single('annotationFile'), async (req, res) => {
 });
 
 // Upload annotation data via JSON paste
-app.post('/api/upload-json', async (req, res) => {
+app.post('/api/upload-json', requireAuth, async (req, res) => {
     try {
-        const { studentName, studentEmail, university, policyName, jsonData } = req.body;
+        const { policyName, jsonData } = req.body;
         
-        if (!studentName || !policyName || !jsonData) {
-            return res.status(400).json({ error: 'Student name, policy name, and JSON data are required' });
+        if (!policyName || !jsonData) {
+            return res.status(400).json({ error: 'Policy name and JSON data are required' });
         }
 
         let annotationData;
         try {
             annotationData = typeof jsonData === 'string' ? JSON.parse(jsonData) : jsonData;
         } catch (parseError) {
-            return res.status(400).json({ error: 'Invalid JSON data' });
+            return res.status(400).json({ error: 'Invalid JSON data', report: jsonErrorReport(parseError) });
         }
         if (Array.isArray(annotationData)) {
             annotationData.forEach(task => addGlobalOffsets(task));
@@ -290,30 +865,28 @@ app.post('/api/upload-json', async (req, res) => {
             addGlobalOffsets(annotationData);
         }
 
+        const report = validateExport(annotationData, { checkGlobalOffsets: true });
         const annotationCount = countAnnotations(annotationData);
-        
-        // Load existing policies
-        const policies = await loadPolicies();
-        const isNewPolicy = !policies[policyName];
-        
-        // Initialize policy if it doesn't exist
-        if (!policies[policyName]) {
-            policies[policyName] = {
-                createdAt: new Date().toISOString(),
-                contributors: {},
-                totalAnnotations: 0
-            };
+        const index = indexUpload(annotationData);
+        const duplicates = findDuplicates(await store.getPolicy(policyName), index);
+        const split = optionEnabled(req, 'splitByAnnotator');
+        if (optionEnabled(req, 'dryRun')) {
+            const attribution = split ? describeAttribution(await attributeByAnnotator(req, annotationData, false)) : null;
+            return res.json({
+                dryRun: true,
+                policyName,
+                filename: 'Pasted JSON Data',
+                annotationCount,
+                report,
+                attribution,
+                duplicates: describeDuplicates(req, duplicates)
+            });
         }
-        
-        // Initialize contributor if they don't exist
-        if (!policies[policyName].contributors[studentName]) {
-            policies[policyName].contributors[studentName] = {
-                uploads: [],
-                email: studentEmail || '',
-                university: university || '',
-                totalAnnotations: 0
-            };
+        if (!report.valid) {
+            return res.status(422).json({ error: `Export failed validation: ${describeReport(report)}`, report });
         }
+        const conflict = duplicateConflict(req, duplicates);
+        if (conflict) return res.status(conflict.status).json(conflict.body);
         
         // Save the JSON data to a file
         const timestamp = Date.now();
@@ -321,25 +894,59 @@ app.post('/api/upload-json', async (req, res) => {
         const filepath = path.join(UPLOADS_DIR, filename);
         
         await ensureDirectoryExists(UPLOADS_DIR);
+
+        if (split) {
+            const parts = await attributeByAnnotator(req, annotationData, true);
+            await replaceDuplicates(req, policyName, duplicates, parts.map(part => part.identity.name));
+            const { isNewPolicy } = await storeSplitUpload(req, {
+                policyName,
+                dir: UPLOADS_DIR,
+                storedAs: filename,
+                filename: 'Pasted JSON Data',
+                source: 'paste',
+                parts,
+                index,
+                duplicates
+            });
+            return res.json({
+                success: true,
+                message: `JSON data split into ${parts.length} contributor upload(s)`,
+                isNewPolicy,
+                annotationCount,
+                policyName,
+                filename: 'Pasted JSON Data',
+                report,
+                attribution: describeAttribution(parts)
+            });
+        }
         await fs.writeFile(filepath, JSON.stringify(annotationData, null, 2));
         
         // Add the upload record
-        policies[policyName].contributors[studentName].uploads.push({
-            filename: 'Pasted JSON Data',
-            storedAs: filename,
-            annotationCount: annotationCount,
-            uploadedAt: new Date().toISOString(),
-            filePath: filepath,
-            source: 'paste'
+        const identity = uploaderIdentity(req);
+        await replaceDuplicates(req, policyName, duplicates, [identity.name]);
+        const superseded = supersededBy(req, duplicates, identity.name);
+        const { isNewPolicy, policy } = await store.addUpload(
+            policyName,
+            identity,
+            {
+                filename: 'Pasted JSON Data',
+                storedAs: filename,
+                relativePath: toRelativePath(filepath),
+                annotationCount: annotationCount,
+                source: 'paste',
+                ownerId: req.user.id,
+                ...index
+            },
+            { supersedes: superseded.map(upload => upload.storedAs) }
+        );
+        await audit(req, {
+            action: 'upload',
+            policyName,
+            contributor: identity.name,
+            file: filename,
+            ...annotationCounts(policy, identity.name, versionDelta(annotationCount, superseded))
         });
-        
-        // Update totals
-        policies[policyName].contributors[studentName].totalAnnotations += annotationCount;
-        policies[policyName].totalAnnotations += annotationCount;
-        policies[policyName].lastUpdated = new Date().toISOString();
-        
-        // Save updated policies
-        await savePolicies(policies);
+        agreementCache.schedule(policyName);
         
         res.json({
             success: true,
@@ -347,7 +954,8 @@ app.post('/api/upload-json', async (req, res) => {
             isNewPolicy,
             annotationCount,
             policyName,
-            filename: 'Pasted JSON Data'
+            filename: 'Pasted JSON Data',
+            report
         });
         
     } catch (error) {
@@ -356,14 +964,117 @@ app.post('/api/upload-json', async (req, res) => {
     }
 });
 
+// Adjudicated gold annotations are stored as uploads of this contributor,
+// one per task; saving a task again makes the earlier one its previous version
+const GOLD_CONTRIBUTOR = 'Gold Standard';
+
+// Save the reviewer's adjudication of a task as a gold annotation
+// (ground_truth: true). Body: { taskId, result, adjudicatedFrom }, where
+// result holds Label Studio label and relation results for the task's text.
+app.post('/api/policies/:policyName/gold', requireRole('professor'), async (req, res) => {
+    try {
+        const policyName = decodeURIComponent(req.params.policyName);
+        const { taskId, result, adjudicatedFrom = [] } = req.body || {};
+        if (taskId === undefined || taskId === null || !Array.isArray(result)) {
+            return res.status(400).json({ error: 'taskId and a result array are required' });
+        }
+        if (!Array.isArray(adjudicatedFrom)) {
+            return res.status(400).json({ error: 'adjudicatedFrom must be an array of annotators' });
+        }
+
+        const policy = await store.getPolicy(policyName);
+
+        if (!policy) {
+            return res.status(404).json({ error: 'Policy not found' });
+        }
+
+        // The task text comes from the stored uploads, not from the client
+        const { tasks } = mergeUploadTasks((await readPolicyUploads(policyName, policy)).sources);
+        const task = tasks.find(t => String(t.id) === String(taskId));
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found in this policy' });
+        }
+
+        const now = new Date().toISOString();
+        const { annotations, mergedFrom, flatText, total_annotations, ...taskFields } = task;
+        const goldData = [{
+            ...taskFields,
+            annotations: [{
+                id: `gold-${Date.now()}`,
+                unique_id: crypto.randomUUID(),
+                completed_by: { email: req.user.email, first_name: req.user.name, last_name: '' },
+                ground_truth: true,
+                was_cancelled: false,
+                result,
+                created_at: now,
+                updated_at: now,
+                adjudication: {
+                    by: req.user.email,
+                    from: adjudicatedFrom.map(String),
+                    at: now
+                }
+            }]
+        }];
+        goldData.forEach(t => addGlobalOffsets(t));
+
+        const report = validateExport(goldData, { checkGlobalOffsets: true });
+        if (!report.valid) {
+            return res.status(422).json({ error: `Gold annotation failed validation: ${describeReport(report)}`, report });
+        }
+
+        const dir = path.join(DATA_DIR, 'projects', sanitizeFolderName(policyName));
+        await ensureDirectoryExists(dir);
+        const storedAs = `${Date.now()}_gold_task_${String(taskId).replace(/[^a-zA-Z0-9.-]/g, '_')}.json`;
+        const filePath = path.join(dir, storedAs);
+        await fs.writeFile(filePath, JSON.stringify(goldData, null, 2));
+
+        const goldUploads = ((policy.contributors[GOLD_CONTRIBUTOR] || {}).uploads || [])
+            .filter(upload => String(upload.goldTaskId) === String(task.id));
+        const identity = { name: GOLD_CONTRIBUTOR, email: req.user.email, university: req.user.university || '' };
+        const { policy: updated } = await store.addUpload(policyName, identity, {
+            filename: `Gold standard (task ${task.id})`,
+            storedAs,
+            relativePath: toRelativePath(filePath),
+            annotationCount: 1,
+            source: 'adjudication',
+            ownerId: req.user.id,
+            groundTruth: true,
+            goldTaskId: task.id,
+            ...indexUpload(goldData)
+        }, { supersedes: goldUploads.map(upload => upload.storedAs) });
+        await audit(req, {
+            action: 'adjudicate',
+            policyName,
+            contributor: GOLD_CONTRIBUTOR,
+            file: storedAs,
+            taskId: task.id,
+            ...annotationCounts(updated, GOLD_CONTRIBUTOR, versionDelta(1, goldUploads))
+        });
+        agreementCache.schedule(policyName);
+
+        res.json({
+            success: true,
+            policyName,
+            taskId: task.id,
+            storedAs,
+            labels: report.summary.labels,
+            relations: report.summary.relations,
+            replaced: goldUploads.length,
+            report
+        });
+    } catch (error) {
+        console.error('Error saving gold annotation:', error);
+        res.status(500).json({ error: 'Failed to save gold annotation', details: error.message });
+    }
+});
+
 // Get policy files
 app.get('/api/policies/:policyName/files', async (req, res) => {
     try {
         const policyName = decodeURIComponent(req.params.policyName);
         console.log(`Loading files for policy: ${policyName}`);
         
-        const policies = await loadPolicies();
-        const policy = policies[policyName];
+        const policy = await store.getPolicy(policyName);
         
         if (!policy) {
             console.log(`Policy not found: ${policyName}`);
@@ -435,93 +1146,50 @@ app.get('/api/policies/:policyName/files', async (req, res) => {
 });
 
 // Delete specific file from a policy
-app.delete('/api/policies/:policyName/files/:fileName', async (req, res) => {
+app.delete('/api/policies/:policyName/files/:fileName', requireAuth, async (req, res) => {
     try {
         const policyName = decodeURIComponent(req.params.policyName);
         const fileName = decodeURIComponent(req.params.fileName);
         
         console.log(`Deleting file ${fileName} from policy ${policyName}`);
         
-        const policies = await loadPolicies();
-        const policy = policies[policyName];
-        
-        if (!policy) {
-            return res.status(404).json({ error: 'Policy not found' });
-        }
+        const matchFile = upload => upload.storedAs === fileName;
+        if (await rejectForeignUpload(req, res, policyName, matchFile)) return;
         
-        // Find the file in the policy data and remove it
-        let fileFound = false;
-        let studentToUpdate = null;
-        let uploadIndex = -1;
+        // Move the upload and its file to the trash
+        const removal = await trash.trashUpload(policyName, matchFile, {}, req.user);
         
-        for (const [studentName, contributor] of Object.entries(policy.contributors)) {
-            const uploadIdx = contributor.uploads.findIndex(upload => upload.storedAs === fileName);
-            if (uploadIdx !== -1) {
-                fileFound = true;
-                studentToUpdate = studentName;
-                uploadIndex = uploadIdx;
-                break;
+        if (!removal.found) {
+            if (removal.reason === 'policy') {
+                return res.status(404).json({ error: 'Policy not found' });
             }
-        }
-        
-        if (!fileFound) {
             return res.status(404).json({ error: 'File not found in policy data' });
         }
         
-        const upload = policy.contributors[studentToUpdate].uploads[uploadIndex];
-        
-        // Try to delete the actual file
-        const oldFilePath = path.join(DATA_DIR, 'uploads', fileName);
-        const newFilePath = path.join(DATA_DIR, 'projects', sanitizeFolderName(policyName), fileName);
-        
-        let fileDeleted = false;
-        
-        // Try old structure first
-        try {
-            await fs.unlink(oldFilePath);
-            fileDeleted = true;
-            console.log(`Deleted file from old structure: ${oldFilePath}`);
-        } catch (oldError) {
-            // Try new structure
-            try {
-                await fs.unlink(newFilePath);
-                fileDeleted = true;
-                console.log(`Deleted file from new structure: ${newFilePath}`);
-            } catch (newError) {
-                console.warn(`Could not delete physical file: ${fileName}`);
-                // Continue anyway to clean up the database record
-            }
-        }
-        
-        // Update the policy data
-        const annotationCount = upload.annotationCount || 0;
-        
-        // Remove the upload from contributor
-        policy.contributors[studentToUpdate].uploads.splice(uploadIndex, 1);
-        policy.contributors[studentToUpdate].totalAnnotations -= annotationCount;
-        
-        // Update policy totals
-        policy.totalAnnotations -= annotationCount;
-        policy.lastUpdated = new Date().toISOString();
+        const { upload, studentName, policy, policyRemoved, trashEntry } = removal;
+        await audit(req, {
+            action: 'delete-upload',
+            policyName,
+            contributor: studentName,
+            file: fileName,
+            ...annotationCounts(policy, studentName, -(upload.annotationCount || 0)),
+            trashId: trashEntry.id
+        });
+        agreementCache.schedule(policyName);
         
-        // If contributor has no more uploads, remove them
-        if (policy.contributors[studentToUpdate].uploads.length === 0) {
-            delete policy.contributors[studentToUpdate];
+        if (trashEntry.files.length === 0) {
+            console.warn(`Could not find physical file: ${fileName}`);
         }
         
-        // If no contributors left, we could optionally delete the entire policy
-        if (Object.keys(policy.contributors).length === 0) {
-            delete policies[policyName];
+        if (policyRemoved) {
             console.log(`Policy ${policyName} removed as it has no contributors`);
         }
         
-        // Save updated policies
-        await savePolicies(policies);
-        
         res.json({ 
             success: true, 
-            message: `File ${fileName} deleted successfully`,
-            fileDeleted: fileDeleted,
+            message: `File ${fileName} moved to trash`,
+            fileDeleted: trashEntry.files.length > 0,
+            trashId: trashEntry.id,
             totalAnnotations: policy.totalAnnotations || 0,
             remainingContributors: Object.keys(policy.contributors || {}).length
         });
@@ -533,7 +1201,7 @@ app.delete('/api/policies/:policyName/files/:fileName', async (req, res) => {
 });
 
 // Delete individual file from a specific contributor (hierarchical structure)
-app.delete('/api/policies/:policyName/contributors/:contributor/files/:fileName', async (req, res) => {
+app.delete('/api/policies/:policyName/contributors/:contributor/files/:fileName', requireAuth, async (req, res) => {
     try {
         const policyName = decodeURIComponent(req.params.policyName);
         const contributor = decodeURIComponent(req.params.contributor);
@@ -541,83 +1209,45 @@ app.delete('/api/policies/:policyName/contributors/:contributor/files/:fileName'
         
         console.log(`Deleting file ${fileName} from contributor ${contributor} in policy ${policyName}`);
         
-        const policies = await loadPolicies();
-        const policy = policies[policyName];
-        
-        if (!policy) {
-            return res.status(404).json({ error: 'Policy not found' });
-        }
-        
-        if (!policy.contributors[contributor]) {
-            return res.status(404).json({ error: 'Contributor not found' });
-        }
+        const matchFile = upload => upload.storedAs === fileName;
+        if (await rejectForeignUpload(req, res, policyName, matchFile, contributor)) return;
         
-        // Find the upload to delete
-        const uploads = policy.contributors[contributor].uploads;
-        const uploadIndex = uploads.findIndex(upload => upload.storedAs === fileName);
+        // Move the upload and its file to the trash
+        const removal = await trash.trashUpload(policyName, matchFile, { studentName: contributor }, req.user);
         
-        if (uploadIndex === -1) {
-            return res.status(404).json({ error: 'File not found' });
+        if (!removal.found) {
+            const errors = { policy: 'Policy not found', contributor: 'Contributor not found', upload: 'File not found' };
+            return res.status(404).json({ error: errors[removal.reason] });
         }
         
-        const upload = uploads[uploadIndex];
-        const annotationCount = upload.annotationCount || 0;
-        
-        // Try to delete the physical file from multiple possible locations
-        const possiblePaths = [
-            path.join(DATA_DIR, 'projects', sanitizeFolderName(policyName), fileName),
-            path.join(DATA_DIR, 'uploads', fileName),
-            upload.filePath // Original path if stored
-        ];
-        
-        let fileDeleted = false;
-        for (const filePath of possiblePaths) {
-            if (filePath) {
-                try {
-                    await fs.unlink(filePath);
-                    fileDeleted = true;
-                    console.log(`Successfully deleted file: ${filePath}`);
-                    break;
-                } catch (error) {
-                    // Continue to next path
-                }
-            }
-        }
+        const { upload, policy, remainingUploads, policyRemoved, trashEntry } = removal;
+        await audit(req, {
+            action: 'delete-upload',
+            policyName,
+            contributor,
+            file: fileName,
+            ...annotationCounts(policy, contributor, -(upload.annotationCount || 0)),
+            trashId: trashEntry.id
+        });
+        agreementCache.schedule(policyName);
         
-        if (!fileDeleted) {
-            console.warn(`Could not delete physical file: ${fileName}`);
+        if (trashEntry.files.length === 0) {
+            console.warn(`Could not find physical file: ${fileName}`);
         }
         
-        // Remove the upload from contributor
-        uploads.splice(uploadIndex, 1);
-        
-        // Update contributor totals
-        policy.contributors[contributor].totalAnnotations -= annotationCount;
-        
-        // Update policy totals
-        policy.totalAnnotations -= annotationCount;
-        policy.lastUpdated = new Date().toISOString();
-        
-        // If contributor has no more uploads, remove them
-        if (uploads.length === 0) {
-            delete policy.contributors[contributor];
+        if (remainingUploads === 0) {
             console.log(`Removed contributor ${contributor} (no files remaining)`);
         }
-        
-        // If no contributors left, remove the policy
-        if (Object.keys(policy.contributors).length === 0) {
-            delete policies[policyName];
+        if (policyRemoved) {
             console.log(`Removed policy ${policyName} (no contributors remaining)`);
         }
         
-        // Save updated policies
-        await savePolicies(policies);
-        
         res.json({
             success: true,
-            message: `File deleted successfully`,
-            fileDeleted: fileDeleted,
-            remainingFiles: uploads.length,
+            message: `File moved to trash`,
+            fileDeleted: trashEntry.files.length > 0,
+            trashId: trashEntry.id,
+            remainingFiles: remainingUploads,
             remainingContributors: Object.keys(policy.contributors || {}).length
         });
         
@@ -639,8 +1269,7 @@ app.get('/api/policies/:policyName/contributors/:contributor/files/:fileName/dow
         
         console.log(`Download request: ${fileName} from ${contributor} in ${policyName}`);
         
-        const policies = await loadPolicies();
-        const policy = policies[policyName];
+        const policy = await store.getPolicy(policyName);
         
         if (!policy) {
             return res.status(404).json({ error: 'Policy not found' });
@@ -661,9 +1290,9 @@ app.get('/api/policies/:policyName/contributors/:contributor/files/:fileName/dow
         
         // Try to find the physical file in multiple locations
         const possiblePaths = [
+            store.resolveUploadPath(upload),
             path.join(DATA_DIR, 'projects', sanitizeFolderName(policyName), fileName),
-            path.join(DATA_DIR, 'uploads', fileName),
-            upload.filePath // Original path if stored
+            path.join(DATA_DIR, 'uploads', fileName)
         ];
         
         let actualFilePath = null;
@@ -708,8 +1337,7 @@ app.get('/api/policies/:policyName/contributors/:contributor/files/:fileName/dow
 app.get('/api/policies/:policyName/file-stats', async (req, res) => {
     try {
         const policyName = decodeURIComponent(req.params.policyName);
-        const policies = await loadPolicies();
-        const policy = policies[policyName];
+        const policy = await store.getPolicy(policyName);
         
         if (!policy) {
             return res.status(404).json({ error: 'Policy not found' });
@@ -748,53 +1376,35 @@ app.get('/api/policies/:policyName/file-stats', async (req, res) => {
 });
 
 // Delete specific contributor from a policy
-app.delete('/api/policies/:policyName/contributors/:studentName', async (req, res) => {
+app.delete('/api/policies/:policyName/contributors/:studentName', requireRole('professor'), async (req, res) => {
     try {
         const policyName = decodeURIComponent(req.params.policyName);
         const studentName = decodeURIComponent(req.params.studentName);
         
-        const policies = await loadPolicies();
-        const policy = policies[policyName];
+        // Move the contributor and their uploaded files to the trash
+        const removal = await trash.trashContributor(policyName, studentName, req.user);
         
-        if (!policy) {
-            return res.status(404).json({ error: 'Policy not found' });
-        }
-        
-        if (!policy.contributors[studentName]) {
-            return res.status(404).json({ error: 'Student not found in this policy' });
-        }
-        
-        // Clean up uploaded files for this contributor
-        const contributor = policy.contributors[studentName];
-        for (const upload of contributor.uploads) {
-            if (upload.filePath) {
-                try {
-                    await fs.unlink(upload.filePath);
-                } catch (error) {
-                    console.warn(`Could not delete file: ${upload.filePath}`);
-                }
+        if (!removal.found) {
+            if (removal.reason === 'policy') {
+                return res.status(404).json({ error: 'Policy not found' });
             }
+            return res.status(404).json({ error: 'Student not found in this policy' });
         }
         
-        // Subtract the contributor's annotations from the total
-        policy.totalAnnotations -= contributor.totalAnnotations;
-        
-        // Remove contributor from policy
-        delete policy.contributors[studentName];
-        
-        // Update policy timestamp
-        policy.lastUpdated = new Date().toISOString();
-        
-        // If no contributors left, we could optionally delete the policy
-        if (Object.keys(policy.contributors).length === 0) {
-            policy.totalAnnotations = 0;
-        }
-        
-        await savePolicies(policies);
+        const { contributor, policy, trashEntry } = removal;
+        await audit(req, {
+            action: 'delete-contributor',
+            policyName,
+            contributor: studentName,
+            ...annotationCounts(policy, studentName, -(contributor.totalAnnotations || 0)),
+            trashId: trashEntry.id
+        });
+        agreementCache.schedule(policyName);
         
         res.json({ 
             success: true, 
             message: `Student ${studentName} removed from policy ${policyName}`,
+            trashId: trashEntry.id,
             remainingContributors: Object.keys(policy.contributors).length,
             totalAnnotations: policy.totalAnnotations
         });
@@ -806,60 +1416,44 @@ app.delete('/api/policies/:policyName/contributors/:studentName', async (req, re
 });
 
 // Delete specific upload from a contributor
-app.delete('/api/policies/:policyName/contributors/:studentName/uploads/:uploadIndex', async (req, res) => {
+app.delete('/api/policies/:policyName/contributors/:studentName/uploads/:uploadIndex', requireAuth, async (req, res) => {
     try {
         const policyName = decodeURIComponent(req.params.policyName);
         const studentName = decodeURIComponent(req.params.studentName);
         const uploadIndex = parseInt(req.params.uploadIndex);
         
-        const policies = await loadPolicies();
-        const policy = policies[policyName];
-        
-        if (!policy) {
-            return res.status(404).json({ error: 'Policy not found' });
-        }
+        const matchIndex = (upload, index) => index === uploadIndex;
+        if (await rejectForeignUpload(req, res, policyName, matchIndex, studentName)) return;
         
-        if (!policy.contributors[studentName]) {
-            return res.status(404).json({ error: 'Student not found in this policy' });
-        }
-        
-        const contributor = policy.contributors[studentName];
-        
-        if (uploadIndex < 0 || uploadIndex >= contributor.uploads.length) {
-            return res.status(404).json({ error: 'Upload not found' });
-        }
-        
-        const upload = contributor.uploads[uploadIndex];
-        
-        // Clean up the file
-        if (upload.filePath) {
-            try {
-                await fs.unlink(upload.filePath);
-            } catch (error) {
-                console.warn(`Could not delete file: ${upload.filePath}`);
-            }
-        }
-        
-        // Update totals
-        contributor.totalAnnotations -= upload.annotationCount;
-        policy.totalAnnotations -= upload.annotationCount;
-        
-        // Remove the upload
-        contributor.uploads.splice(uploadIndex, 1);
+        // Move the upload to the trash; the contributor goes too once it has none left
+        const removal = await trash.trashUpload(
+            policyName,
+            matchIndex,
+            { studentName, removeEmptyPolicy: false },
+            req.user
+        );
         
-        // If no uploads left for this contributor, remove them
-        if (contributor.uploads.length === 0) {
-            delete policy.contributors[studentName];
+        if (!removal.found) {
+            const errors = { policy: 'Policy not found', contributor: 'Student not found in this policy', upload: 'Upload not found' };
+            return res.status(404).json({ error: errors[removal.reason] });
         }
         
-        policy.lastUpdated = new Date().toISOString();
-        
-        await savePolicies(policies);
+        const { upload, policy, remainingUploads, trashEntry } = removal;
+        await audit(req, {
+            action: 'delete-upload',
+            policyName,
+            contributor: studentName,
+            file: upload.storedAs,
+            ...annotationCounts(policy, studentName, -(upload.annotationCount || 0)),
+            trashId: trashEntry.id
+        });
+        agreementCache.schedule(policyName);
         
         res.json({ 
             success: true, 
-            message: `Upload removed successfully`,
-            remainingUploads: contributor.uploads?.length || 0,
+            message: `Upload moved to trash`,
+            trashId: trashEntry.id,
+            remainingUploads,
             totalAnnotations: policy.totalAnnotations
         });
         
@@ -870,16 +1464,37 @@ app.delete('/api/policies/:policyName/contributors/:studentName/uploads/:uploadI
 });
 
 // Get specific policy file content
-app.get('/api/policy-file/:policyName/:fileName', async (req, res) => {
+app.get('/api/policy-file/:policyName/:fileName', requireAuth, async (req, res) => {
   try {
-    const { policyName, fileName } = req.params;
+    const policyName = decodeURIComponent(req.params.policyName);
+    const fileName = decodeURIComponent(req.params.fileName);
 
-    // This corrected line now points to the correct directory structure
-    const policyDir = path.join(DATA_DIR, 'projects', decodeURIComponent(policyName));
+    // Prefer the location recorded for the upload, then the sanitized and raw
+    // policy folders; names like ../.. must not reach users.json or store.json
+    const policy = await store.getPolicy(policyName);
+    const upload = policy && Object.values(policy.contributors)
+      .flatMap(contributor => contributor.uploads)
+      .find(u => u.storedAs === fileName);
+    const possiblePaths = [
+      upload && store.resolveUploadPath(upload),
+      path.join(DATA_DIR, 'projects', sanitizeFolderName(policyName), fileName),
+      path.join(DATA_DIR, 'projects', policyName, fileName)
+    ].filter(candidate => candidate && isUploadFilePath(candidate));
 
-    const filePath = path.join(policyDir, decodeURIComponent(fileName));
-    await fs.access(filePath); // Check if file exists before sending
-    res.sendFile(filePath);
+    let filePath = null;
+    for (const candidate of possiblePaths) {
+      try {
+        if (!(await fs.stat(candidate)).isFile()) continue;
+        filePath = candidate;
+        break;
+      } catch (error) {
+        // Continue to next path
+      }
+    }
+    if (!filePath) {
+      return res.status(404).json({ error: 'Annotation file not found in the specified path.' });
+    }
+    res.sendFile(path.resolve(filePath));
 
   } catch (error) {
     console.error(`Error fetching specific policy file: ${error.message}`);
@@ -891,30 +1506,203 @@ app.get('/api/policy-file/:policyName/:fileName', async (req, res) => {
   }
 });
 
-// Get project statistics
-app.get('/api/stats', async (req, res) => {
+// Trash: students see and restore what they deleted themselves, professors see everything
+function canAccessTrashEntry(user, entry) {
+    return user.role === 'professor' || (entry.deletedBy && entry.deletedBy.id === user.id);
+}
+
+app.get('/api/trash', requireAuth, async (req, res) => {
     try {
-        const policies = await loadPolicies();
-        const policyNames = Object.keys(policies);
-        
-        let totalContributors = new Set();
-        let totalAnnotations = 0;
+        const entries = (await trash.list()).filter(entry => canAccessTrashEntry(req.user, entry));
+        res.json({ retentionDays: trash.retentionDays, entries });
+    } catch (error) {
+        console.error('Error listing trash:', error);
+        res.status(500).json({ error: 'Failed to list trash' });
+    }
+});
+
+app.post('/api/trash/:id/restore', requireAuth, async (req, res) => {
+    try {
+        const id = decodeURIComponent(req.params.id);
+        const entry = (await store.getTrash()).find(e => e.id === id);
+        if (!entry) {
+            return res.status(404).json({ error: 'Trash entry not found' });
+        }
+        if (!canAccessTrashEntry(req.user, entry)) {
+            return res.status(403).json({ error: 'You can only restore items you deleted' });
+        }
         
-        policyNames.forEach(policyName => {
-            const policy = policies[policyName];
-            Object.keys(policy.contributors).forEach(contributor => {
-                totalContributors.add(contributor);
-            });
-            totalAnnotations += policy.totalAnnotations || 0;
+        const before = await store.getPolicy(entry.policyName);
+        const { entry: restored, policy } = await trash.restore(id);
+        console.log(`Restored ${restored.type} "${restored.policyName}" from trash`);
+        const contributorTotal = p => (p && restored.studentName && p.contributors[restored.studentName]
+            ? p.contributors[restored.studentName].totalAnnotations || 0
+            : 0);
+        await audit(req, {
+            action: 'restore',
+            policyName: restored.policyName,
+            contributor: restored.studentName,
+            file: restored.type === 'upload' ? restored.record.upload.storedAs : null,
+            annotations: { before: (before && before.totalAnnotations) || 0, after: policy.totalAnnotations || 0 },
+            contributorAnnotations: { before: contributorTotal(before), after: contributorTotal(policy) },
+            trashId: id
         });
-        
-        const stats = {
-            totalPolicies: policyNames.length,
-            totalContributors: totalContributors.size,
-            totalAnnotations: totalAnnotations,
-            avgAnnotationsPerPolicy: policyNames.length > 0 ? Math.round(totalAnnotations / policyNames.length) : 0
-        };
-        
+        agreementCache.schedule(restored.policyName);
+        res.json({ success: true, message: `Restored ${restored.type} from trash`, entry: restored });
+    } catch (error) {
+        if (error.code === 'ENOTFOUND') {
+            return res.status(404).json({ error: error.message });
+        }
+        if (error.code === 'ECONFLICT') {
+            return res.status(409).json({ error: error.message });
+        }
+        console.error('Error restoring from trash:', error);
+        res.status(500).json({ error: 'Failed to restore from trash', details: error.message });
+    }
+});
+
+function purgeEvent(entry) {
+    return {
+        action: 'purge',
+        policyName: entry.policyName,
+        contributor: entry.studentName,
+        file: entry.type === 'upload' ? entry.record.upload.storedAs : null,
+        trashId: entry.id
+    };
+}
+
+async function auditPurged(req, entries) {
+    for (const entry of entries) {
+        await audit(req, purgeEvent(entry));
+    }
+}
+
+// Permanently delete one entry
+app.delete('/api/trash/:id', requireRole('professor'), async (req, res) => {
+    try {
+        const purged = await trash.purge(decodeURIComponent(req.params.id));
+        if (!purged.length) {
+            return res.status(404).json({ error: 'Trash entry not found' });
+        }
+        await auditPurged(req, purged);
+        res.json({ success: true, purged: purged.length });
+    } catch (error) {
+        console.error('Error purging trash entry:', error);
+        res.status(500).json({ error: 'Failed to purge trash entry' });
+    }
+});
+
+// Purge expired entries, or everything with { all: true }
+app.post('/api/trash/purge', requireRole('professor'), async (req, res) => {
+    try {
+        const purged = req.body && req.body.all ? await trash.purgeAll() : await trash.purgeExpired();
+        await auditPurged(req, purged);
+        res.json({ success: true, purged: purged.length });
+    } catch (error) {
+        console.error('Error purging trash:', error);
+        res.status(500).json({ error: 'Failed to purge trash' });
+    }
+});
+
+// Label Studio annotator → contributor mappings used by split uploads
+app.get('/api/annotators', requireAuth, async (req, res) => {
+    try {
+        res.json({ annotators: await annotators.list() });
+    } catch (error) {
+        console.error('Error listing annotator mappings:', error);
+        res.status(500).json({ error: 'Failed to list annotator mappings' });
+    }
+});
+
+// Create or change a mapping; the annotator is identified by email, or by
+// Label Studio user id for exports without emails
+app.post('/api/annotators', requireRole('professor'), async (req, res) => {
+    try {
+        const { contributor, university } = req.body;
+        const email = String(req.body.email || '').trim().toLowerCase();
+        const rawId = req.body.labelStudioId;
+        const labelStudioId = rawId === undefined || rawId === null || rawId === ''
+            ? null
+            : (/^\d+$/.test(String(rawId)) ? Number(rawId) : rawId);
+        if (!email && labelStudioId === null) {
+            return res.status(400).json({ error: 'An email or Label Studio user id is required' });
+        }
+        const key = annotatorKey({ email, labelStudioId });
+        const mapping = await annotators.set(key, { contributor, email, university, labelStudioId });
+        await audit(req, { action: 'map-annotator', annotator: key, contributor: mapping.contributor });
+        res.json({ success: true, mapping });
+    } catch (error) {
+        if (error.code === 'EINVALID') return res.status(400).json({ error: error.message });
+        console.error('Error saving annotator mapping:', error);
+        res.status(500).json({ error: 'Failed to save annotator mapping' });
+    }
+});
+
+app.delete('/api/annotators/:key', requireRole('professor'), async (req, res) => {
+    try {
+        const mapping = await annotators.remove(req.params.key);
+        await audit(req, { action: 'unmap-annotator', annotator: mapping.key, contributor: mapping.contributor });
+        res.json({ success: true, message: `Mapping for ${mapping.email || mapping.key} removed` });
+    } catch (error) {
+        if (error.code === 'ENOTFOUND') return res.status(404).json({ error: error.message });
+        console.error('Error removing annotator mapping:', error);
+        res.status(500).json({ error: 'Failed to remove annotator mapping' });
+    }
+});
+
+// Audit log, newest first. Query: action, policy, contributor, actor, file, since, until, limit
+app.get('/api/audit', requireRole('professor'), async (req, res) => {
+    try {
+        const { action, policy, contributor, actor, file, since, until, limit } = req.query;
+        const result = await auditLog.query({ action, policy, contributor, actor, file, since, until, limit });
+        res.json(result);
+    } catch (error) {
+        console.error('Error reading audit log:', error);
+        res.status(500).json({ error: 'Failed to read audit log' });
+    }
+});
+
+// Check data/ on disk against the metadata store; POST { rebuild: true } to repair
+app.get('/api/admin/reconcile', requireRole('professor'), async (req, res) => {
+    try {
+        const report = await checkConsistency(store);
+        res.json(report);
+    } catch (error) {
+        console.error('Error checking consistency:', error);
+        res.status(500).json({ error: 'Failed to check consistency', details: error.message });
+    }
+});
+
+app.post('/api/admin/reconcile', requireRole('professor'), async (req, res) => {
+    try {
+        const before = await checkConsistency(store);
+        if (!req.body || !req.body.rebuild) {
+            return res.json({ rebuilt: false, report: before });
+        }
+
+        const summary = await rebuildFromDisk(store);
+        const after = await checkConsistency(store);
+        await audit(req, {
+            action: 'reconcile-rebuild',
+            details: {
+                keptUploads: summary.keptUploads,
+                adoptedFiles: summary.adoptedFiles.length,
+                droppedUploads: summary.droppedUploads.length
+            }
+        });
+        agreementCache.refreshStale().catch(error => console.warn('Could not refresh agreement summaries:', error.message));
+        console.log(`Rebuilt metadata store from disk: kept ${summary.keptUploads} uploads, adopted ${summary.adoptedFiles.length} files, dropped ${summary.droppedUploads.length} records`);
+        res.json({ rebuilt: true, before, summary, report: after });
+    } catch (error) {
+        console.error('Error rebuilding metadata:', error);
+        res.status(500).json({ error: 'Failed to rebuild metadata', details: error.message });
+    }
+});
+
+// Get project statistics
+app.get('/api/stats', async (req, res) => {
+    try {
+        const stats = await store.getStats();
         res.json(stats);
     } catch (error) {
         console.error('Error getting stats:', error);
@@ -939,10 +1727,38 @@ app.use((error, req, res, next) => {
     res.status(500).json({ error: 'Internal server error' });
 });
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`Server running on http://localhost:${PORT}`);
-    console.log('Data will be stored in:', DATA_DIR);
+async function purgeExpiredTrash() {
+    try {
+        const purged = await trash.purgeExpired();
+        if (purged.length) console.log(`Purged ${purged.length} expired trash entries`);
+        for (const entry of purged) {
+            await auditLog.record({ ...purgeEvent(entry), actor: null, route: 'retention' });
+        }
+    } catch (error) {
+        console.error('Trash purge failed:', error);
+    }
+}
+
+// Start server (importing legacy policies.json / projects.json on first run)
+async function startServer() {
+    if (!(await store.exists())) {
+        await importLegacyMetadata({ dataDir: DATA_DIR });
+    }
+    const indexed = await backfillUploadIndex(store);
+    if (indexed) console.log(`Indexed ${indexed} older upload(s) for duplicate detection`);
+    await purgeExpiredTrash();
+    setInterval(purgeExpiredTrash, TRASH_PURGE_INTERVAL_MS).unref();
+    // Summaries missing or out of date (older stores, edits by CLI scripts) are computed in the background
+    agreementCache.refreshStale().catch(error => console.warn('Could not refresh agreement summaries:', error.message));
+    app.listen(PORT, () => {
+        console.log(`Server running on http://localhost:${PORT}`);
+        console.log('Data will be stored in:', DATA_DIR);
+    });
+}
+
+startServer().catch(error => {
+    console.error('Failed to start server:', error);
+    process.exit(1);
 });
 
 module.exports = app;
\ No newline at end of file
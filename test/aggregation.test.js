@@ -0,0 +1,121 @@
+// Behaviour of probabilistic label aggregation (js/aggregation.js):
+// Dawid–Skene and MACE should see through spammers that a vote cannot.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { NO_LABEL, segmentResponses, dawidSkene, mace, aggregateSegments, consensusPrediction } = require('../js/aggregation');
+
+const LABELS = ['Aim', 'Recipient', 'Sender'];
+
+// Deterministic pseudo-random numbers in [0, 1) (mulberry32)
+function random(seed) {
+    let state = seed;
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// 150 segments of one text node. Three careful annotators give the true
+// label 80% of the time; as many spammers mark nearly everything as Aim,
+// which often outvotes the careful ones.
+function synthetic(seed = 1) {
+    const next = random(seed);
+    const careful = ['ada', 'grace', 'linus'];
+    const spammers = ['spam1', 'spam2', 'spam3'];
+    const truth = [];
+    const segments = [];
+    for (let i = 0; i < 150; i++) {
+        const label = LABELS[Math.floor(next() * LABELS.length)];
+        truth.push(label);
+        const covering = [];
+        careful.forEach(user => {
+            const answer = next() < 0.8 ? label : LABELS[Math.floor(next() * LABELS.length)];
+            covering.push({ user, label: answer });
+        });
+        spammers.forEach(user => {
+            if (next() < 0.9) covering.push({ user, label: 'Aim' });
+        });
+        segments.push({ startPath: '/p[1]/text()[1]', endPath: '/p[1]/text()[1]', startOffset: i * 5, endOffset: i * 5 + 5, covering, text: `s${i} ` });
+    }
+    return { truth, segments, users: [...careful, ...spammers] };
+}
+
+function majorityVote(segment) {
+    const votes = new Map();
+    segment.covering.forEach(span => votes.set(span.label, (votes.get(span.label) || 0) + 1));
+    return [...votes].sort((a, b) => b[1] - a[1])[0][0];
+}
+
+const accuracy = (labels, truth) => labels.filter((label, i) => label === truth[i]).length / truth.length;
+
+test('segmentResponses turns coverage into weighted answers', () => {
+    const { classes, items } = segmentResponses([
+        { covering: [{ user: 'ada', label: 'Sender' }, { user: 'ada', label: 'Aim' }] },
+        { covering: [{ user: 'grace', label: 'Sender' }] }
+    ], ['ada', 'grace']);
+    assert.deepEqual(classes, ['Aim', 'Sender', NO_LABEL]);
+    assert.deepEqual(items, [
+        [[[1, 0.5], [0, 0.5]], [[2, 1]]],
+        [[[2, 1]], [[1, 1]]]
+    ]);
+});
+
+test('both models converge and their posteriors are distributions', () => {
+    const { segments, users } = synthetic(4);
+    const { classes, items } = segmentResponses(segments, users);
+    [dawidSkene(items, classes.length, { maxIterations: 1000 }), mace(items, classes.length)].forEach(fit => {
+        assert.equal(fit.converged, true);
+        fit.posteriors.forEach(row => assert.ok(Math.abs(row.reduce((a, b) => a + b, 0) - 1) < 1e-9));
+    });
+
+    const capped = dawidSkene(items, classes.length, { maxIterations: 3 });
+    assert.deepEqual([capped.iterations, capped.converged], [3, false]);
+});
+
+test('Dawid–Skene and MACE beat a majority vote and find the spammers', () => {
+    [1, 2, 3].forEach(seed => {
+        const { truth, segments, users } = synthetic(seed);
+        const majority = accuracy(segments.map(majorityVote), truth);
+
+        ['dawid-skene', 'mace'].forEach(method => {
+            const result = aggregateSegments(segments, new Set(users), { method });
+            assert.equal(result.method, method);
+            assert.ok(accuracy(result.segments.map(s => s.label), truth) >= majority, `${method}, seed ${seed}`);
+
+            // Annotators come sorted by reliability, spammers last
+            assert.deepEqual(result.annotators.slice(-3).map(a => a.user).sort(), ['spam1', 'spam2', 'spam3']);
+            assert.ok(result.annotators[2].reliability > result.annotators[3].reliability);
+        });
+    });
+});
+
+test('neighbouring segments with the same label form one consensus span', () => {
+    const path = '/p[1]/text()[1]';
+    const segment = (start, end, labels, text) => ({
+        startPath: path,
+        endPath: path,
+        startOffset: start,
+        endOffset: end,
+        text,
+        covering: labels.map((label, i) => ({ user: ['ada', 'grace'][i], label }))
+    });
+    const result = aggregateSegments([
+        segment(0, 4, ['Sender', 'Sender'], 'the '),
+        segment(4, 11, ['Sender', 'Sender'], 'company'),
+        segment(11, 17, [], ' sells'),
+        segment(17, 22, ['Aim', 'Aim'], ' data')
+    ], ['ada', 'grace']);
+
+    assert.deepEqual(result.segments.map(s => s.label), ['Sender', 'Sender', null, 'Aim']);
+    assert.deepEqual(result.consensus.map(s => [s.label, s.startOffset, s.endOffset, s.text, s.segments]),
+        [['Sender', 0, 11, 'the company', 2], ['Aim', 17, 22, ' data', 1]]);
+
+    const prediction = consensusPrediction(result);
+    assert.equal(prediction.model_version, 'dawid-skene');
+    assert.deepEqual(prediction.result.map(r => [r.id, r.value.labels, r.value.startOffset, r.value.endOffset]),
+        [['consensus_1', ['Sender'], 0, 11], ['consensus_2', ['Aim'], 17, 22]]);
+    assert.equal(prediction.score, Math.round((result.consensus[0].confidence + result.consensus[1].confidence) / 2 * 1000) / 1000);
+    assert.equal(consensusPrediction({ method: 'mace', consensus: [] }).score, null);
+});
@@ -0,0 +1,138 @@
+// Behaviour of the agreement metrics shared by the policy page and the
+// server (js/agreement.js): span matching, chance-corrected agreement and
+// scoring against a gold annotation.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    matchSpans,
+    calculatePairwiseMetrics,
+    cohenKappa,
+    fleissKappa,
+    calculateChanceAgreement,
+    summarizeTask,
+    goldAnnotationOf,
+    scoreAgainstGold,
+    summarizeGoldScores
+} = require('../js/agreement');
+
+// Label Studio result of a labeled span with upload-time offsets
+function span(id, label, start, end, text = '') {
+    return { id, type: 'labels', value: { labels: [label], text, globalOffsets: { start, end } } };
+}
+
+function relation(fromId, toId) {
+    return { type: 'relation', from_id: fromId, to_id: toId, labels: [] };
+}
+
+test('matchSpans pairs overlapping spans of the same label one to one', () => {
+    const a = [{ label: 'Sender', start: 0, end: 5 }, { label: 'Sender', start: 3, end: 8 }, { label: 'Aim', start: 10, end: 12 }];
+    const b = [{ label: 'Sender', start: 4, end: 6 }, { label: 'Recipient', start: 10, end: 12 }];
+    assert.deepEqual(matchSpans(a, b), [[0, 0]]);
+    assert.deepEqual(calculatePairwiseMetrics(a, b), { precision: 1 / 3, recall: 1 / 2 });
+    assert.deepEqual(calculatePairwiseMetrics([], []), { precision: 1, recall: 1 });
+});
+
+test("Cohen's kappa matches a worked example", () => {
+    // 50 items: 20 yes/yes, 5 yes/no, 10 no/yes, 15 no/no → po 0.7, pe 0.5
+    const pairs = [[20, 'yes', 'yes'], [5, 'yes', 'no'], [10, 'no', 'yes'], [15, 'no', 'no']];
+    const a = pairs.flatMap(([n, x]) => Array(n).fill(x));
+    const b = pairs.flatMap(([n, , y]) => Array(n).fill(y));
+    assert.ok(Math.abs(cohenKappa(a, b) - 0.4) < 1e-12);
+
+    assert.equal(cohenKappa(['x', 'y'], ['x', 'y']), 1);
+    // Undefined when both annotators only ever use one category
+    assert.equal(cohenKappa(['O', 'O'], ['O', 'O']), null);
+    assert.equal(cohenKappa([], []), null);
+});
+
+test("Fleiss' kappa matches the textbook example", () => {
+    // 10 subjects, 14 raters, 5 categories (Fleiss 1971, as on Wikipedia): κ ≈ 0.210
+    const counts = [
+        [0, 0, 0, 0, 14], [0, 2, 6, 4, 2], [0, 0, 3, 5, 6], [0, 3, 9, 2, 0], [2, 2, 8, 1, 1],
+        [7, 7, 0, 0, 0], [3, 2, 6, 3, 0], [2, 5, 3, 2, 2], [6, 5, 2, 1, 0], [0, 2, 2, 3, 7]
+    ];
+    const bySubject = counts.map(row => row.flatMap((n, category) => Array(n).fill(category)));
+    const ratings = Array.from({ length: 14 }, (_, rater) => bySubject.map(codes => codes[rater]));
+    assert.equal(Math.round(fleissKappa(ratings) * 1000) / 1000, 0.21);
+
+    assert.equal(fleissKappa([['a', 'b']]), null);
+});
+
+test('chance agreement is perfect for identical annotations and negative for disjoint ones', () => {
+    const task = { flatText: 'the company shares your data with partners' };
+    const users = ['ada', 'grace'];
+    const same = users.flatMap(user => [
+        { user, label: 'Sender', start: 0, end: 11 },
+        { user, label: 'Recipient', start: 32, end: 42 }
+    ]);
+    const identical = calculateChanceAgreement(task, same, users);
+    assert.equal(identical.units, 'tokens');
+    assert.deepEqual(identical.overall, { cohenKappa: 1, fleissKappa: 1, alpha: 1 });
+    assert.deepEqual(identical.byLabel.map(l => [l.label, l.alpha]), [['Sender', 1], ['Recipient', 1]]);
+    assert.deepEqual(identical.pairs, [{ annotators: ['ada', 'grace'], kappa: 1 }]);
+
+    const disjoint = calculateChanceAgreement(task, [
+        { user: 'ada', label: 'Sender', start: 0, end: 11 },
+        { user: 'grace', label: 'Sender', start: 32, end: 42 }
+    ], users);
+    assert.ok(disjoint.overall.cohenKappa < 0);
+    assert.ok(disjoint.overall.alpha < 0);
+});
+
+test('chance agreement falls back to characters without flatText', () => {
+    const result = calculateChanceAgreement({}, [
+        { user: 'ada', label: 'Aim', start: 0, end: 4 },
+        { user: 'grace', label: 'Aim', start: 0, end: 4 }
+    ], new Set(['ada', 'grace', 'linus']));
+    assert.equal(result.units, 'characters');
+    // linus marked nothing and still counts; ada and grace only ever used
+    // one category, so their kappa is undefined and left out of the mean
+    assert.deepEqual(result.pairs.map(p => p.kappa), [null, 0, 0]);
+    assert.equal(result.overall.cohenKappa, 0);
+});
+
+test('scoreAgainstGold scores each annotator against the gold annotation', () => {
+    const gold = {
+        ground_truth: true,
+        completed_by: { email: 'prof@example.edu' },
+        result: [span('g1', 'Sender', 0, 11, 'the company'), span('g2', 'Recipient', 32, 42, 'partners'), relation('g1', 'g2')]
+    };
+    const task = {
+        annotations: [
+            {
+                completed_by: { email: 'ada@example.edu' },
+                result: [span('a1', 'Sender', 0, 11, 'the company'), span('a2', 'Recipient', 32, 42, 'partners'), relation('a1', 'a2')]
+            },
+            {
+                completed_by: { email: 'grace@example.edu' },
+                result: [span('b1', 'Sender', 0, 11, 'the company'), span('b2', 'Information Type', 32, 42, 'partners')]
+            },
+            gold
+        ]
+    };
+
+    assert.equal(goldAnnotationOf(task), gold);
+    const score = scoreAgainstGold(task);
+    assert.deepEqual(score.gold, { by: 'prof@example.edu', spans: 2, relations: 1, adjudication: null });
+
+    const [ada, grace] = score.annotators;
+    assert.equal(ada.user, 'ada@example.edu');
+    assert.deepEqual([ada.overall.precision, ada.overall.recall, ada.relations.precision], [100, 100, 100]);
+    assert.deepEqual([ada.missed, ada.spurious], [[], []]);
+
+    assert.deepEqual([grace.overall.matched, grace.overall.marked, grace.overall.gold], [1, 2, 2]);
+    assert.deepEqual(grace.missed, [{ label: 'Recipient', start: 32, end: 42, text: 'partners', markedAs: ['Information Type'] }]);
+    assert.deepEqual(grace.spurious, [{ label: 'Information Type', start: 32, end: 42, text: 'partners', goldLabels: ['Recipient'] }]);
+    assert.deepEqual(grace.relations, { precision: 0, recall: 0, f1: 0, matched: 0, drawn: 0, gold: 1 });
+    assert.deepEqual(grace.byLabel.map(l => l.label), ['Sender', 'Information Type', 'Recipient']);
+
+    // The gold annotation is not an annotator in the agreement summary either
+    assert.equal(summarizeTask(task).annotators.size, 2);
+    assert.equal(scoreAgainstGold({ annotations: task.annotations.slice(0, 2) }), null);
+
+    // Pooled over two tasks, counts add up before the percentages
+    const pooled = summarizeGoldScores([score, null, score]);
+    const pooledGrace = pooled.find(p => p.user === 'grace@example.edu');
+    assert.deepEqual([pooledGrace.tasks, pooledGrace.overall.matched, pooledGrace.overall.marked, pooledGrace.missed], [2, 2, 4, 2]);
+    assert.equal(pooledGrace.overall.precision, 50);
+});
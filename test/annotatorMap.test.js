@@ -0,0 +1,65 @@
+// Behaviour of the annotator mapping (js/annotatorMap.js): identifying
+// authors, splitting exports by annotator and resolving mappings.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createAnnotatorMap, splitByAnnotator, annotatorOf } = require('../js/annotatorMap');
+const { createMetadataStore } = require('../js/metadataStore');
+
+test('annotatorOf keys authors by email, else by Label Studio id', () => {
+    assert.deepEqual(annotatorOf({ completed_by: { id: 7, email: ' Ada@Example.edu ' } }),
+        { key: 'email:ada@example.edu', labelStudioId: 7, email: 'ada@example.edu' });
+    assert.deepEqual(annotatorOf({ completed_by: 12 }), { key: 'id:12', labelStudioId: 12, email: '' });
+    assert.equal(annotatorOf({ completed_by: null }), null);
+    assert.equal(annotatorOf({}), null);
+});
+
+test('splitByAnnotator gives each author their own annotations', () => {
+    const data = [
+        { id: 1, data: { text: 'a' }, annotations: [{ id: 10, completed_by: 7 }, { id: 11, completed_by: { id: 8, email: 'b@x.edu' } }] },
+        { id: 2, annotations: [{ id: 12, completed_by: 7 }, { id: 13, completed_by: 7 }, { id: 14 }] },
+        { id: 3, annotations: [] }
+    ];
+    const parts = splitByAnnotator(data);
+
+    assert.deepEqual(parts.map(p => [p.annotator && p.annotator.key, p.tasks.map(t => t.id), p.annotationCount]),
+        [['id:7', [1, 2], 3], ['email:b@x.edu', [1], 1], [null, [2], 1]]);
+    // Tasks keep their data but only carry that annotator's annotations
+    assert.deepEqual(parts[0].tasks[0].data, { text: 'a' });
+    assert.deepEqual(parts[0].tasks[1].annotations.map(a => a.id), [12, 13]);
+    assert.equal(data[0].annotations.length, 2);
+});
+
+test('resolve proposes mappings from dashboard accounts and remembers them', async t => {
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gkcci-annotators-'));
+    t.after(() => fs.rm(dataDir, { recursive: true, force: true }));
+    const store = createMetadataStore({ dataDir });
+    const userStore = {
+        findByEmail: async email => (email === 'ada@example.edu' ? { id: 3, name: 'Ada Lovelace', university: 'Colgate' } : null)
+    };
+    const map = createAnnotatorMap({ store, userStore });
+    const ada = annotatorOf({ completed_by: { id: 7, email: 'ada@example.edu' } });
+    const anonymous = annotatorOf({ completed_by: 9 });
+
+    const preview = await map.resolve([ada], { save: false });
+    assert.equal(preview.get(ada.key).contributor, 'Ada Lovelace');
+    assert.deepEqual(await map.list(), []);
+
+    const resolved = await map.resolve([ada, anonymous]);
+    assert.deepEqual([...resolved.values()].map(m => [m.contributor, m.userId, m.isNew]),
+        [['Ada Lovelace', 3, true], ['Label Studio user 9', null, true]]);
+
+    // Same Label Studio user seen again without an email
+    const again = await map.resolve([annotatorOf({ completed_by: 7 })]);
+    assert.deepEqual([...again.values()].map(m => [m.key, m.contributor, m.isNew]), [['email:ada@example.edu', 'Ada Lovelace', false]]);
+
+    await map.set(anonymous.key, { contributor: '  Grace  ' });
+    assert.deepEqual((await map.list()).map(m => [m.contributor, m.source]), [['Ada Lovelace', 'auto'], ['Grace', 'manual']]);
+    await assert.rejects(map.set(anonymous.key, { contributor: ' ' }), { code: 'EINVALID' });
+
+    await map.remove(anonymous.key);
+    await assert.rejects(map.remove(anonymous.key), { code: 'ENOTFOUND' });
+    assert.equal((await map.list()).length, 1);
+});
@@ -0,0 +1,117 @@
+// Behaviour of the transactional metadata store (js/metadataStore.js):
+// serialized transactions, the on-disk lock, totals and version renumbering.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createMetadataStore, countAnnotations, relativeToDataDir } = require('../js/metadataStore');
+
+async function tempStore(t) {
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gkcci-store-'));
+    t.after(() => fs.rm(dataDir, { recursive: true, force: true }));
+    return createMetadataStore({ dataDir });
+}
+
+const student = { name: 'Ada', email: 'ada@example.edu', university: 'Colgate' };
+
+test('parallel transactions are applied one after another', async t => {
+    const store = await tempStore(t);
+    await Promise.all(Array.from({ length: 20 }, (_, i) =>
+        store.addUpload('Nike', student, { storedAs: `upload_${i}.json`, annotationCount: 1 })));
+
+    const policy = await store.getPolicy('Nike');
+    assert.equal(policy.contributors.Ada.uploads.length, 20);
+    assert.equal(policy.totalAnnotations, 20);
+});
+
+test('totals are recomputed from the upload records', async t => {
+    const store = await tempStore(t);
+    await store.addUpload('Nike', student, { storedAs: 'a.json', annotationCount: 3 });
+    await store.addUpload('Nike', { name: 'Grace' }, { storedAs: 'b.json', annotationCount: 4 });
+    // A stale total written by hand is corrected by the next transaction
+    await store.transaction(state => { state.policies.Nike.totalAnnotations = 999; });
+
+    const policy = await store.getPolicy('Nike');
+    assert.equal(policy.totalAnnotations, 7);
+    assert.equal(policy.contributors.Grace.totalAnnotations, 4);
+
+    await store.removeUpload('Nike', upload => upload.storedAs === 'a.json');
+    assert.equal((await store.getPolicy('Nike')).totalAnnotations, 4);
+    assert.deepEqual(await store.getStats(), {
+        totalPolicies: 1,
+        totalContributors: 1,
+        totalAnnotations: 4,
+        avgAnnotationsPerPolicy: 4
+    });
+});
+
+test('a failing transaction leaves the state alone and the queue usable', async t => {
+    const store = await tempStore(t);
+    await store.addUpload('Nike', student, { storedAs: 'a.json', annotationCount: 1 });
+
+    await assert.rejects(store.transaction(state => {
+        delete state.policies.Nike;
+        throw new Error('boom');
+    }), /boom/);
+    assert.ok(await store.getPolicy('Nike'));
+    await fs.access(`${store.file}.lock`).then(() => assert.fail('lock left behind'), () => {});
+
+    await store.addUpload('Nike', student, { storedAs: 'b.json', annotationCount: 1 });
+    assert.equal((await store.getPolicy('Nike')).contributors.Ada.uploads.length, 2);
+});
+
+test('waits for a lock held by another process', async t => {
+    const store = await tempStore(t);
+    const lockFile = `${store.file}.lock`;
+    await fs.writeFile(lockFile, '12345');
+
+    let done = false;
+    const pending = store.addUpload('Nike', student, { storedAs: 'a.json' }).then(() => { done = true; });
+    await new Promise(resolve => setTimeout(resolve, 150));
+    assert.equal(done, false);
+
+    await fs.unlink(lockFile);
+    await pending;
+    assert.ok(await store.getPolicy('Nike'));
+});
+
+test('breaks a stale lock left by a crashed writer', async t => {
+    const store = await tempStore(t);
+    const lockFile = `${store.file}.lock`;
+    await fs.writeFile(lockFile, '12345');
+    const longAgo = new Date(Date.now() - 60 * 1000);
+    await fs.utimes(lockFile, longAgo, longAgo);
+
+    await store.addUpload('Nike', student, { storedAs: 'a.json' });
+    assert.ok(await store.getPolicy('Nike'));
+});
+
+test('countAnnotations counts task annotations and bare results', () => {
+    assert.equal(countAnnotations([{ annotations: [{}, {}] }, { result: [] }, {}]), 3);
+    assert.equal(countAnnotations({ annotations: [{}] }), 1);
+});
+
+test('relativeToDataDir keeps the part of a legacy path under data/', () => {
+    assert.equal(relativeToDataDir('/Users/someone/app/data/projects/Nike/a.json'), 'projects/Nike/a.json');
+    assert.equal(relativeToDataDir('/elsewhere/a.json'), null);
+});
+
+test('a superseding upload renumbers the earlier versions oldest first', async t => {
+    const store = await tempStore(t);
+    await store.addUpload('Nike', student, { storedAs: 'v1.json', uploadedAt: '2024-01-01T00:00:00.000Z', annotationKeys: ['1'] });
+    await store.addUpload('Nike', student, { storedAs: 'v2.json', uploadedAt: '2024-02-01T00:00:00.000Z' }, { supersedes: ['v1.json'] });
+    // An unrelated upload that v3 replaces too, older than both
+    await store.addUpload('Nike', student, { storedAs: 'other.json', uploadedAt: '2023-12-01T00:00:00.000Z' });
+    await store.addUpload('Nike', student, { storedAs: 'v3.json', uploadedAt: '2024-03-01T00:00:00.000Z' },
+        { supersedes: ['v2.json', 'other.json'] });
+
+    const uploads = (await store.getPolicy('Nike')).contributors.Ada.uploads;
+    assert.deepEqual(uploads.map(u => u.storedAs), ['v3.json']);
+    const [latest] = uploads;
+    assert.equal(latest.version, 4);
+    assert.deepEqual(latest.history.map(u => [u.storedAs, u.version]),
+        [['other.json', 1], ['v1.json', 2], ['v2.json', 3]]);
+    // History entries are flat and drop the annotation index
+    assert.ok(latest.history.every(u => !u.history && !u.annotationKeys));
+});
@@ -0,0 +1,185 @@
+// Behaviour of CI tuple building and export (js/relationTuples.js),
+// including the hand-written stored zip behind the .xlsx download.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    LABEL_HEADERS,
+    buildConnectedRelationFlows,
+    tupleTableRows,
+    tuplesToCsv,
+    tuplesToXlsx,
+    buildWorkbook,
+    flowRecords
+} = require('../js/relationTuples');
+
+function span(id, label, start, end, text) {
+    return { id, type: 'labels', value: { labels: [label], text, globalOffsets: { start, end } } };
+}
+
+const task = {
+    id: 42,
+    annotations: [
+        {
+            completed_by: { email: 'ada@example.edu' },
+            result: [
+                span('s', 'Sender', 0, 11, 'the company'),
+                span('r', 'Recipient', 32, 42, 'partners, "affiliates"'),
+                span('c', 'Condition', 50, 60, 'if you agree'),
+                { type: 'relation', from_id: 's', to_id: 'r', direction: 'right', labels: ['shares'] }
+            ]
+        },
+        { completed_by: { email: 'grace@example.edu' }, result: [span('x', 'Aim', 5, 9, 'ads')] }
+    ]
+};
+
+// Bit-by-bit CRC-32, independent of the table the module uses
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of bytes) {
+        crc ^= byte;
+        for (let k = 0; k < 8; k++) crc = crc & 1 ? (crc >>> 1) ^ 0xEDB88320 : crc >>> 1;
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Entries of a zip archive, read through the central directory and checked
+// against the local headers
+function readZip(bytes) {
+    const buffer = Buffer.from(bytes.buffer, bytes.byteOffset, bytes.length);
+    const end = buffer.length - 22;
+    assert.equal(buffer.readUInt32LE(end), 0x06054B50);
+    const count = buffer.readUInt16LE(end + 10);
+    let pos = buffer.readUInt32LE(end + 16);
+    assert.equal(pos + buffer.readUInt32LE(end + 12), end);
+
+    const entries = new Map();
+    for (let i = 0; i < count; i++) {
+        assert.equal(buffer.readUInt32LE(pos), 0x02014B50);
+        const crc = buffer.readUInt32LE(pos + 16);
+        const size = buffer.readUInt32LE(pos + 20);
+        const nameLength = buffer.readUInt16LE(pos + 28);
+        const offset = buffer.readUInt32LE(pos + 42);
+        const name = buffer.toString('utf8', pos + 46, pos + 46 + nameLength);
+
+        assert.equal(buffer.readUInt32LE(offset), 0x04034B50);
+        assert.equal(buffer.readUInt16LE(offset + 8), 0, 'stored, not compressed');
+        assert.equal(buffer.readUInt32LE(offset + 14), crc);
+        const data = buffer.subarray(offset + 30 + nameLength, offset + 30 + nameLength + size);
+        entries.set(name, { crc, data });
+        pos += 46 + nameLength;
+    }
+    return entries;
+}
+
+test('connected labels of an annotator form one tuple, numbered in text order', () => {
+    const tuples = buildConnectedRelationFlows(task);
+    assert.deepEqual(tuples.map(t => [t.tupleId, t.annotator, t.startOffset, t.endOffset]), [
+        ['42-1', 'ada@example.edu', 0, 42],
+        ['42-2', 'grace@example.edu', 5, 9],
+        ['42-3', 'ada@example.edu', 50, 60]
+    ]);
+    assert.deepEqual(tuples[0].spans.map(s => s.label), ['Sender', 'Recipient']);
+    assert.equal(tuples[0].relations.length, 1);
+});
+
+test('table rows put each label and its offsets in their own columns', () => {
+    const [header, first] = tupleTableRows(buildConnectedRelationFlows(task));
+    assert.equal(header.length, 5 + LABEL_HEADERS.length * 2 + 1);
+    assert.equal(first[header.indexOf('Sender')], 'the company');
+    assert.equal(first[header.indexOf('Recipient offsets')], '32-42');
+    assert.match(first[header.length - 1], /^Sender “the company” → Recipient “partners, "affiliates"” \(shares\)$/);
+});
+
+test('CSV has a byte order mark, CRLF lines and quoted fields', () => {
+    const csv = tuplesToCsv(buildConnectedRelationFlows(task));
+    assert.ok(csv.startsWith('\uFEFFTuple ID,Task ID,Annotator,'));
+    assert.ok(csv.endsWith('\r\n'));
+    const lines = csv.split('\r\n');
+    assert.equal(lines.length, 5);
+    assert.ok(lines[1].includes(',"partners, ""affiliates""",'));
+});
+
+test('the xlsx is a valid stored zip with one sheet per annotator', () => {
+    const entries = readZip(tuplesToXlsx(buildConnectedRelationFlows(task)));
+    assert.deepEqual([...entries.keys()], [
+        '[Content_Types].xml',
+        '_rels/.rels',
+        'xl/workbook.xml',
+        'xl/_rels/workbook.xml.rels',
+        'xl/styles.xml',
+        'xl/worksheets/sheet1.xml',
+        'xl/worksheets/sheet2.xml',
+        'xl/worksheets/sheet3.xml'
+    ]);
+    entries.forEach(({ crc, data }, name) => assert.equal(crc32(data), crc, name));
+
+    const text = name => entries.get(name).data.toString('utf8');
+    assert.match(text('xl/workbook.xml'), /<sheet name="All annotators" sheetId="1".*<sheet name="ada@example.edu" sheetId="2"/);
+    assert.ok(text('xl/worksheets/sheet1.xml').includes('partners, &quot;affiliates&quot;'));
+    assert.ok(!text('xl/worksheets/sheet3.xml').includes('the company'));
+});
+
+test('sheet names are made valid and unique', () => {
+    const entries = readZip(buildWorkbook([
+        { name: 'a/b', rows: [['x']] },
+        { name: 'A_B', rows: [['y']] },
+        { name: 'x'.repeat(40), rows: [] }
+    ]));
+    const workbook = entries.get('xl/workbook.xml').data.toString('utf8');
+    const names = [...workbook.matchAll(/<sheet name="([^"]*)"/g)].map(m => m[1]);
+    assert.deepEqual(names, ['a_b', 'A_B (2)', 'x'.repeat(31)]);
+});
+
+test('flow records carry the sentence around each span, not the text between them', () => {
+    // flatText of a page: a menu without full stops, then paragraphs joined
+    // without separators, as addGlobalOffsets builds it
+    const menu = 'Home Shop Deals Support '.repeat(40);
+    const paragraphs = [
+        'Privacy Policy',
+        'We value your privacy. We share your location with advertisers when you opt in.',
+        'Cookies help us remember you. '.repeat(30),
+        'Our partners may receive usage data. Contact us with questions.'
+    ];
+    const flatText = menu + paragraphs.join('');
+    const at = (text, from = 0) => {
+        const start = flatText.indexOf(text, from);
+        return [start, start + text.length, text];
+    };
+    const menuSpan = at('Deals', 400);
+    const flowTask = {
+        id: 7,
+        flatText,
+        annotations: [{
+            completed_by: { email: 'ada@example.edu' },
+            result: [
+                span('s', 'Sender', ...at('We share')),
+                span('i', 'Information Type', ...at('your location')),
+                span('r', 'Recipient', ...at('Our partners')),
+                span('m', 'Aim', ...menuSpan),
+                { id: 'n', type: 'labels', value: { labels: ['Condition'], text: 'if asked' } },
+                { type: 'relation', from_id: 's', to_id: 'i', direction: 'right', labels: [] },
+                { type: 'relation', from_id: 'i', to_id: 'r', direction: 'right', labels: [] },
+                { type: 'relation', from_id: 'r', to_id: 'm', direction: 'right', labels: [] },
+                { type: 'relation', from_id: 'm', to_id: 'n', direction: 'right', labels: [] }
+            ]
+        }]
+    };
+
+    const [record] = flowRecords(flowTask, 'Nike');
+    const sentences = record.sentences.map(s => s.text);
+    assert.equal(sentences.length, 3);
+    assert.ok(sentences[0].length <= menuSpan[1] - menuSpan[0] + 600);
+    assert.ok(!sentences[0].startsWith(' ') && !sentences[0].endsWith(' '));
+    assert.deepEqual(sentences.slice(1), [
+        'We share your location with advertisers when you opt in.',
+        'Our partners may receive usage data.'
+    ]);
+    record.sentences.forEach(s => assert.equal(flatText.slice(s.start, s.end), s.text));
+
+    // Each parameter points into its sentence; one without offsets into none
+    record.parameters.forEach(p => {
+        if (p.start === null) return assert.deepEqual([p.sentence, p.sentenceStart, p.sentenceEnd], [null, null, null]);
+        assert.equal(sentences[p.sentence].slice(p.sentenceStart, p.sentenceEnd), p.text);
+    });
+    assert.deepEqual(record.parameters.map(p => p.sentence), [0, 1, 1, 2, null]);
+});
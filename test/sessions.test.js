@@ -0,0 +1,65 @@
+// Behaviour of cookie sessions and role checks (js/sessions.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSessionManager, requireRole, parseCookies, COOKIE_NAME } = require('../js/sessions');
+
+// Just enough of an Express response for the middleware
+function fakeResponse() {
+    return {
+        headers: {},
+        statusCode: 200,
+        body: null,
+        setHeader(name, value) { this.headers[name] = value; },
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+}
+
+test('parseCookies decodes values and skips malformed ones', () => {
+    assert.deepEqual(parseCookies('a=1; b=hello%20world; =x; junk; c=100%'), { a: '1', b: 'hello world' });
+    assert.deepEqual(parseCookies(undefined), {});
+});
+
+test('a session cookie identifies the user until it ends', async () => {
+    const user = { id: 3, name: 'Ada', role: 'student' };
+    const sessions = createSessionManager({ userStore: { findById: async id => (id === 3 ? user : null) } });
+
+    const res = fakeResponse();
+    const token = sessions.start({ secure: false }, res, user);
+    assert.match(res.headers['Set-Cookie'], new RegExp(`^${COOKIE_NAME}=${token}; Path=/; HttpOnly`));
+
+    const req = { headers: { cookie: `other=1; ${COOKIE_NAME}=${token}` } };
+    await new Promise(resolve => sessions.attachUser(req, res, resolve));
+    assert.equal(req.user, user);
+
+    sessions.end(req, fakeResponse());
+    await new Promise(resolve => sessions.attachUser(req, res, resolve));
+    assert.equal(req.user, null);
+});
+
+test('expired sessions are ignored', async () => {
+    const user = { id: 3 };
+    const sessions = createSessionManager({ userStore: { findById: async () => user }, ttlMs: -1 });
+    const token = sessions.start({}, fakeResponse(), user);
+
+    const req = { headers: { cookie: `${COOKIE_NAME}=${token}` } };
+    await new Promise(resolve => sessions.attachUser(req, fakeResponse(), resolve));
+    assert.equal(req.user, null);
+});
+
+test('requireRole answers 401 without a user and 403 with the wrong role', () => {
+    const onlyProfessors = requireRole('professor');
+    let passed = 0;
+    const next = () => { passed++; };
+
+    const anonymous = fakeResponse();
+    onlyProfessors({ user: null }, anonymous, next);
+    assert.equal(anonymous.statusCode, 401);
+
+    const studentRes = fakeResponse();
+    onlyProfessors({ user: { role: 'student' } }, studentRes, next);
+    assert.deepEqual([studentRes.statusCode, studentRes.body], [403, { error: 'Only professors can do this' }]);
+
+    onlyProfessors({ user: { role: 'professor' } }, fakeResponse(), next);
+    assert.equal(passed, 1);
+});
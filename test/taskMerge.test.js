@@ -0,0 +1,48 @@
+// Behaviour of merging uploads into one task set (js/taskMerge.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mergeUploadTasks, tasksOf } = require('../js/taskMerge');
+
+test('uploads of the same task are merged by id or text', () => {
+    const { tasks, duplicateAnnotations } = mergeUploadTasks([
+        { storedAs: 'ada.json', contributor: 'Ada', data: [{ id: 1, data: { text: 'Policy' }, annotations: [{ id: 10 }] }] },
+        // Another Label Studio project: different task id, same text
+        { storedAs: 'grace.json', contributor: 'Grace', data: { tasks: [{ id: 99, data: { text: 'Policy' }, annotations: [{ id: 20 }] }] } },
+        // A re-upload repeats annotation 10
+        { storedAs: 'ada_again.json', contributor: 'Ada', data: [{ id: 1, data: { text: 'Policy' }, annotations: [{ id: 10 }, { id: 11 }] }] }
+    ]);
+
+    assert.equal(tasks.length, 1);
+    assert.equal(duplicateAnnotations, 1);
+    assert.equal(tasks[0].total_annotations, 3);
+    assert.deepEqual(tasks[0].mergedFrom, ['ada.json', 'grace.json', 'ada_again.json']);
+    assert.deepEqual(tasks[0].annotations.map(a => [a.id, a.uploadSource.contributor]), [[10, 'Ada'], [20, 'Grace'], [11, 'Ada']]);
+    assert.equal('seenAnnotationKeys' in tasks[0], false);
+});
+
+test('annotations are keyed on unique_id, with id only as a fallback', () => {
+    const { tasks, duplicateAnnotations } = mergeUploadTasks([
+        // Two Label Studio instances both hand out annotation id 5
+        { storedAs: 'ada.json', contributor: 'Ada', data: [{ id: 1, data: { text: 'Policy' }, annotations: [{ id: 5, unique_id: 'u-a' }] }] },
+        { storedAs: 'grace.json', contributor: 'Grace', data: [{ id: 1, data: { text: 'Policy' }, annotations: [{ id: 5, unique_id: 'u-b' }, { id: 5, unique_id: 'u-a' }] }] }
+    ]);
+    assert.equal(duplicateAnnotations, 1);
+    assert.deepEqual(tasks[0].annotations.map(a => a.unique_id), ['u-a', 'u-b']);
+});
+
+test('tasks with the same id but different texts are not merged', () => {
+    const { tasks } = mergeUploadTasks([
+        { storedAs: 'a.json', contributor: 'Ada', data: [{ id: 1, data: { text: 'Nike policy' }, annotations: [{ unique_id: 'x' }] }] },
+        { storedAs: 'b.json', contributor: 'Grace', data: [{ id: 1, data: { text: 'Adidas policy' }, annotations: [{ unique_id: 'y' }] }] },
+        // Same id and text as the second task: joins it rather than the first
+        { storedAs: 'c.json', contributor: 'Linus', data: [{ id: 1, data: { text: 'Adidas policy' }, annotations: [{ unique_id: 'z' }] }] }
+    ]);
+    assert.deepEqual(tasks.map(t => [t.data.text, t.mergedFrom]), [['Nike policy', ['a.json']], ['Adidas policy', ['b.json', 'c.json']]]);
+});
+
+test('tasksOf accepts a task array, { tasks } or a single task', () => {
+    assert.deepEqual(tasksOf([{ id: 1 }, null, { id: 2 }]), [{ id: 1 }, { id: 2 }]);
+    assert.deepEqual(tasksOf({ tasks: [{ id: 3 }] }), [{ id: 3 }]);
+    assert.deepEqual(tasksOf({ id: 4 }), [{ id: 4 }]);
+    assert.deepEqual(tasksOf(null), []);
+});
@@ -0,0 +1,143 @@
+// Behaviour of soft delete (js/trash.js): files move into data/trash and
+// back, restores merge into the current state, expired entries are purged.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createMetadataStore } = require('../js/metadataStore');
+const { createTrash } = require('../js/trash');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const professor = { id: 1, name: 'Prof', email: 'prof@example.edu', role: 'professor', passwordHash: 'secret' };
+
+// Store with Nike uploads from Ada (two files) and Grace, written to disk
+async function setup(t) {
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gkcci-trash-'));
+    t.after(() => fs.rm(dataDir, { recursive: true, force: true }));
+    const store = createMetadataStore({ dataDir });
+    const uploads = [['Ada', 'ada_1.json', 2], ['Ada', 'ada_2.json', 3], ['Grace', 'grace_1.json', 4]];
+    await fs.mkdir(path.join(dataDir, 'projects', 'Nike'), { recursive: true });
+    for (const [name, storedAs, annotationCount] of uploads) {
+        const relativePath = `projects/Nike/${storedAs}`;
+        await fs.writeFile(path.join(dataDir, relativePath), JSON.stringify([{ id: storedAs }]));
+        await store.addUpload('Nike', { name, email: `${name.toLowerCase()}@example.edu` },
+            { storedAs, relativePath, annotationCount });
+    }
+    return { dataDir, store, trash: createTrash({ store, retentionDays: 30 }) };
+}
+
+const exists = filePath => fs.access(filePath).then(() => true, () => false);
+
+test('trashing an upload moves its file and restoring puts it back', async t => {
+    const { dataDir, store, trash } = await setup(t);
+    const original = path.join(dataDir, 'projects/Nike/ada_1.json');
+
+    const result = await trash.trashUpload('Nike', upload => upload.storedAs === 'ada_1.json', {}, professor);
+    assert.equal(result.found, true);
+    assert.equal(await exists(original), false);
+    assert.equal(await exists(path.join(dataDir, 'trash', result.trashEntry.id, 'projects/Nike/ada_1.json')), true);
+    assert.equal((await store.getPolicy('Nike')).totalAnnotations, 7);
+    // The actor is recorded without the password hash
+    assert.deepEqual(result.trashEntry.deletedBy, { id: 1, name: 'Prof', email: 'prof@example.edu', role: 'professor' });
+
+    const [entry] = await trash.list();
+    assert.equal(new Date(entry.expiresAt) - new Date(entry.deletedAt), 30 * DAY_MS);
+
+    await trash.restore(entry.id);
+    assert.equal(await exists(original), true);
+    assert.equal(await exists(path.join(dataDir, 'trash', entry.id)), false);
+    assert.deepEqual(await trash.list(), []);
+    const policy = await store.getPolicy('Nike');
+    assert.equal(policy.totalAnnotations, 9);
+    assert.deepEqual(policy.contributors.Ada.uploads.map(u => u.storedAs).sort(), ['ada_1.json', 'ada_2.json']);
+});
+
+test('a removed contributor comes back with their details', async t => {
+    const { store, trash } = await setup(t);
+    const { trashEntry } = await trash.trashUpload('Nike', upload => upload.storedAs === 'grace_1.json', {}, null);
+    assert.equal((await store.getPolicy('Nike')).contributors.Grace, undefined);
+
+    await trash.restore(trashEntry.id);
+    const grace = (await store.getPolicy('Nike')).contributors.Grace;
+    assert.equal(grace.email, 'grace@example.edu');
+    assert.equal(grace.totalAnnotations, 4);
+});
+
+test('trashing a policy moves its uploads and restores them', async t => {
+    const { dataDir, store, trash } = await setup(t);
+    await fs.writeFile(path.join(dataDir, 'projects/Nike/stray.json'), '[]');
+
+    const { trashEntry } = await trash.trashPolicy('Nike', professor);
+    assert.equal(await store.getPolicy('Nike'), null);
+    assert.deepEqual(trashEntry.files.map(f => f.from).sort(),
+        ['projects/Nike/ada_1.json', 'projects/Nike/ada_2.json', 'projects/Nike/grace_1.json']);
+    // No upload record names it, so it may belong to another policy
+    assert.equal(await exists(path.join(dataDir, 'projects/Nike/stray.json')), true);
+
+    await trash.restore(trashEntry.id);
+    const policy = await store.getPolicy('Nike');
+    assert.deepEqual(Object.keys(policy.contributors).sort(), ['Ada', 'Grace']);
+    assert.equal(policy.totalAnnotations, 9);
+    assert.equal(await exists(path.join(dataDir, 'projects/Nike/ada_1.json')), true);
+});
+
+test('the folder of an emptied policy is removed', async t => {
+    const { dataDir, trash } = await setup(t);
+    await trash.trashPolicy('Nike', professor);
+    assert.equal(await exists(path.join(dataDir, 'projects/Nike')), false);
+});
+
+test('policy names that climb out of data/projects trash nothing else', async t => {
+    const { dataDir, store, trash } = await setup(t);
+    await fs.mkdir(path.join(dataDir, 'uploads'));
+    await fs.writeFile(path.join(dataDir, 'uploads/other.json'), '[]');
+    await fs.writeFile(path.join(dataDir, 'users.json'), '[]');
+
+    for (const policyName of ['..', '../uploads']) {
+        await store.addUpload(policyName, { name: 'Mallory', email: 'mallory@example.edu' },
+            { storedAs: '../users.json', relativePath: 'users.json', annotationCount: 1 });
+        const { trashEntry } = await trash.trashPolicy(policyName, professor);
+        assert.deepEqual(trashEntry.files, []);
+    }
+    for (const file of ['store.json', 'users.json', 'uploads/other.json', 'projects/Nike/ada_1.json']) {
+        assert.equal(await exists(path.join(dataDir, file)), true, file);
+    }
+});
+
+test('restore refuses to overwrite a re-created file', async t => {
+    const { dataDir, store, trash } = await setup(t);
+    const { trashEntry } = await trash.trashContributor('Nike', 'Ada', professor);
+    await fs.writeFile(path.join(dataDir, 'projects/Nike/ada_2.json'), '[]');
+
+    await assert.rejects(trash.restore(trashEntry.id), { code: 'ECONFLICT' });
+    // Nothing moved and the entry is still there
+    assert.equal((await store.getPolicy('Nike')).contributors.Ada, undefined);
+    assert.equal(await exists(path.join(dataDir, 'projects/Nike/ada_1.json')), false);
+    assert.equal((await trash.list()).length, 1);
+
+    await assert.rejects(trash.restore('no-such-entry'), { code: 'ENOTFOUND' });
+});
+
+test('purgeExpired removes entries past the retention period and their files', async t => {
+    const { dataDir, trash } = await setup(t);
+    const { trashEntry: ada } = await trash.trashContributor('Nike', 'Ada', professor);
+    const { trashEntry: grace } = await trash.trashContributor('Nike', 'Grace', professor);
+
+    const purged = await trash.purgeExpired(new Date(grace.deletedAt).getTime() + 31 * DAY_MS);
+    assert.deepEqual(purged.map(e => e.id).sort(), [ada.id, grace.id].sort());
+
+    assert.deepEqual(await trash.purgeExpired(), []);
+    assert.deepEqual(await trash.list(), []);
+    assert.equal(await exists(path.join(dataDir, 'trash', ada.id)), false);
+});
+
+test('purgeExpired keeps entries younger than the retention period', async t => {
+    const { trash } = await setup(t);
+    const { trashEntry } = await trash.trashContributor('Nike', 'Ada', professor);
+
+    assert.deepEqual(await trash.purgeExpired(new Date(trashEntry.deletedAt).getTime() + 29 * DAY_MS), []);
+    assert.equal((await trash.list()).length, 1);
+    assert.deepEqual((await trash.purge(trashEntry.id)).map(e => e.id), [trashEntry.id]);
+    assert.deepEqual(await trash.list(), []);
+});
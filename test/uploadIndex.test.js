@@ -0,0 +1,59 @@
+// Behaviour of the upload index (js/uploadIndex.js): content hashes,
+// annotation keys and duplicate detection.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { indexUpload, findDuplicates, backfillUploadIndex, contentHash, annotationKeys } = require('../js/uploadIndex');
+const { createMetadataStore } = require('../js/metadataStore');
+
+const exportOf = (...ids) => [{ id: 1, annotations: ids.map(id => ({ id, unique_id: `u-${id}` })) }];
+
+test('contentHash is a stable sha256 of the export', () => {
+    assert.match(contentHash(exportOf(1)), /^[0-9a-f]{64}$/);
+    assert.equal(contentHash(exportOf(1)), contentHash(exportOf(1)));
+    assert.notEqual(contentHash(exportOf(1)), contentHash(exportOf(2)));
+});
+
+test('annotationKeys prefers unique_id, falls back to id and sorts', () => {
+    const data = {
+        tasks: [
+            { annotations: [{ id: 9, unique_id: 'b' }, { id: 3 }] },
+            { annotations: [{ id: 9, unique_id: 'b' }, { unique_id: 'a' }, {}] }
+        ]
+    };
+    assert.deepEqual(annotationKeys(data), ['3', 'a', 'b']);
+    assert.deepEqual(annotationKeys(null), []);
+});
+
+test('findDuplicates separates exact repeats from overlapping exports', () => {
+    const policy = {
+        contributors: {
+            Ada: { uploads: [{ storedAs: 'same.json', ...indexUpload(exportOf(1, 2)) }] },
+            Grace: { uploads: [{ storedAs: 'older.json', ...indexUpload(exportOf(1)) }, { storedAs: 'other.json', ...indexUpload(exportOf(5)) }] }
+        }
+    };
+
+    const { exact, overlapping } = findDuplicates(policy, indexUpload(exportOf(1, 2)));
+    assert.deepEqual(exact.map(d => [d.studentName, d.upload.storedAs, d.shared]), [['Ada', 'same.json', 2]]);
+    assert.deepEqual(overlapping.map(d => [d.studentName, d.upload.storedAs, d.shared]), [['Grace', 'older.json', 1]]);
+
+    assert.deepEqual(findDuplicates(null, indexUpload(exportOf(1))), { exact: [], overlapping: [] });
+});
+
+test('backfillUploadIndex indexes uploads recorded without one', async t => {
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gkcci-index-'));
+    t.after(() => fs.rm(dataDir, { recursive: true, force: true }));
+    const store = createMetadataStore({ dataDir });
+    await fs.mkdir(path.join(dataDir, 'projects', 'Nike'), { recursive: true });
+    await fs.writeFile(path.join(dataDir, 'projects/Nike/a.json'), JSON.stringify(exportOf(1)));
+    await store.addUpload('Nike', { name: 'Ada' }, { storedAs: 'a.json', relativePath: 'projects/Nike/a.json' });
+    // Missing file: skipped, not fatal
+    await store.addUpload('Nike', { name: 'Ada' }, { storedAs: 'gone.json', relativePath: 'projects/Nike/gone.json' });
+
+    assert.equal(await backfillUploadIndex(store), 1);
+    const [indexed, missing] = (await store.getPolicy('Nike')).contributors.Ada.uploads;
+    assert.deepEqual({ contentHash: indexed.contentHash, annotationKeys: indexed.annotationKeys }, indexUpload(exportOf(1)));
+    assert.equal(missing.contentHash, undefined);
+});